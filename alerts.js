@@ -0,0 +1,276 @@
+'use strict';
+
+const db = require('./db');
+const crossings = require('./crossings');
+const timezone = require('./timezone');
+const recommend = require('./recommend');
+const { withRetry } = require('./retry');
+const { readInteger } = require('./env');
+
+// Alert rules are checked against each refresh's readings and delivered as a
+// JSON POST to the rule's webhook. Conditions:
+//   wait_above    - waitTime is over threshold minutes (repeats after the cooldown)
+//   status_change - the status changes to the given status (Light/Moderate/Heavy)
+const CONDITIONS = ['wait_above', 'status_change'];
+const STATUSES = ['Light', 'Moderate', 'Heavy'];
+const DEFAULT_COOLDOWN_MINUTES = 30;
+
+const WEBHOOK_TIMEOUT_MS = readInteger('ALERT_WEBHOOK_TIMEOUT_MS', 5000, { min: 1 });
+const WEBHOOK_RETRIES = readInteger('ALERT_WEBHOOK_RETRIES', 3);
+
+/**
+ * Validate an alert rule from a request body
+ * Returns { rule } with defaults applied, or { error }
+ */
+function validateRule(body) {
+    if (!body || typeof body !== 'object') {
+        return { error: 'Request body must be a JSON object' };
+    }
+
+    const { name, crossingId, condition, threshold, status, webhookUrl, activeDays, activeFrom, activeTo } = body;
+
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+        return { error: 'name is required and must be at most 100 characters' };
+    }
+
+    if (typeof crossingId !== 'string' || !crossings.get(crossingId)) {
+        return { error: 'crossingId must be a valid crossing ID' };
+    }
+
+    if (!CONDITIONS.includes(condition)) {
+        return { error: `condition must be one of: ${CONDITIONS.join(', ')}` };
+    }
+
+    if (condition === 'wait_above' && (typeof threshold !== 'number' || !(threshold > 0) || threshold > 300)) {
+        return { error: 'threshold must be a number of minutes between 0 and 300' };
+    }
+
+    if (condition === 'status_change' && !STATUSES.includes(status)) {
+        return { error: `status must be one of: ${STATUSES.join(', ')}` };
+    }
+
+    let url;
+    try {
+        url = typeof webhookUrl === 'string' ? new URL(webhookUrl) : null;
+    } catch (_err) {
+        url = null;
+    }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+        return { error: 'webhookUrl must be an http or https URL' };
+    }
+
+    let days = null;
+    if (activeDays !== undefined && activeDays !== null) {
+        const parsed = Array.isArray(activeDays) && activeDays.length > 0
+            ? activeDays.map(day => (typeof day === 'string' ? recommend.parseDay(day) : null))
+            : [null];
+        if (parsed.includes(null)) {
+            return { error: `activeDays must be a list of: ${recommend.DAY_NAMES.join(', ')}` };
+        }
+        days = [...new Set(parsed)].sort().map(index => recommend.DAY_NAMES[index]);
+    }
+
+    const hasFrom = activeFrom !== undefined && activeFrom !== null;
+    const hasTo = activeTo !== undefined && activeTo !== null;
+    if (hasFrom !== hasTo) {
+        return { error: 'Provide both activeFrom and activeTo, or neither' };
+    }
+    if (hasFrom && (typeof activeFrom !== 'string' || recommend.parseClock(activeFrom) === null ||
+        typeof activeTo !== 'string' || recommend.parseClock(activeTo) === null)) {
+        return { error: 'activeFrom / activeTo must be times like 07:00' };
+    }
+
+    const cooldownMinutes = body.cooldownMinutes === undefined ? DEFAULT_COOLDOWN_MINUTES : body.cooldownMinutes;
+    if (!Number.isInteger(cooldownMinutes) || cooldownMinutes < 0 || cooldownMinutes > 1440) {
+        return { error: 'cooldownMinutes must be an integer between 0 and 1440' };
+    }
+
+    if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+        return { error: 'enabled must be true or false' };
+    }
+
+    return {
+        rule: {
+            name: name.trim(),
+            crossingId,
+            condition,
+            threshold: condition === 'wait_above' ? threshold : null,
+            status: condition === 'status_change' ? status : null,
+            webhookUrl: url.toString(),
+            activeDays: days,
+            activeFrom: hasFrom ? activeFrom : null,
+            activeTo: hasTo ? activeTo : null,
+            cooldownMinutes,
+            enabled: body.enabled !== false
+        }
+    };
+}
+
+/**
+ * Whether a rule's active days and hours (display time zone) include a moment
+ * A window with activeFrom after activeTo runs overnight
+ */
+function isActive(rule, now = new Date()) {
+    const local = timezone.parseUtc(timezone.toLocalString(timezone.toUtcString(now)));
+
+    if (rule.activeDays && !rule.activeDays.includes(recommend.DAY_NAMES[local.getUTCDay()])) {
+        return false;
+    }
+
+    if (rule.activeFrom && rule.activeTo) {
+        const minute = local.getUTCHours() * 60 + local.getUTCMinutes();
+        const from = recommend.parseClock(rule.activeFrom);
+        const to = recommend.parseClock(rule.activeTo);
+        return from <= to
+            ? minute >= from && minute < to
+            : minute >= from || minute < to;
+    }
+
+    return true;
+}
+
+// Public crossing details, or just the ID if it has since been removed
+function publicCrossing(crossingId) {
+    const crossing = crossings.get(crossingId);
+    return crossing ? crossings.toPublic(crossing) : { id: crossingId };
+}
+
+function describe(rule, reading) {
+    const crossing = crossings.get(rule.crossingId);
+    const label = `${crossing.name} (${crossing.direction})`;
+    if (rule.condition === 'wait_above') {
+        return `${label} is ${reading.waitTime} min, over your ${rule.threshold} min limit`;
+    }
+    return `${label} is now ${reading.status} (${reading.waitTime} min)`;
+}
+
+// Webhook failures worth retrying: network errors, timeouts, 429 and 5xx
+function isTransient(error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') return true;
+    if (error instanceof TypeError) return true;
+    return error.httpStatus === 429 || error.httpStatus >= 500;
+}
+
+/**
+ * POST a payload to a rule's webhook, retrying transient failures, and
+ * record the outcome in the delivery log
+ * Resolves with the delivery log entry; rejects only if the delivery log
+ * can't be written
+ */
+async function deliver(rule, payload) {
+    let deliveryId = null;
+    let attempts = 0;
+    let responseStatus = null;
+    try {
+        deliveryId = db.addDelivery({
+            ruleId: rule.id,
+            event: payload.event,
+            crossingId: rule.crossingId,
+            payload
+        });
+
+        await withRetry(async () => {
+            attempts++;
+            const response = await fetch(rule.webhookUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'commute-check-alerts',
+                    'X-Commute-Event': payload.event
+                },
+                body: JSON.stringify(payload),
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+            });
+            responseStatus = response.status;
+            if (!response.ok) {
+                const error = new Error(`Webhook responded with HTTP ${response.status}`);
+                error.httpStatus = response.status;
+                throw error;
+            }
+        }, {
+            retries: WEBHOOK_RETRIES,
+            shouldRetry: isTransient,
+            onRetry: (error, attempt, delay) => {
+                console.warn(`Retrying alert "${rule.name}" (attempt ${attempt}) in ${delay}ms: ${error.message}`);
+            }
+        });
+        db.finishDelivery(deliveryId, { outcome: 'delivered', attempts, responseStatus });
+    } catch (error) {
+        if (deliveryId === null) throw error;
+        console.error(`Alert "${rule.name}" could not be delivered: ${error.message}`);
+        db.finishDelivery(deliveryId, { outcome: 'failed', attempts, responseStatus, error: error.message });
+    }
+
+    return db.getDelivery(deliveryId);
+}
+
+/**
+ * Check every enabled rule against a refresh's readings
+ * readings: [{ crossingId, waitTime, baselineTime, status, thresholds }]
+ * Deliveries run in the background; returns the payloads of the alerts that fired
+ */
+function evaluate(readings, now = new Date()) {
+    const fired = [];
+
+    for (const rule of db.getAlertRules()) {
+        if (!rule.enabled) continue;
+        const reading = readings.find(r => r.crossingId === rule.crossingId && r.waitTime !== null);
+        if (!reading) continue;
+
+        const previousStatus = rule.lastStatus;
+        if (previousStatus !== reading.status) {
+            db.setAlertRuleStatus(rule.id, reading.status);
+        }
+
+        const matched = rule.condition === 'wait_above'
+            ? reading.waitTime > rule.threshold
+            // Needs a known earlier status, so a restart doesn't look like a change
+            : previousStatus !== null && previousStatus !== reading.status && reading.status === rule.status;
+        if (!matched || !isActive(rule, now)) continue;
+
+        const lastTriggered = rule.lastTriggeredAt ? new Date(rule.lastTriggeredAt) : null;
+        if (lastTriggered && now - lastTriggered < rule.cooldownMinutes * 60000) continue;
+
+        db.setAlertRuleTriggered(rule.id, now);
+        const payload = {
+            event: 'alert',
+            rule: { id: rule.id, name: rule.name, condition: rule.condition, threshold: rule.threshold, status: rule.status },
+            crossing: publicCrossing(rule.crossingId),
+            message: describe(rule, reading),
+            waitTime: reading.waitTime,
+            baselineTime: reading.baselineTime,
+            status: reading.status,
+            previousStatus,
+            thresholds: reading.thresholds,
+            triggeredAt: now.toISOString()
+        };
+        fired.push(payload);
+        deliver(rule, payload)
+            .catch(error => console.error(`Alert "${rule.name}" could not be logged: ${error.message}`));
+    }
+
+    return fired;
+}
+
+/**
+ * Send a test payload to a rule's webhook right away (ignores conditions,
+ * active hours and the cooldown)
+ */
+function sendTest(rule) {
+    return deliver(rule, {
+        event: 'test',
+        rule: { id: rule.id, name: rule.name, condition: rule.condition, threshold: rule.threshold, status: rule.status },
+        crossing: publicCrossing(rule.crossingId),
+        message: `Test alert for "${rule.name}"`,
+        triggeredAt: new Date().toISOString()
+    });
+}
+
+module.exports = {
+    CONDITIONS,
+    STATUSES,
+    validateRule,
+    isActive,
+    evaluate,
+    sendTest
+};
@@ -0,0 +1,108 @@
+'use strict';
+
+const db = require('./db');
+const timezone = require('./timezone');
+
+// Flags readings that are far worse than usual for their day of the week and
+// hour, rather than just "Heavy" by the fixed status thresholds. Consecutive
+// anomalous readings for a crossing are grouped into one incident, which ends
+// at the first normal reading.
+const MIN_SAMPLES = 6; // History needed for that day and hour before judging
+const MIN_EXCESS_MINUTES = 5; // Ignore small absolute differences on quiet hours
+const MIN_SPREAD = 2; // Floor on the standard deviation, in minutes
+const INCIDENT_GAP_MINUTES = 30; // Without readings for this long, an incident ends
+
+// Severity by how many standard deviations above the median, worst first
+const SEVERITIES = [
+    { name: 'severe', zScore: 4 },
+    { name: 'major', zScore: 3 },
+    { name: 'minor', zScore: 2 }
+];
+
+/**
+ * Compare a reading with the history for its day and hour
+ * Returns null if there isn't enough history, otherwise the expected values
+ * and the severity (null when the reading is normal)
+ */
+function assess(crossingId, waitTime, { at = new Date(), excludeSources = [] } = {}) {
+    const local = timezone.parseUtc(timezone.toLocalString(timezone.toUtcString(at)));
+    const stats = db.getHourStats(crossingId, local.getUTCDay(), local.getUTCHours(), {
+        before: at,
+        excludeSources
+    });
+    if (stats.sampleCount < MIN_SAMPLES) return null;
+
+    const excess = waitTime - stats.medianTime;
+    const zScore = excess / Math.max(stats.stdDev, MIN_SPREAD);
+    const anomalous = excess >= MIN_EXCESS_MINUTES && waitTime > stats.p90Time;
+    const severity = anomalous
+        ? (SEVERITIES.find(s => zScore >= s.zScore) || null)
+        : null;
+
+    return {
+        severity: severity ? severity.name : null,
+        expectedTime: stats.medianTime,
+        p90Time: stats.p90Time,
+        zScore,
+        sampleCount: stats.sampleCount
+    };
+}
+
+/**
+ * Assess one refresh's results and open, extend or end incidents
+ * Returns the IDs of incidents this refresh opened and ended
+ */
+function detectIncidents(results, { excludeSources = [] } = {}) {
+    const opened = [];
+    const ended = [];
+
+    for (const result of results) {
+        if (result.waitTime === null) continue;
+        const at = new Date(result.timestamp);
+        const open = db.getOpenIncident(result.crossingId);
+
+        // A long gap in readings (e.g. the server was down) ends the old incident
+        let current = open;
+        if (open && at - new Date(open.lastSeenAt) > INCIDENT_GAP_MINUTES * 60000) {
+            db.endIncident(open.id, new Date(open.lastSeenAt));
+            ended.push(open.id);
+            current = null;
+        }
+
+        const assessment = assess(result.crossingId, result.waitTime, { at, excludeSources });
+        if (!assessment || !assessment.severity) {
+            if (current) {
+                db.endIncident(current.id, at);
+                ended.push(current.id);
+            }
+            continue;
+        }
+
+        const details = {
+            severity: assessment.severity,
+            at,
+            waitTime: result.waitTime,
+            zScore: assessment.zScore
+        };
+        if (current) {
+            db.updateIncident(current.id, details);
+        } else {
+            const id = db.openIncident({
+                ...details,
+                crossingId: result.crossingId,
+                expectedTime: assessment.expectedTime,
+                p90Time: assessment.p90Time
+            });
+            opened.push(id);
+            console.log(`Unusual delay on ${result.crossingId}: ${result.waitTime} min, usually ${Math.round(assessment.expectedTime)} (${assessment.severity})`);
+        }
+    }
+
+    return { opened, ended };
+}
+
+module.exports = {
+    SEVERITIES: SEVERITIES.map(s => s.name),
+    assess,
+    detectIncidents
+};
@@ -4,17 +4,28 @@ require('dotenv').config({ path: './gmap_api.env' });
 
 const express = require('express');
 const path = require('path');
-const rateLimit = require('express-rate-limit');
 const crypto = require('crypto');
+const { once } = require('events');
+const rateLimit = require('express-rate-limit');
 const db = require('./db');
 const traffic = require('./traffic');
+const crossings = require('./crossings');
+const timezone = require('./timezone');
+const recommend = require('./recommend');
+const forecast = require('./forecast');
+const anomaly = require('./anomaly');
+const status = require('./status');
+const alerts = require('./alerts');
+const auth = require('./auth');
+const transfer = require('./transfer');
+const retention = require('./retention');
+const commutes = require('./commutes');
+const tolls = require('./tolls');
+const transit = require('./transit');
 
 const app = express();
 const PORT = 3000;
 
-// Generate a random admin key on startup (displayed in console)
-const ADMIN_API_KEY = process.env.ADMIN_API_KEY || crypto.randomBytes(16).toString('hex');
-
 // Rate limiters
 const generalLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -28,25 +39,26 @@ const strictLimiter = rateLimit({
     message: { error: 'Sorry, please wait a moment before trying again.' }
 });
 
-// Auth middleware for admin endpoints
-function requireAdminKey(req, res, next) {
-    const apiKey = req.headers['x-api-key'];
-
-    if (!apiKey || typeof apiKey !== 'string') {
-        return res.status(401).json({ error: 'Unauthorized: Invalid or missing API key' });
-    }
-
-    // Use timing-safe comparison to prevent timing attacks
-    const keyBuffer = Buffer.from(apiKey);
-    const adminBuffer = Buffer.from(ADMIN_API_KEY);
+// Refused API keys (401 and 403), counted per client across every protected
+// route. After 10 in a window the client is turned away before its key is
+// checked, so guessing keys is slow and a flood of bad keys can't fill the
+// audit log, on read-only routes as well as those behind strictLimiter.
+const authFailureLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,
+    skipSuccessfulRequests: true,
+    requestWasSuccessful: (req, res) => res.statusCode !== 401 && res.statusCode !== 403,
+    message: { error: 'Sorry, please wait a moment before trying again.' }
+});
 
-    if (keyBuffer.length !== adminBuffer.length ||
-        !crypto.timingSafeEqual(keyBuffer, adminBuffer)) {
-        return res.status(401).json({ error: 'Unauthorized: Invalid or missing API key' });
-    }
-    next();
+// Middleware for endpoints that need a key with a scope
+function requireScope(scope) {
+    return [authFailureLimiter, auth.requireScope(scope)];
 }
 
+// Admin endpoints need a key with the admin scope
+const requireAdmin = requireScope('admin');
+
 // Security headers
 app.use((req, res, next) => {
     res.setHeader('X-Frame-Options', 'DENY');
@@ -64,75 +76,141 @@ app.use(generalLimiter);
 app.use(express.json({ limit: '10kb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Crossing metadata
-const CROSSINGS = [
-    {
-        id: 'gwb-into',
-        name: 'George Washington Bridge',
-        direction: 'Into Manhattan',
-        area: 'Upper Manhattan',
-        icon: '🌉'
-    },
-    {
-        id: 'gwb-out',
-        name: 'George Washington Bridge',
-        direction: 'Out of Manhattan',
-        area: 'To New Jersey',
-        icon: '🌉'
-    },
-    {
-        id: 'lincoln-into',
-        name: 'Lincoln Tunnel',
-        direction: 'Into Manhattan',
-        area: 'Midtown',
-        icon: '🚇'
-    },
-    {
-        id: 'lincoln-out',
-        name: 'Lincoln Tunnel',
-        direction: 'Out of Manhattan',
-        area: 'To New Jersey',
-        icon: '🚇'
-    },
-    {
-        id: 'holland-into',
-        name: 'Holland Tunnel',
-        direction: 'Into Manhattan',
-        area: 'Lower Manhattan',
-        icon: '🚗'
-    },
-    {
-        id: 'holland-out',
-        name: 'Holland Tunnel',
-        direction: 'Out of Manhattan',
-        area: 'To New Jersey',
-        icon: '🚗'
-    }
-];
+// Load and validate the crossing registry before serving anything
+try {
+    const loaded = crossings.load();
+    const saved = loaded.filter(c => c.origin === 'database').length;
+    console.log(`Loaded ${loaded.length} crossings (${saved} saved through the admin API)`);
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+// Load the toll schedule and the transit config, and pick up later edits
+// to the toll file. Transit schedules load in the background (see the end).
+try {
+    tolls.load();
+    tolls.watch();
+    transit.load();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+// Fail fast if the configured traffic provider, display time zone or
+// retention windows are invalid
+try {
+    traffic.getProvider();
+    timezone.assertValidTimeZone(timezone.DISPLAY_TIMEZONE);
+    retention.assertValidConfig();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
 
 // Cache for current traffic data (refreshed every 10 minutes)
 let trafficCache = {
     data: null,
     lastUpdated: null,
+    forecasts: new Map(), // crossingId -> latest forecast
+    medians: new Map(), // crossingId -> { hourOfWeek, medianTime } for median thresholds
     refreshPromise: null // Prevents duplicate concurrent refreshes
 };
 
 const CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+const MAX_SERIES_POINTS = 5000; // Largest time series /readings will return
+const STALE_MAX_AGE = 24 * 60 * 60 * 1000; // Don't fall back to readings older than a day
+const MAX_STREAM_CLIENTS = 100;
+const STREAM_RETRY_MS = 5000; // How soon browsers reconnect after the stream drops
+const STREAM_HEARTBEAT_MS = 25 * 1000; // Keeps idle proxies from closing the stream
 
-// Helper to get status from wait time
-function getStatus(waitTime) {
-    if (waitTime <= 15) {
-        return { status: 'Light', statusClass: 'good' };
-    } else if (waitTime <= 25) {
-        return { status: 'Moderate', statusClass: 'moderate' };
-    } else {
-        return { status: 'Heavy', statusClass: 'heavy' };
+// Median wait for a crossing at this weekday and hour. getHourStats scans the
+// crossing's history, so the result is cached until the next refresh adds
+// readings or the hour changes.
+function getCurrentMedian(crossingId) {
+    const local = timezone.parseUtc(timezone.toLocalString(timezone.toUtcString(new Date())));
+    const hourOfWeek = local.getUTCDay() * 24 + local.getUTCHours();
+    const cached = trafficCache.medians.get(crossingId);
+    if (cached && cached.hourOfWeek === hourOfWeek) {
+        return cached.medianTime;
+    }
+
+    const { medianTime } = db.getHourStats(crossingId, local.getUTCDay(), local.getUTCHours(), {
+        excludeSources: liveExcludeSources()
+    });
+    trafficCache.medians.set(crossingId, { hourOfWeek, medianTime });
+    return medianTime;
+}
+
+// Status thresholds in minutes for a crossing right now, per its config
+function getThresholds(crossing, baselineTime) {
+    const medianTime = crossing.thresholds.mode === 'median' ? getCurrentMedian(crossing.id) : null;
+    return status.resolveThresholds(crossing.thresholds, { baselineTime, medianTime });
+}
+
+// Status label and class, plus the thresholds behind them
+function getCrossingStatus(crossing, waitTime, baselineTime) {
+    const thresholds = getThresholds(crossing, baselineTime);
+    return { ...status.getStatus(waitTime, thresholds), thresholds };
+}
+
+// Leave demo data out of live recommendations and forecasts
+function liveExcludeSources() {
+    return traffic.isConfigured() ? ['mock'] : [];
+}
+
+// Short forecast summary for the crossing cards
+function getForecastSummary(crossingId) {
+    const latest = trafficCache.forecasts.get(crossingId);
+    if (!latest || latest.inAnHour === null) return null;
+    return { trend: latest.trend, inAnHour: latest.inAnHour };
+}
+
+// Ongoing unusual delay for the crossing cards
+function getIncidentSummary(crossingId) {
+    const incident = db.getOpenIncident(crossingId);
+    if (!incident) return null;
+    return {
+        id: incident.id,
+        severity: incident.severity,
+        expectedTime: incident.expectedTime,
+        startedAt: incident.startedAt
+    };
+}
+
+// Last stored reading for a crossing, used when a live fetch fails
+// Returns null if there is none or it's too old to be useful
+function getLastKnownGood(crossingId) {
+    const latest = db.getLatest(crossingId);
+    if (!latest) return null;
+
+    const recordedAt = db.parseRecordedAt(latest.recorded_at);
+    const ageMs = Date.now() - recordedAt.getTime();
+    if (ageMs > STALE_MAX_AGE) return null;
+
+    return {
+        waitTime: latest.wait_time,
+        baselineTime: latest.baseline_time,
+        stale: true,
+        ageMinutes: Math.max(0, Math.round(ageMs / 60000)),
+        updatedAt: recordedAt.toISOString()
+    };
+}
+
+// Browsers subscribed to /api/stream
+const streamClients = new Set();
+
+// Send a server-sent event to every subscriber
+function broadcast(event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const client of streamClients) {
+        client.write(message);
     }
 }
 
 // Fetch fresh traffic data and update cache
 async function refreshTrafficData() {
-    console.log('Fetching fresh traffic data from Google Maps...');
+    console.log(`Fetching fresh traffic data from ${traffic.getProviderName()} provider...`);
 
     try {
         const results = await traffic.fetchAllTravelTimes();
@@ -140,13 +218,64 @@ async function refreshTrafficData() {
         // Store readings in database
         for (const result of results) {
             if (result.waitTime !== null) {
-                db.addReading(result.crossingId, result.waitTime, result.timestamp);
+                db.addReading({
+                    crossingId: result.crossingId,
+                    waitTime: result.waitTime,
+                    baselineTime: result.baselineTime,
+                    distanceMiles: result.distance ? parseFloat(result.distance) : null,
+                    source: result.source,
+                    timestamp: result.timestamp
+                });
             }
         }
 
         // Update cache (mutate existing object to avoid reference issues)
         trafficCache.data = results;
         trafficCache.lastUpdated = new Date();
+        trafficCache.medians.clear();
+
+        try {
+            const { opened, ended } = anomaly.detectIncidents(results, { excludeSources: liveExcludeSources() });
+            [...opened, ...ended].forEach(id => broadcast('incident', db.getIncident(id)));
+        } catch (error) {
+            console.error('Failed to check for unusual delays:', error.message);
+        }
+
+        try {
+            const fired = alerts.evaluate(results.filter(r => r.waitTime !== null).map(r => {
+                const crossing = crossings.get(r.crossingId);
+                const { status: label, thresholds } = getCrossingStatus(crossing, r.waitTime, r.baselineTime);
+                return { crossingId: r.crossingId, waitTime: r.waitTime, baselineTime: r.baselineTime, status: label, thresholds };
+            }));
+            // Rule details stay private; subscribers only see what happened
+            fired.forEach(alert => broadcast('alert', {
+                crossing: alert.crossing,
+                message: alert.message,
+                waitTime: alert.waitTime,
+                status: alert.status,
+                triggeredAt: alert.triggeredAt
+            }));
+        } catch (error) {
+            console.error('Failed to check alert rules:', error.message);
+        }
+
+        // Forecasts are a nice-to-have; never fail the refresh over them
+        try {
+            const forecasts = forecast.recordForecasts({ excludeSources: liveExcludeSources() });
+            trafficCache.forecasts = new Map(forecasts.map(f => [f.crossingId, f]));
+        } catch (error) {
+            console.error('Failed to update forecasts:', error.message);
+        }
+
+        broadcast('crossings', buildCrossingsPayload(results));
+
+        // Commutes are timed afterwards so they don't hold up the crossing cards
+        commutes.refresh()
+            .then(timed => {
+                if (timed === null) return;
+                broadcast('commutes', { commutes: commutes.listSummaries({ excludeSources: liveExcludeSources() }) });
+            })
+            .catch(error => console.error('Failed to time commutes:', error.message));
 
         console.log(`Traffic data updated at ${trafficCache.lastUpdated.toLocaleTimeString()}`);
         return results;
@@ -181,63 +310,69 @@ async function getCurrentTraffic() {
     return await trafficCache.refreshPromise;
 }
 
-// API endpoint for current crossing data
-app.get('/api/crossings', async (req, res) => {
-    try {
-        if (!traffic.isConfigured()) {
-            // Fall back to mock data if no API key
-            console.log('No API key configured, using mock data');
-            const data = CROSSINGS.map(crossing => {
-                const delay = Math.floor(Math.random() * 31);
-                const waitTime = 10 + delay;
-                const baselineTime = 8 + Math.floor(Math.random() * 5);
-                const { status, statusClass } = getStatus(waitTime);
-
-                // Store mock readings so heatmaps work in demo mode
-                db.addReading(crossing.id, waitTime);
-
-                return {
-                    ...crossing,
-                    waitTime,
-                    baselineTime,
-                    status,
-                    statusClass,
-                    updatedAt: new Date().toISOString()
-                };
-            });
-            return res.json(data);
-        }
-
-        const trafficData = await getCurrentTraffic();
-
-        const data = CROSSINGS.map(crossing => {
-            const trafficResult = trafficData.find(t => t.crossingId === crossing.id);
-            const waitTime = trafficResult?.waitTime ?? null;
+// Card data for every crossing: live result, or the stale fallback, plus the
+// status, forecast, toll, transit alternatives and any ongoing incident
+function buildCrossingsPayload(trafficData) {
+    return crossings.list().map(c => {
+        const crossing = crossings.toPublic(c);
+        const trafficResult = trafficData.find(t => t.crossingId === crossing.id);
+        const waitTime = trafficResult?.waitTime ?? null;
 
-            if (waitTime === null) {
+        if (waitTime === null) {
+            const fallback = getLastKnownGood(crossing.id);
+            if (fallback) {
                 return {
                     ...crossing,
-                    waitTime: null,
-                    baselineTime: null,
-                    status: 'Unknown',
-                    statusClass: 'unknown',
-                    updatedAt: trafficCache.lastUpdated?.toISOString() || new Date().toISOString(),
+                    ...fallback,
+                    ...getCrossingStatus(c, fallback.waitTime, fallback.baselineTime),
+                    forecast: getForecastSummary(crossing.id),
+                    incident: getIncidentSummary(crossing.id),
+                    toll: tolls.forCard(crossing.id),
+                    transit: transit.forCrossing(crossing.id),
                     error: trafficResult?.error
                 };
             }
 
-            const { status, statusClass } = getStatus(waitTime);
-
             return {
                 ...crossing,
-                waitTime,
-                baselineTime: trafficResult?.baselineTime ?? null,
-                status,
-                statusClass,
-                updatedAt: trafficCache.lastUpdated?.toISOString() || new Date().toISOString()
+                waitTime: null,
+                baselineTime: null,
+                status: 'Unknown',
+                statusClass: 'unknown',
+                thresholds: getThresholds(c, null),
+                stale: false,
+                forecast: getForecastSummary(crossing.id),
+                incident: getIncidentSummary(crossing.id),
+                toll: tolls.forCard(crossing.id),
+                transit: transit.forCrossing(crossing.id),
+                updatedAt: trafficCache.lastUpdated?.toISOString() || new Date().toISOString(),
+                error: trafficResult?.error
             };
-        });
+        }
 
+        const baselineTime = trafficResult?.baselineTime ?? null;
+
+        return {
+            ...crossing,
+            waitTime,
+            baselineTime,
+            ...getCrossingStatus(c, waitTime, baselineTime),
+            stale: false,
+            forecast: getForecastSummary(crossing.id),
+            incident: getIncidentSummary(crossing.id),
+            toll: tolls.forCard(crossing.id),
+            transit: transit.forCrossing(crossing.id),
+            updatedAt: trafficCache.lastUpdated?.toISOString() || new Date().toISOString()
+        };
+    });
+}
+
+// API endpoint for current crossing data
+app.get('/api/crossings', async (req, res) => {
+    try {
+        const trafficData = await getCurrentTraffic();
+
+        const data = buildCrossingsPayload(trafficData);
         res.json(data);
     } catch (error) {
         console.error('Error fetching crossings:', error);
@@ -245,21 +380,375 @@ app.get('/api/crossings', async (req, res) => {
     }
 });
 
+// Server-sent events: a "crossings" event with the same data as /api/crossings
+// on connect and after every refresh, plus "incident" and "alert" events
+app.get('/api/stream', (req, res) => {
+    if (streamClients.size >= MAX_STREAM_CLIENTS) {
+        return res.status(503).json({ error: 'Sorry, live updates are busy. Please try again later.' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
+    res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+    if (trafficCache.data) {
+        res.write(`event: crossings\ndata: ${JSON.stringify(buildCrossingsPayload(trafficCache.data))}\n\n`);
+    }
+
+    streamClients.add(res);
+    req.on('close', () => {
+        streamClients.delete(res);
+    });
+});
+
+// Parse a from/to query value. Plain dates (YYYY-MM-DD) are midnight in the
+// display time zone; with endOfDay the following midnight, so "to" includes that day
+function parseDateParam(value, endOfDay = false) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const day = new Date(`${value}T00:00:00Z`);
+        if (Number.isNaN(day.getTime())) return null;
+        if (endOfDay) day.setUTCDate(day.getUTCDate() + 1);
+        const localMidnight = `${day.toISOString().slice(0, 10)} 00:00:00`;
+        return timezone.parseUtc(timezone.localToUtcString(localMidnight, timezone.DISPLAY_TIMEZONE));
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Validate the history query parameters:
+//   exclude=mock,manual  leave out readings from those sources
+//   from=, to=           date range (ISO date or date-time)
+//   weeks=N              only the last N weeks (instead of from)
+//   days=weekday|weekend only weekdays or weekends
+//   halfLifeDays=N       weight the average towards recent readings
+function parseHistoryFilters(query) {
+    const filters = {};
+
+    const excludeSources = typeof query.exclude === 'string' && query.exclude !== ''
+        ? query.exclude.split(',')
+        : [];
+    if (excludeSources.some(source => !db.SOURCES.includes(source))) {
+        return { error: `exclude must be a comma-separated list of: ${db.SOURCES.join(', ')}` };
+    }
+    filters.excludeSources = excludeSources;
+
+    if (query.from !== undefined && query.weeks !== undefined) {
+        return { error: 'Use either from or weeks, not both' };
+    }
+
+    if (query.from !== undefined) {
+        filters.from = typeof query.from === 'string' ? parseDateParam(query.from) : null;
+        if (!filters.from) {
+            return { error: 'from must be an ISO date or date-time' };
+        }
+    }
+
+    if (query.to !== undefined) {
+        filters.to = typeof query.to === 'string' ? parseDateParam(query.to, true) : null;
+        if (!filters.to) {
+            return { error: 'to must be an ISO date or date-time' };
+        }
+    }
+
+    if (query.weeks !== undefined) {
+        const weeks = Number(query.weeks);
+        if (!Number.isInteger(weeks) || weeks < 1 || weeks > 520) {
+            return { error: 'weeks must be an integer between 1 and 520' };
+        }
+        filters.from = new Date(Date.now() - weeks * 7 * 24 * 60 * 60 * 1000);
+    }
+
+    if (filters.from && filters.to && filters.from >= filters.to) {
+        return { error: 'from must be before to' };
+    }
+
+    if (query.days !== undefined) {
+        if (query.days !== 'weekday' && query.days !== 'weekend') {
+            return { error: 'days must be weekday or weekend' };
+        }
+        filters.dayType = query.days;
+    }
+
+    if (query.halfLifeDays !== undefined) {
+        const halfLifeDays = Number(query.halfLifeDays);
+        if (!Number.isFinite(halfLifeDays) || halfLifeDays <= 0 || halfLifeDays > 3650) {
+            return { error: 'halfLifeDays must be a number between 0 and 3650' };
+        }
+        filters.halfLifeDays = halfLifeDays;
+    }
+
+    return { filters };
+}
+
+// Thresholds for colouring a heatmap. Relative modes use the latest baseline
+// time, or the median across the heatmap's hours rather than each hour's own
+function getHeatmapThresholds(crossing, heatmap) {
+    const latest = db.getLatest(crossing.id);
+    const medians = heatmap
+        .map(cell => cell.medianTime)
+        .filter(value => value !== null)
+        .sort((a, b) => a - b);
+    return status.resolveThresholds(crossing.thresholds, {
+        baselineTime: latest ? latest.baseline_time : null,
+        medianTime: medians.length > 0 ? medians[Math.floor(medians.length / 2)] : null
+    });
+}
+
 // API endpoint for historical heatmap data (from database)
 app.get('/api/crossings/:id/history', (req, res) => {
     const crossingId = req.params.id;
 
-    const validCrossing = CROSSINGS.find(c => c.id === crossingId);
-    if (!validCrossing) {
+    if (!crossings.get(crossingId)) {
+        return res.status(400).json({ error: 'Invalid crossing ID' });
+    }
+
+    const { filters, error } = parseHistoryFilters(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    // Browsers revalidate, and get a 304 while the readings haven't changed.
+    // weeks and halfLifeDays depend on the current time, so those responses
+    // fall back to Express's ETag of the body.
+    res.set('Cache-Control', 'no-cache');
+    if (req.query.weeks === undefined && filters.halfLifeDays === undefined) {
+        const version = db.getHeatmapVersion(crossingId);
+        const tag = crypto.createHash('sha1')
+            .update(JSON.stringify([
+                crossingId,
+                version.updatedAt,
+                version.sampleCount,
+                crossings.get(crossingId).thresholds,
+                req.query
+            ]))
+            .digest('base64url');
+        res.set('ETag', `W/"${tag}"`);
+        if (version.updatedAt) {
+            res.set('Last-Modified', version.updatedAt.toUTCString());
+        }
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+    }
+
+    const data = db.getHistoricalData(crossingId, filters);
+    res.json({ ...data, thresholds: getHeatmapThresholds(crossings.get(crossingId), data.heatmap) });
+});
+
+// API endpoint for a bucketed time series of raw readings (trend charts)
+// ?from=&to= (default: the last 24 hours), ?bucket=15m|1h|1d, ?exclude=
+app.get('/api/crossings/:id/readings', (req, res) => {
+    const crossingId = req.params.id;
+
+    if (!crossings.get(crossingId)) {
+        return res.status(400).json({ error: 'Invalid crossing ID' });
+    }
+
+    const bucket = req.query.bucket === undefined ? '1h' : req.query.bucket;
+    if (!Object.hasOwn(db.BUCKET_SECONDS, bucket)) {
+        return res.status(400).json({ error: `bucket must be one of: ${Object.keys(db.BUCKET_SECONDS).join(', ')}` });
+    }
+
+    const { filters, error } = parseHistoryFilters(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const to = filters.to || new Date();
+    const from = filters.from || new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    if (from >= to) {
+        return res.status(400).json({ error: 'from must be before to' });
+    }
+
+    const bucketCount = (to - from) / (db.BUCKET_SECONDS[bucket] * 1000);
+    if (bucketCount > MAX_SERIES_POINTS) {
+        return res.status(400).json({ error: `Range too long for ${bucket} buckets (max ${MAX_SERIES_POINTS} points)` });
+    }
+
+    const points = db.getTimeSeries(crossingId, {
+        from,
+        to,
+        bucket,
+        excludeSources: filters.excludeSources
+    });
+
+    res.json({
+        crossingId,
+        bucket,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        timezone: timezone.DISPLAY_TIMEZONE,
+        points
+    });
+});
+
+// API endpoint for the short-term forecast (next 30-120 minutes) of a crossing,
+// with how far off recent forecasts turned out to be
+app.get('/api/crossings/:id/forecast', (req, res) => {
+    const crossingId = req.params.id;
+
+    if (!crossings.get(crossingId)) {
         return res.status(400).json({ error: 'Invalid crossing ID' });
     }
 
-    const data = db.getHistoricalData(crossingId);
-    res.json(data);
+    const result = forecast.forecastCrossing(crossingId, { excludeSources: liveExcludeSources() });
+    res.json({
+        ...result,
+        timezone: timezone.DISPLAY_TIMEZONE,
+        accuracy: forecast.getAccuracy(crossingId)
+    });
+});
+
+// API endpoint for unusual delays, newest first
+// ?active=true (only ongoing), ?crossing=, ?from=&to=, ?limit= (default 50)
+app.get('/api/incidents', (req, res) => {
+    const { crossing: crossingId, active } = req.query;
+
+    if (crossingId !== undefined && (typeof crossingId !== 'string' || !crossings.get(crossingId))) {
+        return res.status(400).json({ error: 'crossing must be a valid crossing ID' });
+    }
+
+    if (active !== undefined && active !== 'true' && active !== 'false') {
+        return res.status(400).json({ error: 'active must be true or false' });
+    }
+
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({ error: 'limit must be an integer between 1 and 500' });
+    }
+
+    let from = null;
+    let to = null;
+    if (req.query.from !== undefined) {
+        from = typeof req.query.from === 'string' ? parseDateParam(req.query.from) : null;
+        if (!from) return res.status(400).json({ error: 'from must be an ISO date or date-time' });
+    }
+    if (req.query.to !== undefined) {
+        to = typeof req.query.to === 'string' ? parseDateParam(req.query.to, true) : null;
+        if (!to) return res.status(400).json({ error: 'to must be an ISO date or date-time' });
+    }
+
+    const incidents = db.getIncidents({
+        crossingId: crossingId || null,
+        activeOnly: active === 'true',
+        from,
+        to,
+        limit
+    });
+    res.json({ incidents });
+});
+
+// API endpoint for best departure times from stored readings
+// ?crossing=lincoln-into&arriveBy=09:00&day=Tue (or departAfter=17:30),
+// with tolls for &vehicle=car&payment=ezpass
+app.get('/api/recommend', (req, res) => {
+    const { crossing: crossingId, arriveBy, departAfter, day, vehicle, payment } = req.query;
+
+    if (typeof crossingId !== 'string' || !crossings.get(crossingId)) {
+        return res.status(400).json({ error: 'crossing is required and must be a valid crossing ID' });
+    }
+
+    if ((arriveBy === undefined) === (departAfter === undefined)) {
+        return res.status(400).json({ error: 'Provide exactly one of arriveBy or departAfter' });
+    }
+
+    const clock = arriveBy !== undefined ? arriveBy : departAfter;
+    const minutes = typeof clock === 'string' ? recommend.parseClock(clock) : null;
+    if (minutes === null) {
+        return res.status(400).json({ error: 'arriveBy / departAfter must be a time like 09:00' });
+    }
+
+    let dayOfWeek = recommend.today();
+    if (day !== undefined) {
+        dayOfWeek = typeof day === 'string' ? recommend.parseDay(day) : null;
+        if (dayOfWeek === null) {
+            return res.status(400).json({ error: `day must be one of: ${recommend.DAY_NAMES.join(', ')}` });
+        }
+    }
+
+    const { preference, error } = tolls.parsePreference({ vehicle, payment });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const result = recommend.recommend({
+        crossingId,
+        dayOfWeek,
+        arriveBy: arriveBy !== undefined ? minutes : null,
+        departAfter: departAfter !== undefined ? minutes : null,
+        excludeSources: liveExcludeSources()
+    });
+    res.json(tolls.priceRecommendation(result, preference));
+});
+
+// Vehicle classes and payment methods that tolls are priced for
+app.get('/api/tolls', (req, res) => {
+    res.json(tolls.getOptions());
+});
+
+// Transit feeds' status and each alternative's next departures (?limit=5)
+app.get('/api/transit', (req, res) => {
+    let limit = 3;
+    if (req.query.limit !== undefined) {
+        limit = Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 20) {
+            return res.status(400).json({ error: 'limit must be a whole number from 1 to 20' });
+        }
+    }
+    res.json(transit.getStatus({ limit }));
+});
+
+// Saved commutes, each with its crossings ranked by current travel time
+app.get('/api/commutes', (req, res) => {
+    res.json({ commutes: commutes.listSummaries({ excludeSources: liveExcludeSources() }) });
+});
+
+// Bucketed travel times through each of a commute's crossings
+// ?from=&to= (default: the last 7 days), ?bucket=15m|1h|1d (default 1h), ?exclude=
+app.get('/api/commutes/:id/history', (req, res) => {
+    const id = parseIdParam(req.params.id);
+    const profile = id === null ? null : db.getCommuteProfile(id);
+    if (!profile) {
+        return res.status(404).json({ error: 'Commute not found' });
+    }
+
+    const bucket = req.query.bucket === undefined ? '1h' : req.query.bucket;
+    if (!Object.hasOwn(db.BUCKET_SECONDS, bucket)) {
+        return res.status(400).json({ error: `bucket must be one of: ${Object.keys(db.BUCKET_SECONDS).join(', ')}` });
+    }
+
+    const { filters, error } = parseHistoryFilters(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const to = filters.to || new Date();
+    const from = filters.from || new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+    if (from >= to) {
+        return res.status(400).json({ error: 'from must be before to' });
+    }
+
+    const bucketCount = (to - from) / (db.BUCKET_SECONDS[bucket] * 1000);
+    if (bucketCount > MAX_SERIES_POINTS) {
+        return res.status(400).json({ error: `Range too long for ${bucket} buckets (max ${MAX_SERIES_POINTS} points)` });
+    }
+
+    res.json({
+        id: profile.id,
+        name: profile.name,
+        bucket,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        timezone: timezone.DISPLAY_TIMEZONE,
+        series: db.getCommuteSeries(profile.id, { from, to, bucket, excludeSources: filters.excludeSources })
+    });
 });
 
 // API endpoint to record a new reading manually (protected)
-app.post('/api/readings', strictLimiter, requireAdminKey, (req, res) => {
+app.post('/api/readings', strictLimiter, requireScope('readings:write'), (req, res) => {
     const { crossingId, waitTime } = req.body;
 
     // Validate crossingId
@@ -267,8 +756,7 @@ app.post('/api/readings', strictLimiter, requireAdminKey, (req, res) => {
         return res.status(400).json({ error: 'crossingId is required and must be a string' });
     }
 
-    const validCrossing = CROSSINGS.find(c => c.id === crossingId);
-    if (!validCrossing) {
+    if (!crossings.get(crossingId)) {
         return res.status(400).json({ error: 'Invalid crossingId' });
     }
 
@@ -282,22 +770,26 @@ app.post('/api/readings', strictLimiter, requireAdminKey, (req, res) => {
         return res.status(400).json({ error: 'waitTime must be an integer between 0 and 300 minutes' });
     }
 
-    db.addReading(crossingId, waitTimeNum);
+    db.addReading({ crossingId, waitTime: waitTimeNum, source: 'manual' });
     res.json({ success: true });
 });
 
 // API endpoint to get database stats
 app.get('/api/stats', (req, res) => {
-    const stats = CROSSINGS.map(crossing => ({
+    const stats = crossings.list().map(crossing => ({
         id: crossing.id,
         name: crossing.name,
         direction: crossing.direction,
-        readingCount: db.getCount(crossing.id)
+        readingCount: db.getCount(crossing.id),
+        rolledUpCount: db.getRolledUpCount(crossing.id)
     }));
 
     res.json({
         crossings: stats,
         apiConfigured: traffic.isConfigured(),
+        provider: traffic.getProviderName(),
+        circuitBreaker: traffic.getCircuitBreaker(),
+        retention: retention.getStatus(),
         cacheAge: trafficCache.lastUpdated
             ? Math.round((Date.now() - trafficCache.lastUpdated.getTime()) / 1000)
             : null
@@ -305,7 +797,7 @@ app.get('/api/stats', (req, res) => {
 });
 
 // Force refresh traffic data (protected)
-app.post('/api/refresh', strictLimiter, requireAdminKey, async (req, res) => {
+app.post('/api/refresh', strictLimiter, requireScope('refresh'), async (req, res) => {
     try {
         await refreshTrafficData();
         res.json({ success: true, updatedAt: trafficCache.lastUpdated });
@@ -314,9 +806,377 @@ app.post('/api/refresh', strictLimiter, requireAdminKey, async (req, res) => {
     }
 });
 
-// Start periodic traffic data fetching (every 10 minutes)
-if (traffic.isConfigured()) {
-    console.log('Google Maps API configured - will fetch real traffic data');
+// Parse a numeric :id route parameter (null if invalid)
+function parseIdParam(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Alert rules (protected). See alerts.js for the rule format.
+app.get('/api/admin/alerts', requireAdmin, (req, res) => {
+    res.json({ rules: db.getAlertRules() });
+});
+
+app.post('/api/admin/alerts', strictLimiter, requireAdmin, (req, res) => {
+    const { rule, error } = alerts.validateRule(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    res.status(201).json(db.createAlertRule(rule));
+});
+
+app.put('/api/admin/alerts/:id', strictLimiter, requireAdmin, (req, res) => {
+    const id = parseIdParam(req.params.id);
+    if (id === null) {
+        return res.status(400).json({ error: 'Invalid alert rule ID' });
+    }
+
+    const { rule, error } = alerts.validateRule(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const updated = db.updateAlertRule(id, rule);
+    if (!updated) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    res.json(updated);
+});
+
+app.delete('/api/admin/alerts/:id', strictLimiter, requireAdmin, (req, res) => {
+    const id = parseIdParam(req.params.id);
+    if (id === null || !db.deleteAlertRule(id)) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    res.json({ success: true });
+});
+
+// Send a test payload to a rule's webhook and report how it went
+app.post('/api/admin/alerts/:id/test', strictLimiter, requireAdmin, async (req, res) => {
+    const id = parseIdParam(req.params.id);
+    const rule = id === null ? null : db.getAlertRule(id);
+    if (!rule) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    const delivery = await alerts.sendTest(rule);
+    res.status(delivery.outcome === 'delivered' ? 200 : 502).json(delivery);
+});
+
+// Webhook delivery log, newest first (?rule=ID&limit=50)
+app.get('/api/admin/alerts/deliveries', requireAdmin, (req, res) => {
+    let ruleId = null;
+    if (req.query.rule !== undefined) {
+        ruleId = parseIdParam(req.query.rule);
+        if (ruleId === null) {
+            return res.status(400).json({ error: 'rule must be an alert rule ID' });
+        }
+    }
+
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({ error: 'limit must be an integer between 1 and 500' });
+    }
+
+    res.json({ deliveries: db.getDeliveries({ ruleId, limit }) });
+});
+
+// Crossing definitions (protected). Changes are test-fetched before they are
+// saved and apply from the next refresh.
+function toAdminCrossing(crossing) {
+    return {
+        ...crossings.toDefinition(crossing),
+        enabled: crossing.enabled,
+        origin: crossing.origin
+    };
+}
+
+// Validate a crossing definition and check the provider can route it
+// Returns { definition, test } with only the definition's known fields on
+// success, or { status, error } to send back
+async function checkCrossingDefinition(body) {
+    const problems = crossings.validateCrossings([body]);
+    if (problems.length > 0) {
+        return { status: 400, error: problems.join('; ') };
+    }
+
+    const definition = crossings.normalize(body);
+    try {
+        return { definition, test: await traffic.testRoute(definition.id, definition.route) };
+    } catch (error) {
+        return { status: 422, error: `Test fetch failed: ${error.message}` };
+    }
+}
+
+app.get('/api/admin/crossings', requireAdmin, (req, res) => {
+    res.json({ crossings: crossings.listAll().map(toAdminCrossing) });
+});
+
+app.post('/api/admin/crossings', strictLimiter, requireAdmin, async (req, res) => {
+    const body = req.body;
+    if (body && typeof body.id === 'string' && crossings.get(body.id, { includeDisabled: true })) {
+        return res.status(409).json({ error: 'A crossing with this id already exists' });
+    }
+
+    const { definition, test, status: code, error } = await checkCrossingDefinition(body);
+    if (error) {
+        return res.status(code).json({ error });
+    }
+
+    const saved = crossings.save(definition);
+    res.status(201).json({ crossing: toAdminCrossing(saved), test });
+});
+
+app.put('/api/admin/crossings/:id', strictLimiter, requireAdmin, async (req, res) => {
+    const existing = crossings.get(req.params.id, { includeDisabled: true });
+    if (!existing) {
+        return res.status(404).json({ error: 'Crossing not found' });
+    }
+
+    if (req.body && req.body.id !== undefined && req.body.id !== existing.id) {
+        return res.status(400).json({ error: 'id cannot be changed' });
+    }
+
+    const { definition, test, status: code, error } = await checkCrossingDefinition({ ...req.body, id: existing.id });
+    if (error) {
+        return res.status(code).json({ error });
+    }
+
+    const saved = crossings.save(definition, { enabled: existing.enabled });
+    res.json({ crossing: toAdminCrossing(saved), test });
+});
+
+app.post('/api/admin/crossings/:id/disable', strictLimiter, requireAdmin, (req, res) => {
+    const updated = crossings.setEnabled(req.params.id, false);
+    if (!updated) {
+        return res.status(404).json({ error: 'Crossing not found' });
+    }
+    res.json({ crossing: toAdminCrossing(updated) });
+});
+
+app.post('/api/admin/crossings/:id/enable', strictLimiter, requireAdmin, async (req, res) => {
+    const existing = crossings.get(req.params.id, { includeDisabled: true });
+    if (!existing) {
+        return res.status(404).json({ error: 'Crossing not found' });
+    }
+
+    const { test, status: code, error } = await checkCrossingDefinition(crossings.toDefinition(existing));
+    if (error) {
+        return res.status(code).json({ error });
+    }
+
+    const updated = crossings.setEnabled(existing.id, true);
+    res.json({ crossing: toAdminCrossing(updated), test });
+});
+
+// Commute profiles (protected). See commutes.js. Each change is timed through
+// the provider first and rejected if no crossing can be routed.
+async function checkCommute(profileId, body) {
+    const { profile, error } = commutes.validateProfile(body);
+    if (error) {
+        return { status: 400, error };
+    }
+
+    const test = await commutes.timeProfile(profileId, profile);
+    if (test.every(result => result.error)) {
+        return { status: 422, error: `Test fetch failed: ${test[0].error}` };
+    }
+    return { profile, test };
+}
+
+app.get('/api/admin/commutes', requireAdmin, (req, res) => {
+    res.json({ commutes: db.getCommuteProfiles() });
+});
+
+app.post('/api/admin/commutes', strictLimiter, requireAdmin, async (req, res) => {
+    if (db.getCommuteProfiles().length >= commutes.MAX_PROFILES) {
+        return res.status(409).json({ error: `At most ${commutes.MAX_PROFILES} commutes can be saved` });
+    }
+
+    const { profile, test, status: code, error } = await checkCommute('new', req.body);
+    if (error) {
+        return res.status(code).json({ error });
+    }
+
+    const saved = db.createCommuteProfile(profile);
+    commutes.storeTimes(saved.id, test, new Date());
+    res.status(201).json({ commute: saved, test });
+});
+
+app.put('/api/admin/commutes/:id', strictLimiter, requireAdmin, async (req, res) => {
+    const id = parseIdParam(req.params.id);
+    if (id === null || !db.getCommuteProfile(id)) {
+        return res.status(404).json({ error: 'Commute not found' });
+    }
+
+    const { profile, test, status: code, error } = await checkCommute(id, req.body);
+    if (error) {
+        return res.status(code).json({ error });
+    }
+
+    const updated = db.updateCommuteProfile(id, profile);
+    commutes.storeTimes(id, test, new Date());
+    res.json({ commute: updated, test });
+});
+
+app.delete('/api/admin/commutes/:id', strictLimiter, requireAdmin, (req, res) => {
+    const id = parseIdParam(req.params.id);
+    if (id === null || !db.deleteCommuteProfile(id)) {
+        return res.status(404).json({ error: 'Commute not found' });
+    }
+    res.json({ success: true });
+});
+
+// Bulk import and export of raw readings (protected). See transfer.js for the formats.
+// Import: POST a CSV (text/csv) or NDJSON (application/x-ndjson) body;
+// ?partial=true stores the valid rows even if others are invalid
+// Read the body as text whenever the request names an import format, by
+// ?format= or Content-Type
+const importBody = express.text({
+    type: req => transfer.resolveFormat(req.query.format, req.headers['content-type']) !== null,
+    limit: '10mb'
+});
+
+app.post('/api/admin/readings/import', strictLimiter, requireAdmin, importBody, (req, res) => {
+    const format = transfer.resolveFormat(req.query.format, req.headers['content-type']);
+    if (!format || typeof req.body !== 'string') {
+        return res.status(415).json({
+            error: 'Send a CSV (text/csv) or NDJSON (application/x-ndjson or application/jsonl) body, or set ?format='
+        });
+    }
+
+    if (req.query.partial !== undefined && req.query.partial !== 'true' && req.query.partial !== 'false') {
+        return res.status(400).json({ error: 'partial must be true or false' });
+    }
+
+    const result = transfer.importReadings(req.body, format, { partial: req.query.partial === 'true' });
+    if (result.error) {
+        return res.status(400).json({ error: result.error });
+    }
+    if (result.rejected) {
+        return res.status(422).json({
+            error: `${result.invalid} invalid row(s) - nothing was imported`,
+            ...result
+        });
+    }
+    res.json({ success: true, ...result });
+});
+
+// Export: ?format=csv|ndjson (default csv), ?level=raw|hourly|daily (default raw),
+// ?crossing=, ?from=&to=
+// Streamed a page at a time, waiting for the client to catch up between pages
+app.get('/api/admin/readings/export', strictLimiter, requireAdmin, async (req, res) => {
+    const format = req.query.format === undefined ? 'csv' : transfer.resolveFormat(req.query.format);
+    if (!format) {
+        return res.status(400).json({ error: `format must be one of: ${Object.keys(transfer.FORMATS).join(', ')}` });
+    }
+
+    const level = req.query.level === undefined ? 'raw' : req.query.level;
+    if (!transfer.LEVELS.includes(level)) {
+        return res.status(400).json({ error: `level must be one of: ${transfer.LEVELS.join(', ')}` });
+    }
+
+    let crossingId = null;
+    if (req.query.crossing !== undefined) {
+        crossingId = req.query.crossing;
+        if (typeof crossingId !== 'string' || !crossings.get(crossingId, { includeDisabled: true })) {
+            return res.status(400).json({ error: 'Invalid crossing ID' });
+        }
+    }
+
+    let from = null;
+    let to = null;
+    if (req.query.from !== undefined) {
+        from = typeof req.query.from === 'string' ? parseDateParam(req.query.from) : null;
+        if (!from) return res.status(400).json({ error: 'from must be an ISO date or date-time' });
+    }
+    if (req.query.to !== undefined) {
+        to = typeof req.query.to === 'string' ? parseDateParam(req.query.to, true) : null;
+        if (!to) return res.status(400).json({ error: 'to must be an ISO date or date-time' });
+    }
+    if (from && to && from >= to) {
+        return res.status(400).json({ error: 'from must be before to' });
+    }
+
+    const name = level === 'raw' ? 'readings' : `readings-${level}`;
+    const filename = `${name}-${crossingId || 'all'}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Type', `${transfer.FORMATS[format]}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    try {
+        for (const chunk of transfer.exportReadings(format, { level, crossingId, from, to })) {
+            if (res.destroyed) return;
+            if (!res.write(chunk)) {
+                await Promise.race([once(res, 'drain'), once(res, 'close')]);
+            }
+        }
+        res.end();
+    } catch (error) {
+        console.error('Export failed:', error.message);
+        res.destroy();
+    }
+});
+
+// API keys and the audit log (protected). Keys are issued with the keys.js CLI.
+app.get('/api/admin/keys', requireAdmin, (req, res) => {
+    res.json({ keys: db.getApiKeys() });
+});
+
+app.delete('/api/admin/keys/:id', strictLimiter, requireAdmin, (req, res) => {
+    const id = parseIdParam(req.params.id);
+    if (id === null || !db.revokeApiKey(id)) {
+        return res.status(404).json({ error: 'No active key with this ID' });
+    }
+    res.json({ success: true });
+});
+
+// Calls to protected endpoints, newest first
+// ?key=ID, ?from=&to=, ?failed=true (only 4xx/5xx), ?limit= (default 100)
+app.get('/api/admin/audit', requireAdmin, (req, res) => {
+    let keyId = null;
+    if (req.query.key !== undefined) {
+        keyId = parseIdParam(req.query.key);
+        if (keyId === null) {
+            return res.status(400).json({ error: 'key must be an API key ID' });
+        }
+    }
+
+    if (req.query.failed !== undefined && req.query.failed !== 'true' && req.query.failed !== 'false') {
+        return res.status(400).json({ error: 'failed must be true or false' });
+    }
+
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        return res.status(400).json({ error: 'limit must be an integer between 1 and 1000' });
+    }
+
+    let from = null;
+    let to = null;
+    if (req.query.from !== undefined) {
+        from = typeof req.query.from === 'string' ? parseDateParam(req.query.from) : null;
+        if (!from) return res.status(400).json({ error: 'from must be an ISO date or date-time' });
+    }
+    if (req.query.to !== undefined) {
+        to = typeof req.query.to === 'string' ? parseDateParam(req.query.to, true) : null;
+        if (!to) return res.status(400).json({ error: 'to must be an ISO date or date-time' });
+    }
+
+    res.json({
+        entries: db.getAuditLog({ keyId, from, to, failedOnly: req.query.failed === 'true', limit })
+    });
+});
+
+/**
+ * Start fetching, maintenance and the transit feeds, then listen on PORT.
+ * Only runs when app.js is the entry point, so tests can load the app and
+ * drive refreshes themselves.
+ */
+function start() {
+    // Start periodic traffic data fetching (every 10 minutes)
+    if (traffic.isConfigured()) {
+        console.log('Google Maps API configured - will fetch real traffic data');
+    } else {
+        console.log(`Using ${traffic.getProviderName()} traffic provider`);
+    }
 
     // Fetch immediately on startup
     refreshTrafficData().catch(err => {
@@ -329,12 +1189,50 @@ if (traffic.isConfigured()) {
             console.error('Scheduled traffic fetch failed:', err.message);
         });
     }, CACHE_TTL);
-} else {
-    console.log('No Google Maps API key found - using mock data');
+
+    // Retention roll-ups, ANALYZE and VACUUM, each when its interval has passed
+    function runMaintenance() {
+        try {
+            retention.runMaintenance();
+        } catch (error) {
+            console.error('Database maintenance failed:', error.message);
+        }
+    }
+    runMaintenance();
+    setInterval(runMaintenance, retention.CHECK_INTERVAL_MS);
+
+    // Transit schedules, read from the GTFS zips now and whenever one changes.
+    // Cards are pushed again once they're read rather than at the next refresh.
+    function pushTransit() {
+        if (trafficCache.data) {
+            broadcast('crossings', buildCrossingsPayload(trafficCache.data));
+        }
+    }
+    transit.loadFeeds()
+        .then(pushTransit)
+        .catch(error => console.error('Failed to load transit feeds:', error.message));
+    transit.watch(pushTransit);
+
+    // Comment lines keep idle streams open
+    setInterval(() => {
+        for (const client of streamClients) {
+            client.write(': ping\n\n');
+        }
+    }, STREAM_HEARTBEAT_MS);
+
+    app.listen(PORT, () => {
+        console.log(`Commute Check running at http://localhost:${PORT}`);
+        if (!auth.hasUsableKeys()) {
+            console.log('No API keys yet - protected endpoints are locked. Issue one with:');
+            console.log('  npm run keys -- issue <name> --scopes admin');
+        } else if (auth.hasEnvKey()) {
+            console.log('ADMIN_API_KEY from the env file is accepted with every scope.');
+        }
+    });
 }
 
-app.listen(PORT, () => {
-    console.log(`Commute Check running at http://localhost:${PORT}`);
-    console.log('Admin API key is configured.');
-    console.log('(Set ADMIN_API_KEY in env file to use a persistent key)');
-});
+if (require.main === module) {
+    start();
+}
+
+module.exports = { app, refreshTrafficData };
@@ -0,0 +1,153 @@
+'use strict';
+
+const crypto = require('crypto');
+const db = require('./db');
+
+// API keys for protected endpoints. Keys are issued with the keys.js CLI and
+// only a SHA-256 hash is stored, so a lost key can't be recovered, only
+// revoked and replaced. Each key has scopes:
+//   readings:write - POST /api/readings
+//   refresh        - POST /api/refresh
+//   admin          - /api/admin/* (and implies the other scopes)
+// ADMIN_API_KEY from the env file still works as a key with every scope.
+const SCOPES = ['readings:write', 'refresh', 'admin'];
+const KEY_PREFIX = 'cc_';
+const ENV_KEY = process.env.ADMIN_API_KEY || null;
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Parse a comma-separated scope list (null if any scope is unknown)
+ */
+function parseScopes(value) {
+    const scopes = [...new Set(String(value).split(',').map(s => s.trim()).filter(Boolean))];
+    if (scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) return null;
+    return scopes;
+}
+
+/**
+ * Parse an expiry such as "90d", "12h" or an ISO date into a Date
+ * (null if invalid or not in the future)
+ */
+function parseExpiry(value, now = new Date()) {
+    const relative = /^(\d+)([dh])$/.exec(value);
+    const date = relative
+        ? new Date(now.getTime() + parseInt(relative[1], 10) * (relative[2] === 'd' ? 24 : 1) * 60 * 60 * 1000)
+        : new Date(value);
+    if (Number.isNaN(date.getTime()) || date <= now) return null;
+    return date;
+}
+
+/**
+ * Create a new key. Returns the plain key (shown once) and its stored record.
+ */
+function issueKey({ name, scopes, expiresAt = null }) {
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const record = db.addApiKey({
+        name,
+        prefix: key.slice(0, KEY_PREFIX.length + 8),
+        keyHash: hashKey(key),
+        scopes,
+        expiresAt
+    });
+    return { key, record };
+}
+
+/**
+ * Look up the caller behind an API key
+ * Returns { identity } or { error } (with the identity when the key is known
+ * but no longer valid, so the audit log can name it)
+ */
+function authenticate(key) {
+    if (typeof key !== 'string' || key === '') {
+        return { error: 'Invalid or missing API key' };
+    }
+
+    // Timing-safe comparison for the env key, to prevent timing attacks
+    if (ENV_KEY) {
+        const keyBuffer = Buffer.from(key);
+        const envBuffer = Buffer.from(ENV_KEY);
+        if (keyBuffer.length === envBuffer.length && crypto.timingSafeEqual(keyBuffer, envBuffer)) {
+            return { identity: { id: null, name: 'ADMIN_API_KEY', scopes: SCOPES } };
+        }
+    }
+
+    // Stored keys are looked up by hash, so there's no secret to compare
+    const record = db.getApiKeyByHash(hashKey(key));
+    if (!record) {
+        return { error: 'Invalid or missing API key' };
+    }
+    if (record.revokedAt) {
+        return { identity: record, error: 'API key has been revoked' };
+    }
+    if (record.expiresAt && new Date(record.expiresAt) <= new Date()) {
+        return { identity: record, error: 'API key has expired' };
+    }
+    return { identity: record };
+}
+
+function hasScope(identity, scope) {
+    return identity.scopes.includes(scope) || identity.scopes.includes('admin');
+}
+
+/**
+ * Middleware requiring an x-api-key header with the given scope
+ * Every call through it is written to the audit log once the response is sent
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        res.on('finish', () => {
+            const identity = res.locals.apiKey;
+            try {
+                db.addAuditEntry({
+                    keyId: identity ? identity.id : null,
+                    keyName: identity ? identity.name : null,
+                    method: req.method,
+                    path: req.originalUrl.slice(0, 500),
+                    scope,
+                    statusCode: res.statusCode,
+                    ip: req.ip
+                });
+            } catch (error) {
+                console.error('Failed to write audit log:', error.message);
+            }
+        });
+
+        const { identity, error } = authenticate(req.headers['x-api-key']);
+        res.locals.apiKey = identity || null;
+
+        if (error) {
+            return res.status(401).json({ error: `Unauthorized: ${error}` });
+        }
+        if (!hasScope(identity, scope)) {
+            return res.status(403).json({ error: `Forbidden: this key lacks the ${scope} scope` });
+        }
+
+        if (identity.id !== null) {
+            db.touchApiKey(identity.id);
+        }
+        next();
+    };
+}
+
+/**
+ * Whether any key can be used: the env key or an unrevoked, unexpired stored key
+ */
+function hasUsableKeys() {
+    if (ENV_KEY) return true;
+    const now = new Date();
+    return db.getApiKeys().some(k => !k.revokedAt && (!k.expiresAt || new Date(k.expiresAt) > now));
+}
+
+module.exports = {
+    SCOPES,
+    parseScopes,
+    parseExpiry,
+    issueKey,
+    authenticate,
+    requireScope,
+    hasUsableKeys,
+    hasEnvKey: () => ENV_KEY !== null
+};
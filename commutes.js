@@ -0,0 +1,196 @@
+'use strict';
+
+const db = require('./db');
+const crossings = require('./crossings');
+const traffic = require('./traffic');
+const timezone = require('./timezone');
+
+// Commute profiles: a door-to-door trip (origin and destination as "lat,lng")
+// and the crossings to compare for it. On every refresh each candidate is
+// timed through the traffic provider as origin -> crossing waypoint ->
+// destination, and the travel times are stored as the profile's history.
+const MAX_PROFILES = 20;
+const MAX_CANDIDATES = 6;
+
+// Travel times older than this aren't ranked as current
+const STALE_MINUTES = 30;
+
+// Set while refresh() runs, so a slow run isn't overlapped by the next one
+let refreshing = false;
+
+/**
+ * Validate a commute profile from a request body
+ * Returns { profile } or { error }
+ */
+function validateProfile(body) {
+    if (!body || typeof body !== 'object') {
+        return { error: 'Request body must be a JSON object' };
+    }
+
+    const { name, origin, destination, crossingIds } = body;
+
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+        return { error: 'name is required and must be at most 100 characters' };
+    }
+
+    for (const [field, value] of [['origin', origin], ['destination', destination]]) {
+        if (typeof value !== 'string' || !crossings.COORD_PATTERN.test(value)) {
+            return { error: `${field} must be a "lat,lng" string` };
+        }
+    }
+
+    if (!Array.isArray(crossingIds) || crossingIds.length === 0 || crossingIds.length > MAX_CANDIDATES) {
+        return { error: `crossingIds must list 1 to ${MAX_CANDIDATES} crossing IDs` };
+    }
+    if (crossingIds.some(id => typeof id !== 'string' || !crossings.get(id))) {
+        return { error: 'crossingIds must be valid crossing IDs' };
+    }
+    if (new Set(crossingIds).size !== crossingIds.length) {
+        return { error: 'crossingIds must not repeat a crossing' };
+    }
+
+    return { profile: { name: name.trim(), origin, destination, crossingIds } };
+}
+
+// Provider route for a commute through one crossing. The ID only needs to be
+// stable, so the mock provider gives each pair its own pattern.
+function routeFor(profileId, profile, crossing) {
+    return {
+        id: `commute-${profileId}-${crossing.id}`,
+        route: { origin: profile.origin, destination: profile.destination, waypoint: crossing.route.waypoint }
+    };
+}
+
+// Provider routes for a profile through each of its enabled crossings
+function candidateRoutes(profileId, profile) {
+    return profile.crossingIds
+        .map(id => crossings.get(id))
+        .filter(Boolean)
+        .map(crossing => ({ profileId, crossingId: crossing.id, ...routeFor(profileId, profile, crossing) }));
+}
+
+// Time candidate routes through traffic.fetchRoutes, so commutes share the
+// refresh's concurrency limit and deadline
+async function timeRoutes(routes) {
+    const results = await traffic.fetchRoutes(routes);
+    return results.map((result, index) => {
+        const { profileId, crossingId } = routes[index];
+        if (result.error) {
+            console.error(`Failed to time commute ${profileId} via ${crossingId}:`, result.error);
+            return { crossingId, error: result.error };
+        }
+        return {
+            crossingId,
+            travelTime: result.waitTime,
+            baselineTime: result.baselineTime,
+            distance: result.distance,
+            source: result.source
+        };
+    });
+}
+
+/**
+ * Time a profile through each of its enabled crossings
+ * Resolves to [{ crossingId, travelTime, baselineTime, distance, source } | { crossingId, error }]
+ */
+async function timeProfile(profileId, profile) {
+    return timeRoutes(candidateRoutes(profileId, profile));
+}
+
+// Store the successful results of timeProfile
+function storeTimes(profileId, results, timestamp) {
+    for (const result of results) {
+        if (result.error) continue;
+        db.addCommuteReading({
+            profileId,
+            crossingId: result.crossingId,
+            travelTime: result.travelTime,
+            baselineTime: result.baselineTime,
+            distanceMiles: result.distance ? parseFloat(result.distance) : null,
+            source: result.source,
+            timestamp
+        });
+    }
+}
+
+/**
+ * Time every saved profile in one batch and store the results. Called after
+ * each refresh. Resolves to the number of profiles timed, or null if the
+ * previous run was still going and this one was skipped.
+ */
+async function refresh(now = new Date()) {
+    if (refreshing) {
+        console.warn('Skipping commute timing: the previous run is still going');
+        return null;
+    }
+
+    refreshing = true;
+    try {
+        const profiles = db.getCommuteProfiles();
+        const routes = profiles.flatMap(profile => candidateRoutes(profile.id, profile));
+        const results = await timeRoutes(routes);
+        for (const profile of profiles) {
+            storeTimes(profile.id, results.filter((result, index) => routes[index].profileId === profile.id), now);
+        }
+        return profiles.length;
+    } finally {
+        refreshing = false;
+    }
+}
+
+/**
+ * Current ranking for a profile: its crossings fastest first, each with the
+ * latest travel time, how much slower it is than the best, and the usual time
+ * for this weekday and hour. Crossings without a recent time come last.
+ */
+function rank(profile, { now = new Date(), excludeSources = [] } = {}) {
+    const latest = new Map(db.getLatestCommuteReadings(profile.id).map(r => [r.crossingId, r]));
+    const local = timezone.parseUtc(timezone.toLocalString(timezone.toUtcString(now)));
+    const usual = db.getCommuteUsualTimes(profile.id, local.getUTCDay(), local.getUTCHours(), { excludeSources });
+
+    const candidates = profile.crossingIds.map(crossingId => {
+        const crossing = crossings.get(crossingId);
+        const reading = latest.get(crossingId);
+        const current = reading && now - reading.recordedAt <= STALE_MINUTES * 60 * 1000 ? reading : null;
+        const usualTime = usual.get(crossingId);
+        return {
+            crossingId,
+            name: crossing ? crossing.name : crossingId,
+            direction: crossing ? crossing.direction : null,
+            icon: crossing ? crossing.icon : null,
+            travelTime: current ? current.travelTime : null,
+            baselineTime: current ? current.baselineTime : null,
+            distanceMiles: current ? current.distanceMiles : null,
+            usualTime: usualTime ? Math.round(usualTime.avgTime) : null,
+            updatedAt: current ? current.recordedAt.toISOString() : null
+        };
+    });
+
+    candidates.sort((a, b) => (a.travelTime ?? Infinity) - (b.travelTime ?? Infinity));
+    const best = candidates[0] && candidates[0].travelTime !== null ? candidates[0].travelTime : null;
+    candidates.forEach(candidate => {
+        candidate.slowerBy = best !== null && candidate.travelTime !== null ? candidate.travelTime - best : null;
+    });
+    return candidates;
+}
+
+/**
+ * Profiles with their rankings, without coordinates (safe for the browser)
+ */
+function listSummaries(options = {}) {
+    return db.getCommuteProfiles().map(profile => ({
+        id: profile.id,
+        name: profile.name,
+        candidates: rank(profile, options)
+    }));
+}
+
+module.exports = {
+    MAX_PROFILES,
+    validateProfile,
+    timeProfile,
+    storeTimes,
+    refresh,
+    rank,
+    listSummaries
+};
@@ -0,0 +1,266 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const status = require('./status');
+const db = require('./db');
+
+// Crossing registry, loaded from a JSON config file at startup.
+// Override the location with CROSSINGS_CONFIG in the env file.
+const CONFIG_PATH = process.env.CROSSINGS_CONFIG
+    ? path.resolve(process.env.CROSSINGS_CONFIG)
+    : path.join(__dirname, 'crossings.json');
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const COORD_PATTERN = /^-?\d{1,2}(\.\d+)?,-?\d{1,3}(\.\d+)?$/;
+const TEXT_FIELDS = ['name', 'direction', 'area', 'icon'];
+const ROUTE_FIELDS = ['origin', 'destination', 'waypoint'];
+
+let registry = [];
+let configFile = CONFIG_PATH;
+
+/**
+ * Derive 'into' or 'out' from a direction label such as "Into Manhattan"
+ */
+function getBound(direction) {
+    if (/^into\b/i.test(direction)) return 'into';
+    if (/^out\b/i.test(direction)) return 'out';
+    return null;
+}
+
+/**
+ * Validate a list of crossing definitions
+ * Returns a list of human-readable problems (empty when valid)
+ */
+function validateCrossings(list) {
+    if (!Array.isArray(list)) {
+        return ['Crossing config must be a JSON array'];
+    }
+
+    const errors = [];
+    const seenIds = new Set();
+
+    list.forEach((crossing, index) => {
+        const label = crossing && typeof crossing.id === 'string' ? crossing.id : `#${index}`;
+
+        if (!crossing || typeof crossing !== 'object') {
+            errors.push(`${label}: entry must be an object`);
+            return;
+        }
+
+        if (typeof crossing.id !== 'string' || !ID_PATTERN.test(crossing.id)) {
+            errors.push(`${label}: id must be lowercase letters, digits and dashes`);
+        } else if (seenIds.has(crossing.id)) {
+            errors.push(`${label}: duplicate id`);
+        } else {
+            seenIds.add(crossing.id);
+        }
+
+        for (const field of TEXT_FIELDS) {
+            if (typeof crossing[field] !== 'string' || crossing[field].trim() === '') {
+                errors.push(`${label}: ${field} is required and must be a string`);
+            }
+        }
+
+        if (typeof crossing.direction === 'string' && !getBound(crossing.direction)) {
+            errors.push(`${label}: direction must start with "Into" or "Out of"`);
+        }
+
+        if (!crossing.route || typeof crossing.route !== 'object') {
+            errors.push(`${label}: route is required`);
+            return;
+        }
+
+        for (const field of ROUTE_FIELDS) {
+            if (typeof crossing.route[field] !== 'string' || !COORD_PATTERN.test(crossing.route[field])) {
+                errors.push(`${label}: route.${field} must be a "lat,lng" string`);
+            }
+        }
+
+        if (crossing.thresholds !== undefined) {
+            for (const problem of status.validateThresholds(crossing.thresholds)) {
+                errors.push(`${label}: ${problem}`);
+            }
+        }
+    });
+
+    return errors;
+}
+
+// Registry entry from a crossing definition
+function toEntry(crossing, { enabled = true, origin = 'config' } = {}) {
+    return {
+        id: crossing.id,
+        name: crossing.name,
+        direction: crossing.direction,
+        bound: getBound(crossing.direction),
+        area: crossing.area,
+        icon: crossing.icon,
+        route: {
+            origin: crossing.route.origin,
+            destination: crossing.route.destination,
+            waypoint: crossing.route.waypoint
+        },
+        thresholds: crossing.thresholds
+            ? { mode: crossing.thresholds.mode, moderate: crossing.thresholds.moderate, heavy: crossing.thresholds.heavy }
+            : { ...status.DEFAULT_THRESHOLDS },
+        enabled,
+        origin
+    };
+}
+
+// Read and validate the crossing config file
+function readConfig(configPath) {
+    let list;
+    try {
+        list = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Unable to read crossing config ${configPath}: ${error.message}`);
+    }
+
+    const errors = validateCrossings(list);
+    if (errors.length > 0) {
+        throw new Error(`Invalid crossing config ${configPath}:\n  ${errors.join('\n  ')}`);
+    }
+    return list;
+}
+
+// Registry entries from the config file's crossings, with saved definitions
+// ([{ definition, enabled }]) replacing or adding to them
+function buildRegistry(list, savedDefinitions) {
+    const entries = list.map(crossing => toEntry(crossing));
+    for (const saved of savedDefinitions) {
+        const problems = validateCrossings([saved.definition]);
+        if (problems.length > 0) {
+            throw new Error(`Invalid saved crossing:\n  ${problems.join('\n  ')}`);
+        }
+        const entry = toEntry(saved.definition, { enabled: saved.enabled, origin: 'database' });
+        const index = entries.findIndex(c => c.id === entry.id);
+        if (index === -1) {
+            entries.push(entry);
+        } else {
+            entries[index] = entry;
+        }
+    }
+    return entries;
+}
+
+/**
+ * Load and validate the crossing registry: the config file, with crossings
+ * saved through the admin API replacing or adding to its entries
+ * Throws with every validation problem listed if the config is invalid
+ */
+function load(configPath = CONFIG_PATH) {
+    const entries = buildRegistry(readConfig(configPath), db.getCrossingDefinitions());
+    configFile = configPath;
+    registry = entries;
+    return registry;
+}
+
+/**
+ * Enabled crossings, including their routes
+ */
+function list() {
+    return registry.filter(c => c.enabled);
+}
+
+/**
+ * Every crossing, including disabled ones
+ */
+function listAll() {
+    return registry;
+}
+
+/**
+ * Look up a single crossing by id (disabled crossings only if asked for)
+ */
+function get(crossingId, { includeDisabled = false } = {}) {
+    return registry.find(c => c.id === crossingId && (c.enabled || includeDisabled)) || null;
+}
+
+/**
+ * The definition of a crossing, in the same shape as a config file entry
+ */
+function toDefinition(crossing) {
+    return {
+        id: crossing.id,
+        name: crossing.name,
+        direction: crossing.direction,
+        area: crossing.area,
+        icon: crossing.icon,
+        route: { ...crossing.route },
+        thresholds: { ...crossing.thresholds }
+    };
+}
+
+/**
+ * A valid definition reduced to the fields of a config file entry, with
+ * default thresholds filled in
+ */
+function normalize(definition) {
+    return toDefinition(toEntry(definition));
+}
+
+/**
+ * Save a crossing definition to the database and rebuild the registry, so
+ * the change applies from the next refresh. Only the fields of a config file
+ * entry are kept. The new registry is built before anything is written, so
+ * an invalid definition or config file leaves both unchanged.
+ */
+function save(definition, { enabled = true } = {}) {
+    const problems = validateCrossings([definition]);
+    if (problems.length > 0) {
+        throw new Error(`Invalid crossing:\n  ${problems.join('\n  ')}`);
+    }
+
+    const normalized = normalize(definition);
+    const savedDefinitions = db.getCrossingDefinitions();
+    const index = savedDefinitions.findIndex(saved => saved.definition.id === normalized.id);
+    if (index === -1) {
+        savedDefinitions.push({ definition: normalized, enabled });
+    } else {
+        savedDefinitions[index] = { definition: normalized, enabled };
+    }
+    const entries = buildRegistry(readConfig(configFile), savedDefinitions);
+
+    db.saveCrossingDefinition(normalized, enabled);
+    registry = entries;
+    return get(normalized.id, { includeDisabled: true });
+}
+
+/**
+ * Disable or re-enable a crossing, keeping its current definition
+ */
+function setEnabled(crossingId, enabled) {
+    const crossing = get(crossingId, { includeDisabled: true });
+    if (!crossing) return null;
+    return save(toDefinition(crossing), { enabled });
+}
+
+/**
+ * Crossing metadata safe to send to the browser (no route coordinates)
+ */
+function toPublic(crossing) {
+    return {
+        id: crossing.id,
+        name: crossing.name,
+        direction: crossing.direction,
+        bound: crossing.bound,
+        area: crossing.area,
+        icon: crossing.icon
+    };
+}
+
+module.exports = {
+    COORD_PATTERN,
+    load,
+    list,
+    listAll,
+    get,
+    toDefinition,
+    normalize,
+    save,
+    setEnabled,
+    toPublic,
+    validateCrossings
+};
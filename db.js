@@ -2,55 +2,469 @@
 
 const Database = require('better-sqlite3');
 const path = require('path');
+const { migrate } = require('./migrate');
+const timezone = require('./timezone');
 
-const dbPath = path.join(__dirname, 'commute.db');
+const dbPath = process.env.DB_PATH
+    ? path.resolve(process.env.DB_PATH)
+    : path.join(__dirname, 'commute.db');
 const db = new Database(dbPath);
 
-// Initialize database schema
-db.exec(`
-    CREATE TABLE IF NOT EXISTS readings (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        crossing_id TEXT NOT NULL,
-        wait_time INTEGER NOT NULL,
-        recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
+// Bring the schema up to date before preparing any statements
+migrate(db);
 
-    CREATE INDEX IF NOT EXISTS idx_readings_crossing ON readings(crossing_id);
-    CREATE INDEX IF NOT EXISTS idx_readings_time ON readings(recorded_at);
-`);
+// local_time(recorded_at): stored UTC timestamp as wall-clock time in the
+// display time zone, for grouping by day of week and hour
+db.function('local_time', { deterministic: true }, value => timezone.toLocalString(value));
+
+// percentile(value, p): p-th percentile (0-100) with linear interpolation,
+// since SQLite has no built-in percentile aggregate
+db.aggregate('percentile', {
+    start: () => ({ values: [], p: null }),
+    step: (state, value, p) => {
+        if (value !== null) state.values.push(value);
+        state.p = p;
+    },
+    result: ({ values, p }) => percentileOf(values, p)
+});
+
+// histogram_percentile(value, histogram, p): percentile over raw values and
+// rolled-up histograms ({"minutes": count} JSON, see retention.js) together
+db.aggregate('histogram_percentile', {
+    start: () => ({ histogram: {}, p: null }),
+    step: (state, value, histogram, p) => {
+        if (histogram !== null) {
+            addToHistogram(state.histogram, JSON.parse(histogram));
+        } else if (value !== null) {
+            state.histogram[value] = (state.histogram[value] || 0) + 1;
+        }
+        state.p = p;
+    },
+    result: ({ histogram, p }) => histogramPercentile(histogram, p)
+});
+
+// merge_histograms(a, b): add the counts of two histograms (b may have
+// negative counts to take readings out)
+db.function('merge_histograms', { deterministic: true }, (a, b) =>
+    JSON.stringify(addToHistogram(JSON.parse(a), JSON.parse(b))));
+
+// Add histogram b's counts into a, dropping values whose count reaches zero
+function addToHistogram(a, b) {
+    for (const [minutes, count] of Object.entries(b)) {
+        const total = (a[minutes] || 0) + count;
+        if (total > 0) a[minutes] = total;
+        else delete a[minutes];
+    }
+    return a;
+}
+
+// Same interpolation as percentileOf, without expanding the histogram
+function histogramPercentile(histogram, p) {
+    const entries = Object.entries(histogram)
+        .map(([minutes, count]) => [Number(minutes), count])
+        .sort((a, b) => a[0] - b[0]);
+    const total = entries.reduce((sum, [, count]) => sum + count, 0);
+    if (total === 0) return null;
+
+    // Value at a 0-based position in the sorted readings
+    const valueAt = index => {
+        let seen = 0;
+        for (const [minutes, count] of entries) {
+            seen += count;
+            if (index < seen) return minutes;
+        }
+        return entries[entries.length - 1][0];
+    };
+
+    const rank = (p / 100) * (total - 1);
+    const lower = valueAt(Math.floor(rank));
+    const upper = valueAt(Math.ceil(rank));
+    return lower + (upper - lower) * (rank - Math.floor(rank));
+}
+
+function percentileOf(values, p) {
+    if (values.length === 0) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// Where a reading came from: a traffic provider or a manual POST
+const SOURCES = ['google', 'mock', 'replay', 'manual'];
 
 // Insert a new reading
 const insertReading = db.prepare(`
-    INSERT INTO readings (crossing_id, wait_time, recorded_at)
-    VALUES (?, ?, ?)
+    INSERT INTO readings (crossing_id, wait_time, recorded_at, baseline_time, distance_miles, source)
+    VALUES (?, ?, ?, ?, ?, ?)
+`);
+
+// Keep the heatmap's running totals in step with the readings. The histogram
+// holds the change ({"minutes": count}); negative counts take readings out.
+const upsertHeatmapCell = db.prepare(`
+    INSERT INTO heatmap_cells
+        (crossing_id, source, day_of_week, hour, sample_count, total_time, total_squares, histogram, updated_at)
+    VALUES (@crossingId, @source, @dayOfWeek, @hour, @sampleCount, @totalTime, @totalSquares, @histogram, @now)
+    ON CONFLICT (crossing_id, source, day_of_week, hour) DO UPDATE SET
+        sample_count = sample_count + excluded.sample_count,
+        total_time = total_time + excluded.total_time,
+        total_squares = total_squares + excluded.total_squares,
+        histogram = merge_histograms(histogram, excluded.histogram),
+        updated_at = excluded.updated_at
+`);
+
+const deleteEmptyHeatmapCells = db.prepare('DELETE FROM heatmap_cells WHERE sample_count <= 0');
+
+// Weekday (0 = Sunday) and hour of a stored UTC timestamp in the display time zone
+function localDayHour(utcString) {
+    const local = timezone.parseUtc(timezone.toLocalString(utcString));
+    return { dayOfWeek: local.getUTCDay(), hour: local.getUTCHours() };
+}
+
+function updateHeatmapCell(crossingId, source, utcTimestamp, { sampleCount, totalTime, totalSquares, histogram }) {
+    upsertHeatmapCell.run({
+        crossingId,
+        source: source || '',
+        ...localDayHour(utcTimestamp),
+        sampleCount,
+        totalTime,
+        totalSquares,
+        histogram: JSON.stringify(histogram),
+        now: timezone.toUtcString(new Date())
+    });
+}
+
+// The cells are keyed by weekday and hour in the display time zone, which
+// can't be converted to another zone after the fact (DST shifts an hour's
+// offset through the year). So the zone is stored with them, and on startup
+// under a different DISPLAY_TIMEZONE they're rebuilt from the raw readings
+// and hourly rollups.
+const selectHeatmapCellsZone = db.prepare('SELECT time_zone FROM heatmap_cells_zone');
+const deleteHeatmapCellsZone = db.prepare('DELETE FROM heatmap_cells_zone');
+const insertHeatmapCellsZone = db.prepare('INSERT INTO heatmap_cells_zone (time_zone) VALUES (?)');
+const deleteHeatmapCells = db.prepare('DELETE FROM heatmap_cells');
+const insertHeatmapCell = db.prepare(`
+    INSERT INTO heatmap_cells
+        (crossing_id, source, day_of_week, hour, sample_count, total_time, total_squares, histogram, updated_at)
+    VALUES (@crossingId, @source, @dayOfWeek, @hour, @sampleCount, @totalTime, @totalSquares, @histogram, @now)
+`);
+const selectReadingsForCells = db.prepare(`
+    SELECT crossing_id, COALESCE(source, '') as source, recorded_at, wait_time
+    FROM readings
+    WHERE recorded_at IS NOT NULL
+`);
+const selectHourlyForCells = db.prepare('SELECT crossing_id, source, hour_start, histogram FROM readings_hourly');
+
+const rebuildHeatmapCells = db.transaction(timeZone => {
+    const cells = new Map();
+    function add(crossingId, source, utcString, histogram) {
+        const { dayOfWeek, hour } = localDayHour(utcString);
+        const key = `${crossingId}|${source}|${dayOfWeek}|${hour}`;
+        if (!cells.has(key)) {
+            cells.set(key, { crossingId, source, dayOfWeek, hour, histogram: {} });
+        }
+        addToHistogram(cells.get(key).histogram, histogram);
+    }
+    for (const row of selectReadingsForCells.iterate()) {
+        add(row.crossing_id, row.source, row.recorded_at, { [row.wait_time]: 1 });
+    }
+    for (const row of selectHourlyForCells.iterate()) {
+        add(row.crossing_id, row.source, row.hour_start, JSON.parse(row.histogram));
+    }
+
+    deleteHeatmapCells.run();
+    const now = timezone.toUtcString(new Date());
+    for (const { histogram, ...cell } of cells.values()) {
+        let sampleCount = 0;
+        let totalTime = 0;
+        let totalSquares = 0;
+        for (const [minutes, count] of Object.entries(histogram)) {
+            sampleCount += count;
+            totalTime += Number(minutes) * count;
+            totalSquares += Number(minutes) * Number(minutes) * count;
+        }
+        insertHeatmapCell.run({ ...cell, sampleCount, totalTime, totalSquares, histogram: JSON.stringify(histogram), now });
+    }
+
+    deleteHeatmapCellsZone.run();
+    insertHeatmapCellsZone.run(timeZone);
+    return cells.size;
+});
+
+const cellsZone = selectHeatmapCellsZone.get();
+if (!cellsZone || cellsZone.time_zone !== timezone.DISPLAY_TIMEZONE) {
+    const count = rebuildHeatmapCells(timezone.DISPLAY_TIMEZONE);
+    if (count > 0) {
+        console.log(`Rebuilt ${count} heatmap cells for ${timezone.DISPLAY_TIMEZONE}`);
+    }
+}
+
+function storeReading({ crossingId, waitTime, baselineTime = null, distanceMiles = null, source, timestamp = new Date() }) {
+    // Store as a UTC instant; queries convert to the display time zone
+    const utcTimestamp = timezone.toUtcString(timestamp);
+    const result = insertReading.run(crossingId, waitTime, utcTimestamp, baselineTime, distanceMiles, source);
+    updateHeatmapCell(crossingId, source, utcTimestamp, {
+        sampleCount: 1,
+        totalTime: waitTime,
+        totalSquares: waitTime * waitTime,
+        histogram: { [waitTime]: 1 }
+    });
+    return result;
+}
+
+const addReading = db.transaction(reading => storeReading(reading));
+
+// Bulk import: insert readings in one transaction, skipping any already stored
+// with the same crossing, time and source so merging a database twice is harmless.
+// Once an hour or day has been rolled up its readings can't be told apart, so
+// readings in an hour or day that already has an aggregate for the crossing and
+// source are skipped too, and counted as rolledUp rather than as duplicates.
+const findReading = db.prepare(`
+    SELECT 1 FROM readings WHERE crossing_id = ? AND recorded_at = ? AND source IS ?
+`);
+
+const findRolledUpHour = db.prepare(`
+    SELECT 1 FROM readings_hourly WHERE crossing_id = ? AND hour_start = ? AND source = ?
 `);
 
-function addReading(crossingId, waitTime, timestamp = new Date()) {
-    // Store in local time format for correct timezone display in heatmap
-    const localTimestamp = timestamp.getFullYear() + '-' +
-        String(timestamp.getMonth() + 1).padStart(2, '0') + '-' +
-        String(timestamp.getDate()).padStart(2, '0') + ' ' +
-        String(timestamp.getHours()).padStart(2, '0') + ':' +
-        String(timestamp.getMinutes()).padStart(2, '0') + ':' +
-        String(timestamp.getSeconds()).padStart(2, '0');
-    return insertReading.run(crossingId, waitTime, localTimestamp);
+const findRolledUpDay = db.prepare(`
+    SELECT 1 FROM readings_daily WHERE crossing_id = ? AND day = ? AND source = ?
+`);
+
+const importReadings = db.transaction(readings => {
+    let inserted = 0;
+    let duplicates = 0;
+    for (const reading of readings) {
+        const recordedAt = timezone.toUtcString(reading.timestamp);
+        const source = reading.source || '';
+        if (findReading.get(reading.crossingId, recordedAt, reading.source)) {
+            duplicates++;
+            continue;
+        }
+        if (findRolledUpHour.get(reading.crossingId, `${recordedAt.slice(0, 13)}:00:00`, source) ||
+            findRolledUpDay.get(reading.crossingId, timezone.toLocalString(recordedAt).slice(0, 10), source)) {
+            continue;
+        }
+        storeReading(reading);
+        inserted++;
+    }
+    return { inserted, duplicates, rolledUp: readings.length - inserted - duplicates };
+});
+
+function addReadings(readings) {
+    return importReadings(readings);
+}
+
+// One page of raw readings for export, oldest first. Pass the returned cursor
+// back as `after` for the next page; it is null once there are no more rows.
+const selectReadingsPage = db.prepare(`
+    SELECT id, crossing_id, recorded_at, wait_time, baseline_time, distance_miles, source
+    FROM readings
+    WHERE (@crossingId IS NULL OR crossing_id = @crossingId)
+      AND (@from IS NULL OR recorded_at >= @from)
+      AND (@to IS NULL OR recorded_at < @to)
+      AND (@afterTime IS NULL OR recorded_at > @afterTime OR (recorded_at = @afterTime AND id > @afterId))
+    ORDER BY recorded_at, id
+    LIMIT @limit
+`);
+
+function getReadingsPage({ crossingId = null, from = null, to = null, after = null, limit = 1000 } = {}) {
+    const rows = selectReadingsPage.all({
+        crossingId,
+        from: from ? timezone.toUtcString(from) : null,
+        to: to ? timezone.toUtcString(to) : null,
+        afterTime: after ? after.recordedAt : null,
+        afterId: after ? after.id : null,
+        limit
+    });
+    const last = rows[rows.length - 1];
+    return {
+        readings: rows.map(row => ({
+            crossingId: row.crossing_id,
+            recordedAt: timezone.parseUtc(row.recorded_at).toISOString(),
+            localTime: timezone.toLocalString(row.recorded_at),
+            waitTime: row.wait_time,
+            baselineTime: row.baseline_time,
+            distanceMiles: row.distance_miles,
+            source: row.source
+        })),
+        cursor: rows.length === limit ? { recordedAt: last.recorded_at, id: last.id } : null
+    };
+}
+
+// One page of hourly or daily aggregates for export, oldest first, paged the
+// same way as getReadingsPage
+function rollupPageQuery(table, startColumn) {
+    return db.prepare(`
+        SELECT crossing_id, ${startColumn} as period_start, source, sample_count, total_time, min_time, max_time
+        FROM ${table}
+        WHERE (@crossingId IS NULL OR crossing_id = @crossingId)
+          AND (@from IS NULL OR ${startColumn} >= @from)
+          AND (@to IS NULL OR ${startColumn} < @to)
+          AND (@afterStart IS NULL OR (${startColumn}, crossing_id, source) > (@afterStart, @afterCrossing, @afterSource))
+        ORDER BY ${startColumn}, crossing_id, source
+        LIMIT @limit
+    `);
+}
+
+const selectRollupPage = {
+    hourly: rollupPageQuery('readings_hourly', 'hour_start'),
+    daily: rollupPageQuery('readings_daily', 'day_start')
+};
+
+function getRollupPage(level, { crossingId = null, from = null, to = null, after = null, limit = 1000 } = {}) {
+    const rows = selectRollupPage[level].all({
+        crossingId,
+        from: from ? timezone.toUtcString(from) : null,
+        to: to ? timezone.toUtcString(to) : null,
+        afterStart: after ? after.periodStart : null,
+        afterCrossing: after ? after.crossingId : null,
+        afterSource: after ? after.source : null,
+        limit
+    });
+    const last = rows[rows.length - 1];
+    return {
+        rows: rows.map(row => ({
+            crossingId: row.crossing_id,
+            periodStart: timezone.parseUtc(row.period_start).toISOString(),
+            localTime: timezone.toLocalString(row.period_start),
+            source: row.source || null,
+            sampleCount: row.sample_count,
+            averageTime: Math.round(row.total_time / row.sample_count * 10) / 10,
+            minTime: row.min_time,
+            maxTime: row.max_time
+        })),
+        cursor: rows.length === limit
+            ? { periodStart: last.period_start, crossingId: last.crossing_id, source: last.source }
+            : null
+    };
 }
 
 // Get historical data for heatmap (aggregated by day of week and hour)
+// Raw readings and hourly rollups are combined, so the heatmap covers data
+// past the raw retention window. The optional filters narrow the readings;
+// with a half-life set, the average is weighted so a reading that many days
+// old counts half as much as a new one
 const getHeatmapData = db.prepare(`
+    WITH samples AS (
+        SELECT
+            wait_time as value, NULL as histogram, 1 as sample_count,
+            wait_time as total_time, wait_time * wait_time as total_squares,
+            wait_time as min_time, wait_time as max_time,
+            recorded_at as at, source
+        FROM readings
+        WHERE crossing_id = @crossingId
+          AND (@from IS NULL OR recorded_at >= @from)
+          AND (@to IS NULL OR recorded_at < @to)
+        UNION ALL
+        SELECT
+            NULL, histogram, sample_count,
+            total_time, total_squares,
+            min_time, max_time,
+            hour_start, source
+        FROM readings_hourly
+        WHERE crossing_id = @crossingId
+          AND (@from IS NULL OR hour_start >= @from)
+          AND (@to IS NULL OR hour_start < @to)
+    ),
+    filtered AS (
+        SELECT
+            *,
+            strftime('%w', local_time(at)) as dow,
+            strftime('%H', local_time(at)) as hh,
+            CASE WHEN @halfLifeDays IS NULL THEN 1.0
+                 ELSE POWER(0.5, (julianday(@now) - julianday(at)) / @halfLifeDays)
+            END as weight
+        FROM samples
+        WHERE source IS NULL OR source NOT IN (SELECT value FROM json_each(@excludeSources))
+    )
     SELECT
-        CAST(strftime('%w', recorded_at) AS INTEGER) as day_of_week,
-        CAST(strftime('%H', recorded_at) AS INTEGER) as hour,
-        ROUND(AVG(wait_time)) as avg_time,
-        COUNT(*) as sample_count
-    FROM readings
-    WHERE crossing_id = ?
+        CAST(dow AS INTEGER) as day_of_week,
+        CAST(hh AS INTEGER) as hour,
+        ROUND(SUM(total_time * weight) / SUM(sample_count * weight)) as avg_time,
+        ROUND(histogram_percentile(value, histogram, 50)) as median_time,
+        ROUND(histogram_percentile(value, histogram, 90)) as p90_time,
+        MIN(min_time) as min_time,
+        MAX(max_time) as max_time,
+        ROUND(SQRT(MAX(
+            CAST(SUM(total_squares) AS REAL) / SUM(sample_count)
+                - POWER(CAST(SUM(total_time) AS REAL) / SUM(sample_count), 2),
+            0)), 1) as std_dev,
+        SUM(sample_count) as sample_count
+    FROM filtered
+    WHERE @dayType IS NULL
+       OR (@dayType = 'weekday' AND dow NOT IN ('0', '6'))
+       OR (@dayType = 'weekend' AND dow IN ('0', '6'))
     GROUP BY day_of_week, hour
     ORDER BY day_of_week, hour
 `);
 
-function getHistoricalData(crossingId) {
-    const rows = getHeatmapData.all(crossingId);
+// Running totals for one crossing (see addReading)
+const selectHeatmapCells = db.prepare(`
+    SELECT day_of_week, hour, source, sample_count, total_time, total_squares, histogram
+    FROM heatmap_cells
+    WHERE crossing_id = ?
+`);
+
+// Heatmap rows from the running totals, matching what getHeatmapData returns
+// for the same readings when there's no date range or half-life
+function getHeatmapFromCells(crossingId, excludeSources, dayType) {
+    const merged = new Map();
+    for (const cell of selectHeatmapCells.all(crossingId)) {
+        if (excludeSources.includes(cell.source)) continue;
+        const weekend = cell.day_of_week === 0 || cell.day_of_week === 6;
+        if ((dayType === 'weekday' && weekend) || (dayType === 'weekend' && !weekend)) continue;
+
+        const key = cell.day_of_week * 24 + cell.hour;
+        if (!merged.has(key)) {
+            merged.set(key, { dayOfWeek: cell.day_of_week, hour: cell.hour, count: 0, total: 0, squares: 0, histogram: {} });
+        }
+        const totals = merged.get(key);
+        totals.count += cell.sample_count;
+        totals.total += cell.total_time;
+        totals.squares += cell.total_squares;
+        addToHistogram(totals.histogram, JSON.parse(cell.histogram));
+    }
+
+    return [...merged.values()].map(({ dayOfWeek, hour, count, total, squares, histogram }) => {
+        const values = Object.keys(histogram).map(Number);
+        const mean = total / count;
+        return {
+            day_of_week: dayOfWeek,
+            hour,
+            avg_time: Math.round(mean),
+            median_time: Math.round(histogramPercentile(histogram, 50)),
+            p90_time: Math.round(histogramPercentile(histogram, 90)),
+            min_time: Math.min(...values),
+            max_time: Math.max(...values),
+            std_dev: Math.round(Math.sqrt(Math.max(squares / count - mean * mean, 0)) * 10) / 10,
+            sample_count: count
+        };
+    });
+}
+
+// Filters (all optional):
+//   excludeSources - drop readings from those sources (e.g. ['mock', 'manual'])
+//   from, to       - Date range, from inclusive and to exclusive
+//   dayType        - 'weekday' or 'weekend' in the display time zone
+//   halfLifeDays   - weight the average towards recent readings
+// Without a date range or half-life the running totals are used instead of
+// scanning the readings
+function getHistoricalData(crossingId, filters = {}) {
+    const { excludeSources = [], from = null, to = null, dayType = null, halfLifeDays = null } = filters;
+    const rows = !from && !to && !halfLifeDays
+        ? getHeatmapFromCells(crossingId, excludeSources, dayType)
+        : getHeatmapData.all({
+            crossingId,
+            excludeSources: JSON.stringify(excludeSources),
+            from: from ? timezone.toUtcString(from) : null,
+            to: to ? timezone.toUtcString(to) : null,
+            dayType,
+            halfLifeDays,
+            now: timezone.toUtcString(new Date())
+        });
+    const rowsByCell = new Map(rows.map(row => [row.day_of_week * 24 + row.hour, row]));
 
     // Convert to the format expected by the frontend
     const hours = [];
@@ -66,7 +480,7 @@ function getHistoricalData(crossingId) {
 
     dayOrder.forEach((dbDayIndex, displayIndex) => {
         hours.forEach(hour => {
-            const row = rows.find(r => r.day_of_week === dbDayIndex && r.hour === hour);
+            const row = rowsByCell.get(dbDayIndex * 24 + hour);
             const displayHour = hour === 0 ? 12 : (hour > 12 ? hour - 12 : hour);
             const ampm = hour >= 12 ? 'pm' : 'am';
             heatmap.push({
@@ -74,18 +488,1143 @@ function getHistoricalData(crossingId) {
                 dayIndex: displayIndex,
                 hour,
                 avgTime: row ? row.avg_time : null,
+                medianTime: row ? row.median_time : null,
+                p90Time: row ? row.p90_time : null,
+                minTime: row ? row.min_time : null,
+                maxTime: row ? row.max_time : null,
+                stdDev: row ? row.std_dev : null,
                 sampleCount: row ? row.sample_count : 0,
                 label: `${displayHour}${ampm}`
             });
         });
     });
 
-    return { hours, days: dayNames, heatmap };
+    return {
+        hours,
+        days: dayNames,
+        heatmap,
+        timezone: timezone.DISPLAY_TIMEZONE,
+        filters: {
+            from: from ? from.toISOString() : null,
+            to: to ? to.toISOString() : null,
+            dayType,
+            halfLifeDays
+        }
+    };
+}
+
+// When a crossing's heatmap data last changed, and how many readings it holds,
+// for conditional requests. Any reading added or rolled out changes one of them.
+const selectHeatmapVersion = db.prepare(`
+    SELECT MAX(updated_at) as updated_at, COALESCE(SUM(sample_count), 0) as sample_count
+    FROM heatmap_cells
+    WHERE crossing_id = ?
+`);
+
+function getHeatmapVersion(crossingId) {
+    const row = selectHeatmapVersion.get(crossingId);
+    return {
+        updatedAt: row.updated_at ? timezone.parseUtc(row.updated_at) : null,
+        sampleCount: row.sample_count
+    };
+}
+
+// Time series for trend charts, bucketed in SQL. Sub-day buckets are fixed
+// UTC intervals; daily buckets follow calendar days in the display time zone.
+const BUCKET_SECONDS = {
+    '15m': 15 * 60,
+    '1h': 60 * 60,
+    '1d': 24 * 60 * 60
+};
+
+// Every real time zone offset is a whole number of quarter hours, so 15-minute
+// UTC buckets can be folded into local days exactly
+const QUARTER_HOUR = 15 * 60;
+
+// Raw readings, hourly and daily rollups together; a rolled-up row falls in the
+// bucket containing the start of its hour or day
+const getIntervalSeries = db.prepare(`
+    WITH samples AS (
+        SELECT unixepoch(recorded_at) as at, wait_time as total_time, wait_time as min_time,
+               wait_time as max_time, 1 as sample_count, source
+        FROM readings
+        WHERE crossing_id = @crossingId AND recorded_at >= @from AND recorded_at < @to
+        UNION ALL
+        SELECT unixepoch(hour_start), total_time, min_time, max_time, sample_count, source
+        FROM readings_hourly
+        WHERE crossing_id = @crossingId AND hour_start >= @from AND hour_start < @to
+        UNION ALL
+        SELECT unixepoch(day_start), total_time, min_time, max_time, sample_count, source
+        FROM readings_daily
+        WHERE crossing_id = @crossingId AND day_start >= @from AND day_start < @to
+    )
+    SELECT
+        CAST(at / @size AS INTEGER) * @size as bucket_start,
+        SUM(total_time) as total_time,
+        MIN(min_time) as min_time,
+        MAX(max_time) as max_time,
+        SUM(sample_count) as sample_count
+    FROM samples
+    WHERE source IS NULL OR source NOT IN (SELECT value FROM json_each(@excludeSources))
+    GROUP BY bucket_start
+    ORDER BY bucket_start
+`);
+
+// Merge quarter-hour buckets into display-time-zone calendar days
+function foldIntoLocalDays(rows) {
+    const days = new Map();
+    for (const row of rows) {
+        const localDay = timezone.toLocalDay(new Date(row.bucket_start * 1000));
+        const day = days.get(localDay);
+        if (!day) {
+            days.set(localDay, { ...row, localDay });
+        } else {
+            day.total_time += row.total_time;
+            day.min_time = Math.min(day.min_time, row.min_time);
+            day.max_time = Math.max(day.max_time, row.max_time);
+            day.sample_count += row.sample_count;
+        }
+    }
+    return [...days.values()].map(day => ({
+        ...day,
+        bucket_start: timezone.parseUtc(
+            timezone.localToUtcString(`${day.localDay} 00:00:00`, timezone.DISPLAY_TIMEZONE)
+        ).getTime() / 1000
+    }));
+}
+
+function getTimeSeries(crossingId, { from, to, bucket = '1h', excludeSources = [] }) {
+    const params = {
+        crossingId,
+        from: timezone.toUtcString(from),
+        to: timezone.toUtcString(to),
+        excludeSources: JSON.stringify(excludeSources)
+    };
+
+    let rows;
+    if (bucket === '1d') {
+        rows = foldIntoLocalDays(getIntervalSeries.all({ ...params, size: QUARTER_HOUR }));
+    } else {
+        rows = getIntervalSeries.all({ ...params, size: BUCKET_SECONDS[bucket] });
+    }
+
+    return rows.map(row => ({
+        time: new Date(row.bucket_start * 1000).toISOString(),
+        avg: Math.round(row.total_time / row.sample_count * 10) / 10,
+        min: row.min_time,
+        max: row.max_time,
+        count: row.sample_count
+    }));
+}
+
+// Travel time by departure slot (minute of day, in slotMinutes steps) for one
+// day of the week (0 = Sunday) in the display time zone. Hourly rollups have
+// no minutes, so each one counts towards every slot in its hour.
+const getDepartureSlots = db.prepare(`
+    WITH RECURSIVE offsets(minute) AS (
+        SELECT 0
+        UNION ALL
+        SELECT minute + @slotMinutes FROM offsets WHERE minute + @slotMinutes < 60
+    ),
+    local AS (
+        SELECT wait_time as value, NULL as histogram, 1 as sample_count, wait_time as total_time,
+               local_time(recorded_at) as lt
+        FROM readings
+        WHERE crossing_id = @crossingId
+          AND (source IS NULL OR source NOT IN (SELECT value FROM json_each(@excludeSources)))
+        UNION ALL
+        SELECT NULL, histogram, sample_count, total_time,
+               datetime(local_time(hour_start), '+' || offsets.minute || ' minutes')
+        FROM readings_hourly, offsets
+        WHERE crossing_id = @crossingId
+          AND source NOT IN (SELECT value FROM json_each(@excludeSources))
+    )
+    SELECT
+        CAST(strftime('%H', lt) AS INTEGER) * 60
+            + (CAST(strftime('%M', lt) AS INTEGER) / CAST(@slotMinutes AS INTEGER)) * @slotMinutes as slot_minute,
+        CAST(SUM(total_time) AS REAL) / SUM(sample_count) as avg_time,
+        histogram_percentile(value, histogram, 90) as p90_time,
+        SUM(sample_count) as sample_count
+    FROM local
+    WHERE CAST(strftime('%w', lt) AS INTEGER) = @dayOfWeek
+    GROUP BY slot_minute
+    ORDER BY slot_minute
+`);
+
+function getDepartureProfile(crossingId, dayOfWeek, { slotMinutes = 15, excludeSources = [] } = {}) {
+    return getDepartureSlots.all({
+        crossingId,
+        dayOfWeek,
+        slotMinutes,
+        excludeSources: JSON.stringify(excludeSources)
+    }).map(row => ({
+        slotMinute: row.slot_minute,
+        avgTime: row.avg_time,
+        p90Time: row.p90_time,
+        sampleCount: row.sample_count
+    }));
+}
+
+// Readings for a crossing since a given time, oldest first
+const getReadingsSince = db.prepare(`
+    SELECT wait_time, recorded_at
+    FROM readings
+    WHERE crossing_id = ? AND recorded_at >= ?
+    ORDER BY recorded_at
+`);
+
+function getRecentReadings(crossingId, since) {
+    return getReadingsSince.all(crossingId, timezone.toUtcString(since)).map(row => ({
+        waitTime: row.wait_time,
+        recordedAt: timezone.parseUtc(row.recorded_at)
+    }));
+}
+
+// Forecasts and their accuracy
+const insertForecast = db.prepare(`
+    INSERT INTO forecasts (crossing_id, made_at, target_at, horizon_minutes, predicted)
+    VALUES (?, ?, ?, ?, ?)
+`);
+
+function addForecast({ crossingId, madeAt, targetAt, horizonMinutes, predicted }) {
+    return insertForecast.run(
+        crossingId,
+        timezone.toUtcString(madeAt),
+        timezone.toUtcString(targetAt),
+        horizonMinutes,
+        predicted
+    );
+}
+
+// Fill in the actual value for due forecasts from the reading closest to the
+// target time (within the tolerance). Forecasts due more than a day ago that
+// never got a matching reading are left unresolved.
+const resolveDueForecasts = db.prepare(`
+    UPDATE forecasts
+    SET actual = (
+        SELECT wait_time
+        FROM (
+            SELECT r.wait_time, ABS(julianday(r.recorded_at) - julianday(forecasts.target_at)) as gap
+            FROM readings r
+            WHERE r.crossing_id = forecasts.crossing_id
+              AND r.recorded_at BETWEEN datetime(forecasts.target_at, @before) AND datetime(forecasts.target_at, @after)
+        )
+        ORDER BY gap
+        LIMIT 1
+    )
+    WHERE actual IS NULL
+      AND target_at <= datetime(@now, @before)
+      AND target_at >= datetime(@now, '-1 day')
+`);
+
+function resolveForecasts(toleranceMinutes = 10, now = new Date()) {
+    return resolveDueForecasts.run({
+        now: timezone.toUtcString(now),
+        before: `-${toleranceMinutes} minutes`,
+        after: `+${toleranceMinutes} minutes`
+    }).changes;
+}
+
+const getForecastErrors = db.prepare(`
+    SELECT
+        horizon_minutes,
+        COUNT(*) as samples,
+        ROUND(AVG(ABS(predicted - actual)), 1) as mae,
+        ROUND(AVG(predicted - actual), 1) as bias
+    FROM forecasts
+    WHERE crossing_id = ? AND actual IS NOT NULL AND target_at >= ?
+    GROUP BY horizon_minutes
+    ORDER BY horizon_minutes
+`);
+
+// Mean absolute error and bias (predicted - actual) per horizon since a date
+function getForecastAccuracy(crossingId, since) {
+    return getForecastErrors.all(crossingId, timezone.toUtcString(since)).map(row => ({
+        horizonMinutes: row.horizon_minutes,
+        samples: row.samples,
+        meanAbsoluteError: row.mae,
+        bias: row.bias
+    }));
+}
+
+// Distribution of readings for one day of the week (0 = Sunday) and hour in
+// the display time zone, from readings and hourly rollups before a given time
+const getHourDistribution = db.prepare(`
+    WITH local AS (
+        SELECT wait_time as value, NULL as histogram, 1 as sample_count,
+               wait_time as total_time, wait_time * wait_time as total_squares,
+               local_time(recorded_at) as lt
+        FROM readings
+        WHERE crossing_id = @crossingId
+          AND recorded_at < @before
+          AND (source IS NULL OR source NOT IN (SELECT value FROM json_each(@excludeSources)))
+        UNION ALL
+        SELECT NULL, histogram, sample_count, total_time, total_squares, local_time(hour_start)
+        FROM readings_hourly
+        WHERE crossing_id = @crossingId
+          AND hour_start < @before
+          AND source NOT IN (SELECT value FROM json_each(@excludeSources))
+    )
+    SELECT
+        CAST(SUM(total_time) AS REAL) / SUM(sample_count) as avg_time,
+        histogram_percentile(value, histogram, 50) as median_time,
+        histogram_percentile(value, histogram, 90) as p90_time,
+        SQRT(MAX(
+            CAST(SUM(total_squares) AS REAL) / SUM(sample_count)
+                - POWER(CAST(SUM(total_time) AS REAL) / SUM(sample_count), 2),
+            0)) as std_dev,
+        COALESCE(SUM(sample_count), 0) as sample_count
+    FROM local
+    WHERE CAST(strftime('%w', lt) AS INTEGER) = @dayOfWeek
+      AND CAST(strftime('%H', lt) AS INTEGER) = @hour
+`);
+
+function getHourStats(crossingId, dayOfWeek, hour, { before = new Date(), excludeSources = [] } = {}) {
+    const row = getHourDistribution.get({
+        crossingId,
+        dayOfWeek,
+        hour,
+        before: timezone.toUtcString(before),
+        excludeSources: JSON.stringify(excludeSources)
+    });
+    return {
+        avgTime: row.avg_time,
+        medianTime: row.median_time,
+        p90Time: row.p90_time,
+        stdDev: row.std_dev,
+        sampleCount: row.sample_count
+    };
+}
+
+// Incidents
+const getOpenIncidentRow = db.prepare(`
+    SELECT * FROM incidents
+    WHERE crossing_id = ? AND ended_at IS NULL
+    ORDER BY started_at DESC
+    LIMIT 1
+`);
+
+const insertIncident = db.prepare(`
+    INSERT INTO incidents (crossing_id, severity, started_at, last_seen_at, wait_time, peak_wait_time, expected_time, p90_time, z_score)
+    VALUES (@crossingId, @severity, @at, @at, @waitTime, @waitTime, @expectedTime, @p90Time, @zScore)
+`);
+
+// Keep the worst severity and z-score seen during the incident
+const extendIncident = db.prepare(`
+    UPDATE incidents
+    SET last_seen_at = @at,
+        wait_time = @waitTime,
+        peak_wait_time = MAX(peak_wait_time, @waitTime),
+        severity = CASE WHEN @zScore > z_score THEN @severity ELSE severity END,
+        z_score = MAX(z_score, @zScore),
+        reading_count = reading_count + 1
+    WHERE id = @id
+`);
+
+const endIncidentStmt = db.prepare(`
+    UPDATE incidents SET ended_at = ? WHERE id = ?
+`);
+
+const listIncidents = db.prepare(`
+    SELECT * FROM incidents
+    WHERE (@crossingId IS NULL OR crossing_id = @crossingId)
+      AND (@activeOnly = 0 OR ended_at IS NULL)
+      AND (@from IS NULL OR COALESCE(ended_at, last_seen_at) >= @from)
+      AND (@to IS NULL OR started_at < @to)
+    ORDER BY started_at DESC
+    LIMIT @limit
+`);
+
+function formatIncident(row) {
+    return {
+        id: row.id,
+        crossingId: row.crossing_id,
+        severity: row.severity,
+        active: row.ended_at === null,
+        startedAt: timezone.parseUtc(row.started_at).toISOString(),
+        lastSeenAt: timezone.parseUtc(row.last_seen_at).toISOString(),
+        endedAt: row.ended_at ? timezone.parseUtc(row.ended_at).toISOString() : null,
+        waitTime: row.wait_time,
+        peakWaitTime: row.peak_wait_time,
+        expectedTime: Math.round(row.expected_time),
+        p90Time: row.p90_time === null ? null : Math.round(row.p90_time),
+        zScore: Math.round(row.z_score * 10) / 10,
+        readingCount: row.reading_count
+    };
+}
+
+const getIncidentRow = db.prepare('SELECT * FROM incidents WHERE id = ?');
+
+function getIncident(id) {
+    const row = getIncidentRow.get(id);
+    return row ? formatIncident(row) : null;
+}
+
+function getOpenIncident(crossingId) {
+    const row = getOpenIncidentRow.get(crossingId);
+    return row ? formatIncident(row) : null;
+}
+
+function openIncident({ crossingId, severity, at, waitTime, expectedTime, p90Time, zScore }) {
+    const result = insertIncident.run({
+        crossingId, severity, at: timezone.toUtcString(at), waitTime, expectedTime, p90Time, zScore
+    });
+    return result.lastInsertRowid;
+}
+
+function updateIncident(id, { severity, at, waitTime, zScore }) {
+    extendIncident.run({ id, severity, at: timezone.toUtcString(at), waitTime, zScore });
+}
+
+function endIncident(id, at) {
+    endIncidentStmt.run(timezone.toUtcString(at), id);
+}
+
+// Incidents newest first. Filters (all optional):
+//   crossingId - one crossing
+//   activeOnly - only incidents that haven't ended
+//   from, to   - incidents overlapping the range
+function getIncidents({ crossingId = null, activeOnly = false, from = null, to = null, limit = 50 } = {}) {
+    return listIncidents.all({
+        crossingId,
+        activeOnly: activeOnly ? 1 : 0,
+        from: from ? timezone.toUtcString(from) : null,
+        to: to ? timezone.toUtcString(to) : null,
+        limit
+    }).map(formatIncident);
+}
+
+// Alert rules and their webhook deliveries
+function formatAlertRule(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        crossingId: row.crossing_id,
+        condition: row.condition,
+        threshold: row.threshold,
+        status: row.status,
+        webhookUrl: row.webhook_url,
+        activeDays: row.active_days ? JSON.parse(row.active_days) : null,
+        activeFrom: row.active_from,
+        activeTo: row.active_to,
+        cooldownMinutes: row.cooldown_minutes,
+        enabled: row.enabled === 1,
+        lastStatus: row.last_status,
+        lastTriggeredAt: row.last_triggered_at ? timezone.parseUtc(row.last_triggered_at).toISOString() : null,
+        createdAt: timezone.parseUtc(row.created_at).toISOString(),
+        updatedAt: timezone.parseUtc(row.updated_at).toISOString()
+    };
+}
+
+// Named parameters shared by insert and update
+function alertRuleParams(rule) {
+    return {
+        name: rule.name,
+        crossingId: rule.crossingId,
+        condition: rule.condition,
+        threshold: rule.threshold ?? null,
+        status: rule.status ?? null,
+        webhookUrl: rule.webhookUrl,
+        activeDays: rule.activeDays ? JSON.stringify(rule.activeDays) : null,
+        activeFrom: rule.activeFrom ?? null,
+        activeTo: rule.activeTo ?? null,
+        cooldownMinutes: rule.cooldownMinutes,
+        enabled: rule.enabled ? 1 : 0,
+        now: timezone.toUtcString(new Date())
+    };
+}
+
+const selectAlertRules = db.prepare('SELECT * FROM alert_rules ORDER BY id');
+const selectAlertRule = db.prepare('SELECT * FROM alert_rules WHERE id = ?');
+
+const insertAlertRule = db.prepare(`
+    INSERT INTO alert_rules (name, crossing_id, condition, threshold, status, webhook_url,
+        active_days, active_from, active_to, cooldown_minutes, enabled, created_at, updated_at)
+    VALUES (@name, @crossingId, @condition, @threshold, @status, @webhookUrl,
+        @activeDays, @activeFrom, @activeTo, @cooldownMinutes, @enabled, @now, @now)
+`);
+
+// Changing a rule resets its remembered status so a status change rule
+// doesn't fire on a transition it never saw
+const updateAlertRuleStmt = db.prepare(`
+    UPDATE alert_rules
+    SET name = @name, crossing_id = @crossingId, condition = @condition, threshold = @threshold,
+        status = @status, webhook_url = @webhookUrl, active_days = @activeDays,
+        active_from = @activeFrom, active_to = @activeTo, cooldown_minutes = @cooldownMinutes,
+        enabled = @enabled, last_status = NULL, updated_at = @now
+    WHERE id = @id
+`);
+
+const deleteAlertRuleStmt = db.prepare('DELETE FROM alert_rules WHERE id = ?');
+const setAlertRuleStatusStmt = db.prepare('UPDATE alert_rules SET last_status = ? WHERE id = ?');
+const setAlertRuleTriggeredStmt = db.prepare('UPDATE alert_rules SET last_triggered_at = ? WHERE id = ?');
+
+function getAlertRules() {
+    return selectAlertRules.all().map(formatAlertRule);
+}
+
+function getAlertRule(id) {
+    const row = selectAlertRule.get(id);
+    return row ? formatAlertRule(row) : null;
+}
+
+function createAlertRule(rule) {
+    const result = insertAlertRule.run(alertRuleParams(rule));
+    return getAlertRule(result.lastInsertRowid);
+}
+
+// Returns the updated rule, or null if it doesn't exist
+function updateAlertRule(id, rule) {
+    const result = updateAlertRuleStmt.run({ ...alertRuleParams(rule), id });
+    return result.changes > 0 ? getAlertRule(id) : null;
+}
+
+function deleteAlertRule(id) {
+    return deleteAlertRuleStmt.run(id).changes > 0;
+}
+
+function setAlertRuleStatus(id, status) {
+    setAlertRuleStatusStmt.run(status, id);
+}
+
+function setAlertRuleTriggered(id, at) {
+    setAlertRuleTriggeredStmt.run(timezone.toUtcString(at), id);
+}
+
+const insertDelivery = db.prepare(`
+    INSERT INTO alert_deliveries (rule_id, event, crossing_id, created_at, outcome, payload)
+    VALUES (?, ?, ?, ?, 'pending', ?)
+`);
+
+const finishDeliveryStmt = db.prepare(`
+    UPDATE alert_deliveries
+    SET outcome = @outcome, attempts = @attempts, response_status = @responseStatus,
+        error = @error, completed_at = @now
+    WHERE id = @id
+`);
+
+const selectDeliveries = db.prepare(`
+    SELECT * FROM alert_deliveries
+    WHERE (@ruleId IS NULL OR rule_id = @ruleId)
+    ORDER BY id DESC
+    LIMIT @limit
+`);
+
+function addDelivery({ ruleId, event, crossingId, payload }) {
+    const result = insertDelivery.run(
+        ruleId, event, crossingId, timezone.toUtcString(new Date()), JSON.stringify(payload)
+    );
+    return result.lastInsertRowid;
+}
+
+function finishDelivery(id, { outcome, attempts, responseStatus = null, error = null }) {
+    finishDeliveryStmt.run({
+        id, outcome, attempts, responseStatus, error, now: timezone.toUtcString(new Date())
+    });
+}
+
+const selectDelivery = db.prepare('SELECT * FROM alert_deliveries WHERE id = ?');
+
+function formatDelivery(row) {
+    return {
+        id: row.id,
+        ruleId: row.rule_id,
+        event: row.event,
+        crossingId: row.crossing_id,
+        createdAt: timezone.parseUtc(row.created_at).toISOString(),
+        completedAt: row.completed_at ? timezone.parseUtc(row.completed_at).toISOString() : null,
+        outcome: row.outcome,
+        attempts: row.attempts,
+        responseStatus: row.response_status,
+        error: row.error,
+        payload: JSON.parse(row.payload)
+    };
+}
+
+function getDelivery(id) {
+    const row = selectDelivery.get(id);
+    return row ? formatDelivery(row) : null;
+}
+
+// Delivery log, newest first
+function getDeliveries({ ruleId = null, limit = 50 } = {}) {
+    return selectDeliveries.all({ ruleId, limit }).map(formatDelivery);
+}
+
+// Crossing definitions saved through the admin API
+const selectCrossingDefinitions = db.prepare('SELECT * FROM crossing_definitions ORDER BY rowid');
+
+const upsertCrossingDefinition = db.prepare(`
+    INSERT INTO crossing_definitions (id, definition, enabled, updated_at)
+    VALUES (@id, @definition, @enabled, @now)
+    ON CONFLICT(id) DO UPDATE SET
+        definition = excluded.definition,
+        enabled = excluded.enabled,
+        updated_at = excluded.updated_at
+`);
+
+function getCrossingDefinitions() {
+    return selectCrossingDefinitions.all().map(row => ({
+        definition: JSON.parse(row.definition),
+        enabled: row.enabled === 1,
+        updatedAt: timezone.parseUtc(row.updated_at).toISOString()
+    }));
+}
+
+function saveCrossingDefinition(definition, enabled) {
+    upsertCrossingDefinition.run({
+        id: definition.id,
+        definition: JSON.stringify(definition),
+        enabled: enabled ? 1 : 0,
+        now: timezone.toUtcString(new Date())
+    });
+}
+
+// Commute profiles and their travel times (see commutes.js)
+function formatCommuteProfile(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        origin: row.origin,
+        destination: row.destination,
+        crossingIds: JSON.parse(row.crossing_ids),
+        createdAt: timezone.parseUtc(row.created_at).toISOString(),
+        updatedAt: timezone.parseUtc(row.updated_at).toISOString()
+    };
+}
+
+function commuteProfileParams(profile) {
+    return {
+        name: profile.name,
+        origin: profile.origin,
+        destination: profile.destination,
+        crossingIds: JSON.stringify(profile.crossingIds),
+        now: timezone.toUtcString(new Date())
+    };
+}
+
+const selectCommuteProfiles = db.prepare('SELECT * FROM commute_profiles ORDER BY id');
+const selectCommuteProfile = db.prepare('SELECT * FROM commute_profiles WHERE id = ?');
+
+const insertCommuteProfile = db.prepare(`
+    INSERT INTO commute_profiles (name, origin, destination, crossing_ids, created_at, updated_at)
+    VALUES (@name, @origin, @destination, @crossingIds, @now, @now)
+`);
+
+const updateCommuteProfileStmt = db.prepare(`
+    UPDATE commute_profiles
+    SET name = @name, origin = @origin, destination = @destination, crossing_ids = @crossingIds, updated_at = @now
+    WHERE id = @id
+`);
+
+const deleteCommuteProfileStmt = db.prepare('DELETE FROM commute_profiles WHERE id = ?');
+const deleteCommuteReadingsFor = db.prepare('DELETE FROM commute_readings WHERE profile_id = ?');
+const deleteCommuteHourlyFor = db.prepare('DELETE FROM commute_readings_hourly WHERE profile_id = ?');
+const deleteCommuteReadingsBefore = db.prepare('DELETE FROM commute_readings WHERE recorded_at < ?');
+const deleteCommuteHourlyBefore = db.prepare('DELETE FROM commute_readings_hourly WHERE hour_start < ?');
+
+const rollUpCommuteReadingsStmt = db.prepare(`
+    INSERT INTO commute_readings_hourly
+        (profile_id, crossing_id, hour_start, source, sample_count, total_time, min_time, max_time)
+    SELECT
+        profile_id,
+        crossing_id,
+        strftime('%Y-%m-%d %H:00:00', recorded_at) as hour_start,
+        COALESCE(source, '') as source,
+        COUNT(*),
+        SUM(travel_time),
+        MIN(travel_time),
+        MAX(travel_time)
+    FROM commute_readings
+    WHERE recorded_at < ?
+    GROUP BY profile_id, crossing_id, hour_start, COALESCE(source, '')
+    ON CONFLICT (profile_id, crossing_id, hour_start, source) DO UPDATE SET
+        sample_count = sample_count + excluded.sample_count,
+        total_time = total_time + excluded.total_time,
+        min_time = MIN(min_time, excluded.min_time),
+        max_time = MAX(max_time, excluded.max_time)
+`);
+
+const insertCommuteReading = db.prepare(`
+    INSERT INTO commute_readings
+        (profile_id, crossing_id, recorded_at, travel_time, baseline_time, distance_miles, source)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+
+// Latest travel time through each of a profile's crossings
+const selectLatestCommuteReadings = db.prepare(`
+    SELECT * FROM (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY crossing_id ORDER BY recorded_at DESC, id DESC) as row_number
+        FROM commute_readings
+        WHERE profile_id = ?
+    )
+    WHERE row_number = 1
+`);
+
+// Average travel time per crossing for one weekday (0 = Sunday) and hour in
+// the display time zone, from raw and hourly travel times
+const selectCommuteUsualTimes = db.prepare(`
+    WITH local AS (
+        SELECT crossing_id, travel_time as total_time, 1 as sample_count, local_time(recorded_at) as lt
+        FROM commute_readings
+        WHERE profile_id = @profileId
+          AND (source IS NULL OR source NOT IN (SELECT value FROM json_each(@excludeSources)))
+        UNION ALL
+        SELECT crossing_id, total_time, sample_count, local_time(hour_start)
+        FROM commute_readings_hourly
+        WHERE profile_id = @profileId
+          AND source NOT IN (SELECT value FROM json_each(@excludeSources))
+    )
+    SELECT crossing_id, CAST(SUM(total_time) AS REAL) / SUM(sample_count) as avg_time, SUM(sample_count) as sample_count
+    FROM local
+    WHERE CAST(strftime('%w', lt) AS INTEGER) = @dayOfWeek
+      AND CAST(strftime('%H', lt) AS INTEGER) = @hour
+    GROUP BY crossing_id
+`);
+
+// Raw and hourly travel times together; an hourly row falls in the bucket
+// containing the start of its hour
+const selectCommuteSeries = db.prepare(`
+    WITH samples AS (
+        SELECT crossing_id, unixepoch(recorded_at) as at, travel_time as total_time,
+               travel_time as min_time, travel_time as max_time, 1 as sample_count, source
+        FROM commute_readings
+        WHERE profile_id = @profileId AND recorded_at >= @from AND recorded_at < @to
+        UNION ALL
+        SELECT crossing_id, unixepoch(hour_start), total_time, min_time, max_time, sample_count, source
+        FROM commute_readings_hourly
+        WHERE profile_id = @profileId AND hour_start >= @from AND hour_start < @to
+    )
+    SELECT
+        crossing_id,
+        CAST(at / @size AS INTEGER) * @size as bucket_start,
+        SUM(total_time) as total_time,
+        MIN(min_time) as min_time,
+        MAX(max_time) as max_time,
+        SUM(sample_count) as sample_count
+    FROM samples
+    WHERE source IS NULL OR source NOT IN (SELECT value FROM json_each(@excludeSources))
+    GROUP BY crossing_id, bucket_start
+    ORDER BY crossing_id, bucket_start
+`);
+
+function getCommuteProfiles() {
+    return selectCommuteProfiles.all().map(formatCommuteProfile);
+}
+
+function getCommuteProfile(id) {
+    const row = selectCommuteProfile.get(id);
+    return row ? formatCommuteProfile(row) : null;
+}
+
+function createCommuteProfile(profile) {
+    const result = insertCommuteProfile.run(commuteProfileParams(profile));
+    return getCommuteProfile(result.lastInsertRowid);
+}
+
+// Returns the updated profile, or null if it doesn't exist. A new origin or
+// destination is a different trip, so the old travel times are dropped.
+const updateCommuteProfile = db.transaction((id, profile) => {
+    const existing = getCommuteProfile(id);
+    if (!existing) return null;
+    if (existing.origin !== profile.origin || existing.destination !== profile.destination) {
+        deleteCommuteReadingsFor.run(id);
+        deleteCommuteHourlyFor.run(id);
+    }
+    updateCommuteProfileStmt.run({ ...commuteProfileParams(profile), id });
+    return getCommuteProfile(id);
+});
+
+// Deletes the profile and its history; returns false if it doesn't exist
+const deleteCommuteProfile = db.transaction(id => {
+    deleteCommuteReadingsFor.run(id);
+    deleteCommuteHourlyFor.run(id);
+    return deleteCommuteProfileStmt.run(id).changes > 0;
+});
+
+function addCommuteReading({ profileId, crossingId, travelTime, baselineTime = null, distanceMiles = null, source, timestamp = new Date() }) {
+    insertCommuteReading.run(profileId, crossingId, timezone.toUtcString(timestamp),
+        travelTime, baselineTime, distanceMiles, source);
+}
+
+function getLatestCommuteReadings(profileId) {
+    return selectLatestCommuteReadings.all(profileId).map(row => ({
+        crossingId: row.crossing_id,
+        travelTime: row.travel_time,
+        baselineTime: row.baseline_time,
+        distanceMiles: row.distance_miles,
+        source: row.source,
+        recordedAt: timezone.parseUtc(row.recorded_at)
+    }));
+}
+
+// Map of crossing ID to { avgTime, sampleCount }
+function getCommuteUsualTimes(profileId, dayOfWeek, hour, { excludeSources = [] } = {}) {
+    const rows = selectCommuteUsualTimes.all({
+        profileId,
+        dayOfWeek,
+        hour,
+        excludeSources: JSON.stringify(excludeSources)
+    });
+    return new Map(rows.map(row => [row.crossing_id, { avgTime: row.avg_time, sampleCount: row.sample_count }]));
+}
+
+// Bucketed travel times per crossing, like getTimeSeries: { crossingId: [points] }
+function getCommuteSeries(profileId, { from, to, bucket = '1h', excludeSources = [] }) {
+    const rows = selectCommuteSeries.all({
+        profileId,
+        from: timezone.toUtcString(from),
+        to: timezone.toUtcString(to),
+        size: bucket === '1d' ? QUARTER_HOUR : BUCKET_SECONDS[bucket],
+        excludeSources: JSON.stringify(excludeSources)
+    });
+
+    const byCrossing = {};
+    for (const row of rows) {
+        if (!byCrossing[row.crossing_id]) byCrossing[row.crossing_id] = [];
+        byCrossing[row.crossing_id].push(row);
+    }
+
+    const series = {};
+    for (const [crossingId, crossingRows] of Object.entries(byCrossing)) {
+        const buckets = bucket === '1d' ? foldIntoLocalDays(crossingRows) : crossingRows;
+        series[crossingId] = buckets.map(row => ({
+            time: new Date(row.bucket_start * 1000).toISOString(),
+            avg: Math.round(row.total_time / row.sample_count * 10) / 10,
+            min: row.min_time,
+            max: row.max_time,
+            count: row.sample_count
+        }));
+    }
+    return series;
+}
+
+/**
+ * Roll commute travel times recorded before a Date into hourly rows (UTC hours)
+ * Returns the number of travel times rolled up
+ */
+const rollUpCommuteReadings = db.transaction(before => {
+    const cutoff = timezone.toUtcString(before);
+    rollUpCommuteReadingsStmt.run(cutoff);
+    return deleteCommuteReadingsBefore.run(cutoff).changes;
+});
+
+// Delete hourly commute rows starting before a Date; returns the number removed
+function pruneCommuteHourly(before) {
+    return deleteCommuteHourlyBefore.run(timezone.toUtcString(before)).changes;
+}
+
+// API keys and the audit log
+function formatApiKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.prefix,
+        scopes: JSON.parse(row.scopes),
+        createdAt: timezone.parseUtc(row.created_at).toISOString(),
+        expiresAt: row.expires_at ? timezone.parseUtc(row.expires_at).toISOString() : null,
+        revokedAt: row.revoked_at ? timezone.parseUtc(row.revoked_at).toISOString() : null,
+        lastUsedAt: row.last_used_at ? timezone.parseUtc(row.last_used_at).toISOString() : null
+    };
+}
+
+const insertApiKey = db.prepare(`
+    INSERT INTO api_keys (name, prefix, key_hash, scopes, created_at, expires_at)
+    VALUES (@name, @prefix, @keyHash, @scopes, @now, @expiresAt)
+`);
+
+const selectApiKeyByHash = db.prepare('SELECT * FROM api_keys WHERE key_hash = ?');
+const selectApiKey = db.prepare('SELECT * FROM api_keys WHERE id = ?');
+const selectApiKeys = db.prepare('SELECT * FROM api_keys ORDER BY id');
+const revokeApiKeyStmt = db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL');
+const touchApiKeyStmt = db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?');
+
+function addApiKey({ name, prefix, keyHash, scopes, expiresAt = null }) {
+    const result = insertApiKey.run({
+        name,
+        prefix,
+        keyHash,
+        scopes: JSON.stringify(scopes),
+        now: timezone.toUtcString(new Date()),
+        expiresAt: expiresAt ? timezone.toUtcString(expiresAt) : null
+    });
+    return formatApiKey(selectApiKey.get(result.lastInsertRowid));
+}
+
+function getApiKeyByHash(keyHash) {
+    const row = selectApiKeyByHash.get(keyHash);
+    return row ? formatApiKey(row) : null;
+}
+
+function getApiKeys() {
+    return selectApiKeys.all().map(formatApiKey);
+}
+
+// Returns false if the key doesn't exist or was already revoked
+function revokeApiKey(id) {
+    return revokeApiKeyStmt.run(timezone.toUtcString(new Date()), id).changes > 0;
+}
+
+function touchApiKey(id) {
+    touchApiKeyStmt.run(timezone.toUtcString(new Date()), id);
+}
+
+const insertAuditEntry = db.prepare(`
+    INSERT INTO audit_log (recorded_at, key_id, key_name, method, path, scope, status_code, ip)
+    VALUES (@now, @keyId, @keyName, @method, @path, @scope, @statusCode, @ip)
+`);
+
+const selectAuditLog = db.prepare(`
+    SELECT * FROM audit_log
+    WHERE (@keyId IS NULL OR key_id = @keyId)
+      AND (@from IS NULL OR recorded_at >= @from)
+      AND (@to IS NULL OR recorded_at < @to)
+      AND (@failedOnly = 0 OR status_code >= 400)
+    ORDER BY id DESC
+    LIMIT @limit
+`);
+
+function addAuditEntry({ keyId = null, keyName = null, method, path, scope, statusCode, ip = null }) {
+    insertAuditEntry.run({
+        now: timezone.toUtcString(new Date()),
+        keyId,
+        keyName,
+        method,
+        path,
+        scope,
+        statusCode,
+        ip
+    });
+}
+
+// Audit entries newest first. Filters (all optional):
+//   keyId      - calls made with one key
+//   from, to   - Date range
+//   failedOnly - only calls answered with an error (4xx/5xx)
+function getAuditLog({ keyId = null, from = null, to = null, failedOnly = false, limit = 100 } = {}) {
+    return selectAuditLog.all({
+        keyId,
+        from: from ? timezone.toUtcString(from) : null,
+        to: to ? timezone.toUtcString(to) : null,
+        failedOnly: failedOnly ? 1 : 0,
+        limit
+    }).map(row => ({
+        id: row.id,
+        recordedAt: timezone.parseUtc(row.recorded_at).toISOString(),
+        keyId: row.key_id,
+        keyName: row.key_name,
+        method: row.method,
+        path: row.path,
+        scope: row.scope,
+        statusCode: row.status_code,
+        ip: row.ip
+    }));
+}
+
+// Retention (see retention.js): roll raw readings older than a cutoff into
+// hourly rows, hourly rows into daily rows, and prune what's past its window
+const selectReadingsToRollUp = db.prepare(`
+    SELECT
+        crossing_id,
+        strftime('%Y-%m-%d %H:00:00', recorded_at) as hour_start,
+        COALESCE(source, '') as source,
+        COUNT(*) as sample_count,
+        SUM(wait_time) as total_time,
+        SUM(wait_time * wait_time) as total_squares,
+        MIN(wait_time) as min_time,
+        MAX(wait_time) as max_time,
+        json_group_array(wait_time) as wait_times
+    FROM readings
+    WHERE recorded_at < ?
+    GROUP BY crossing_id, hour_start, COALESCE(source, '')
+`);
+
+const upsertHourly = db.prepare(`
+    INSERT INTO readings_hourly
+        (crossing_id, hour_start, source, sample_count, total_time, total_squares, min_time, max_time, histogram)
+    VALUES (@crossing_id, @hour_start, @source, @sample_count, @total_time, @total_squares, @min_time, @max_time, @histogram)
+    ON CONFLICT (crossing_id, hour_start, source) DO UPDATE SET
+        sample_count = sample_count + excluded.sample_count,
+        total_time = total_time + excluded.total_time,
+        total_squares = total_squares + excluded.total_squares,
+        min_time = MIN(min_time, excluded.min_time),
+        max_time = MAX(max_time, excluded.max_time),
+        histogram = merge_histograms(histogram, excluded.histogram)
+`);
+
+const deleteReadingsBefore = db.prepare('DELETE FROM readings WHERE recorded_at < ?');
+
+const selectHourlyToRollUp = db.prepare('SELECT * FROM readings_hourly WHERE hour_start < ?');
+
+const upsertDaily = db.prepare(`
+    INSERT INTO readings_daily
+        (crossing_id, day, day_start, source, sample_count, total_time, total_squares, min_time, max_time)
+    VALUES (@crossing_id, @day, @day_start, @source, @sample_count, @total_time, @total_squares, @min_time, @max_time)
+    ON CONFLICT (crossing_id, day_start, source) DO UPDATE SET
+        sample_count = sample_count + excluded.sample_count,
+        total_time = total_time + excluded.total_time,
+        total_squares = total_squares + excluded.total_squares,
+        min_time = MIN(min_time, excluded.min_time),
+        max_time = MAX(max_time, excluded.max_time)
+`);
+
+const deleteHourlyBefore = db.prepare('DELETE FROM readings_hourly WHERE hour_start < ?');
+const deleteDailyBefore = db.prepare('DELETE FROM readings_daily WHERE day_start < ?');
+const deleteForecastsBefore = db.prepare('DELETE FROM forecasts WHERE target_at < ?');
+
+/**
+ * Roll raw readings recorded before a Date into hourly rows (UTC hours)
+ * Returns { readings, hourlyRows }: readings removed and hourly rows written
+ */
+const rollUpReadings = db.transaction(before => {
+    const cutoff = timezone.toUtcString(before);
+    const groups = selectReadingsToRollUp.all(cutoff);
+    for (const { wait_times: waitTimes, ...group } of groups) {
+        const histogram = {};
+        for (const minutes of JSON.parse(waitTimes)) {
+            histogram[minutes] = (histogram[minutes] || 0) + 1;
+        }
+        upsertHourly.run({ ...group, histogram: JSON.stringify(histogram) });
+    }
+    const { changes } = deleteReadingsBefore.run(cutoff);
+    return { readings: changes, hourlyRows: groups.length };
+});
+
+/**
+ * Roll hourly rows starting before a Date into daily rows (display time zone days)
+ * Returns { hourlyRows, dailyRows }
+ */
+const rollUpHourly = db.transaction(before => {
+    const cutoff = timezone.toUtcString(before);
+    const days = new Map();
+    for (const row of selectHourlyToRollUp.all(cutoff)) {
+        // Daily rows have no hours, so these readings leave the heatmap
+        const histogram = JSON.parse(row.histogram);
+        for (const minutes of Object.keys(histogram)) histogram[minutes] = -histogram[minutes];
+        updateHeatmapCell(row.crossing_id, row.source, row.hour_start, {
+            sampleCount: -row.sample_count,
+            totalTime: -row.total_time,
+            totalSquares: -row.total_squares,
+            histogram
+        });
+
+        const day = timezone.toLocalString(row.hour_start).slice(0, 10);
+        const key = `${row.crossing_id}|${day}|${row.source}`;
+        const existing = days.get(key);
+        if (!existing) {
+            days.set(key, {
+                crossing_id: row.crossing_id,
+                day,
+                day_start: timezone.localToUtcString(`${day} 00:00:00`, timezone.DISPLAY_TIMEZONE),
+                source: row.source,
+                sample_count: row.sample_count,
+                total_time: row.total_time,
+                total_squares: row.total_squares,
+                min_time: row.min_time,
+                max_time: row.max_time
+            });
+        } else {
+            existing.sample_count += row.sample_count;
+            existing.total_time += row.total_time;
+            existing.total_squares += row.total_squares;
+            existing.min_time = Math.min(existing.min_time, row.min_time);
+            existing.max_time = Math.max(existing.max_time, row.max_time);
+        }
+    }
+    for (const day of days.values()) {
+        upsertDaily.run(day);
+    }
+    deleteEmptyHeatmapCells.run();
+    const { changes } = deleteHourlyBefore.run(cutoff);
+    return { hourlyRows: changes, dailyRows: days.size };
+});
+
+// Delete daily rows starting before a Date; returns the number removed
+function pruneDaily(before) {
+    return deleteDailyBefore.run(timezone.toUtcString(before)).changes;
+}
+
+// Delete forecasts that targeted a time before a Date; returns the number removed
+function pruneForecasts(before) {
+    return deleteForecastsBefore.run(timezone.toUtcString(before)).changes;
+}
+
+const deleteAuditEntriesBefore = db.prepare('DELETE FROM audit_log WHERE recorded_at < ?');
+const deleteDeliveriesBefore = db.prepare('DELETE FROM alert_deliveries WHERE created_at < ?');
+const deleteIncidentsEndedBefore = db.prepare('DELETE FROM incidents WHERE ended_at < ?');
+
+// Delete audit log entries recorded before a Date; returns the number removed
+function pruneAuditLog(before) {
+    return deleteAuditEntriesBefore.run(timezone.toUtcString(before)).changes;
+}
+
+// Delete webhook deliveries made before a Date; returns the number removed
+function pruneDeliveries(before) {
+    return deleteDeliveriesBefore.run(timezone.toUtcString(before)).changes;
+}
+
+// Delete incidents that ended before a Date (open ones are kept); returns the
+// number removed
+function pruneIncidents(before) {
+    return deleteIncidentsEndedBefore.run(timezone.toUtcString(before)).changes;
+}
+
+// Refresh the query planner's statistics
+function analyze() {
+    db.exec('ANALYZE');
+}
+
+// Rebuild the database file to return space freed by deleted rows
+function vacuum() {
+    db.exec('VACUUM');
+}
+
+const selectMaintenanceRuns = db.prepare('SELECT * FROM maintenance_runs');
+const upsertMaintenanceRun = db.prepare(`
+    INSERT INTO maintenance_runs (task, last_run_at, duration_ms, details)
+    VALUES (@task, @at, @durationMs, @details)
+    ON CONFLICT (task) DO UPDATE SET
+        last_run_at = excluded.last_run_at,
+        duration_ms = excluded.duration_ms,
+        details = excluded.details
+`);
+
+// Last run of each maintenance task, keyed by task name
+function getMaintenanceRuns() {
+    const runs = {};
+    for (const row of selectMaintenanceRuns.all()) {
+        runs[row.task] = {
+            lastRunAt: timezone.parseUtc(row.last_run_at).toISOString(),
+            durationMs: row.duration_ms,
+            details: row.details ? JSON.parse(row.details) : null
+        };
+    }
+    return runs;
+}
+
+function recordMaintenanceRun(task, { at, durationMs, details = null }) {
+    upsertMaintenanceRun.run({
+        task,
+        at: timezone.toUtcString(at),
+        durationMs,
+        details: details ? JSON.stringify(details) : null
+    });
+}
+
+// Readings per crossing that now live in the hourly and daily rollups
+const selectRolledUpCount = db.prepare(`
+    SELECT
+        (SELECT COALESCE(SUM(sample_count), 0) FROM readings_hourly WHERE crossing_id = @crossingId)
+      + (SELECT COALESCE(SUM(sample_count), 0) FROM readings_daily WHERE crossing_id = @crossingId) as count
+`);
+
+function getRolledUpCount(crossingId) {
+    return selectRolledUpCount.get({ crossingId }).count;
 }
 
 // Get the most recent reading for a crossing
 const getLatestReading = db.prepare(`
-    SELECT wait_time, recorded_at
+    SELECT wait_time, baseline_time, recorded_at
     FROM readings
     WHERE crossing_id = ?
     ORDER BY recorded_at DESC
@@ -96,6 +1635,11 @@ function getLatest(crossingId) {
     return getLatestReading.get(crossingId);
 }
 
+// Convert a stored recorded_at string (UTC) back into a Date
+function parseRecordedAt(recordedAt) {
+    return timezone.parseUtc(recordedAt);
+}
+
 // Get reading count for a crossing
 const getReadingCount = db.prepare(`
     SELECT COUNT(*) as count FROM readings WHERE crossing_id = ?
@@ -127,8 +1671,71 @@ process.on('SIGTERM', () => {
 
 module.exports = {
     db,
+    SOURCES,
+    BUCKET_SECONDS,
     addReading,
+    addReadings,
+    getReadingsPage,
+    getRollupPage,
     getHistoricalData,
+    getHeatmapVersion,
+    getTimeSeries,
+    getDepartureProfile,
+    getRecentReadings,
+    addForecast,
+    resolveForecasts,
+    getForecastAccuracy,
+    getHourStats,
+    getIncident,
+    getOpenIncident,
+    openIncident,
+    updateIncident,
+    endIncident,
+    getIncidents,
+    getAlertRules,
+    getAlertRule,
+    createAlertRule,
+    updateAlertRule,
+    deleteAlertRule,
+    setAlertRuleStatus,
+    setAlertRuleTriggered,
+    addDelivery,
+    finishDelivery,
+    getDelivery,
+    getDeliveries,
+    getCrossingDefinitions,
+    saveCrossingDefinition,
+    getCommuteProfiles,
+    getCommuteProfile,
+    createCommuteProfile,
+    updateCommuteProfile,
+    deleteCommuteProfile,
+    addCommuteReading,
+    getLatestCommuteReadings,
+    getCommuteUsualTimes,
+    getCommuteSeries,
+    rollUpCommuteReadings,
+    pruneCommuteHourly,
+    addApiKey,
+    getApiKeyByHash,
+    getApiKeys,
+    revokeApiKey,
+    touchApiKey,
+    addAuditEntry,
+    getAuditLog,
+    rollUpReadings,
+    rollUpHourly,
+    pruneDaily,
+    pruneForecasts,
+    pruneAuditLog,
+    pruneDeliveries,
+    pruneIncidents,
+    analyze,
+    vacuum,
+    getMaintenanceRuns,
+    recordMaintenanceRun,
+    getRolledUpCount,
     getLatest,
+    parseRecordedAt,
     getCount
 };
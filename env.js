@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * Whole number from the environment, at least min. Unset uses the default;
+ * anything else that isn't a whole number of at least min is logged and
+ * uses the default too, so an explicit 0 works where min allows it.
+ */
+function readInteger(name, fallback, { min = 0 } = {}) {
+    const value = process.env[name];
+    if (value === undefined || value.trim() === '') return fallback;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        console.warn(`${name}=${value} is not a whole number of ${min} or more; using ${fallback}`);
+        return fallback;
+    }
+    return number;
+}
+
+module.exports = { readInteger };
@@ -21,7 +21,9 @@ module.exports = [
                 clearTimeout: 'readonly',
                 Buffer: 'readonly',
                 URL: 'readonly',
-                fetch: 'readonly'
+                fetch: 'readonly',
+                AbortController: 'readonly',
+                AbortSignal: 'readonly'
             }
         }
     },
@@ -39,6 +41,10 @@ module.exports = [
                 setInterval: 'readonly',
                 clearTimeout: 'readonly',
                 AbortController: 'readonly',
+                URLSearchParams: 'readonly',
+                EventSource: 'readonly',
+                clearInterval: 'readonly',
+                localStorage: 'readonly',
                 Date: 'readonly'
             }
         }
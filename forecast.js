@@ -0,0 +1,159 @@
+'use strict';
+
+const db = require('./db');
+const crossings = require('./crossings');
+const timezone = require('./timezone');
+
+// Short-term forecast for each crossing. A prediction starts from the
+// historical profile for the target day and time, then adds
+//   - today's anomaly (current reading minus the profile right now), fading
+//     out with ANOMALY_DECAY_MINUTES, and
+//   - the recent trend beyond what the profile expects, damped the same way.
+// Without history it extrapolates the damped trend; without a recent reading
+// it returns the profile alone.
+const HORIZONS = [30, 60, 90, 120];
+const TREND_WINDOW_MINUTES = 60;
+const ANOMALY_DECAY_MINUTES = 60;
+const SLOT_MINUTES = 15;
+const STEADY_THRESHOLD = 2; // Minutes of change before calling it rising/falling
+const ACCURACY_WINDOW_DAYS = 7;
+
+// Day of week (0 = Sunday) and minute of day in the display time zone
+function localSlot(date) {
+    const local = timezone.parseUtc(timezone.toLocalString(timezone.toUtcString(date)));
+    return {
+        dayOfWeek: local.getUTCDay(),
+        minute: local.getUTCHours() * 60 + Math.floor(local.getUTCMinutes() / SLOT_MINUTES) * SLOT_MINUTES
+    };
+}
+
+// Least-squares slope of wait time in minutes per minute
+function slope(points) {
+    if (points.length < 3) return 0;
+    const xs = points.map(p => p.recordedAt.getTime() / 60000);
+    const ys = points.map(p => p.waitTime);
+    const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+    let num = 0;
+    let den = 0;
+    for (let i = 0; i < xs.length; i++) {
+        num += (xs[i] - meanX) * (ys[i] - meanY);
+        den += (xs[i] - meanX) ** 2;
+    }
+    return den === 0 ? 0 : num / den;
+}
+
+// Historical average at a moment, from a per-day profile cache
+function createProfileLookup(crossingId, excludeSources) {
+    const profiles = new Map();
+    return date => {
+        const { dayOfWeek, minute } = localSlot(date);
+        if (!profiles.has(dayOfWeek)) {
+            const slots = db.getDepartureProfile(crossingId, dayOfWeek, { slotMinutes: SLOT_MINUTES, excludeSources });
+            profiles.set(dayOfWeek, new Map(slots.map(s => [s.slotMinute, s.avgTime])));
+        }
+        const value = profiles.get(dayOfWeek).get(minute);
+        return value === undefined ? null : value;
+    };
+}
+
+/**
+ * Forecast one crossing for the next HORIZONS minutes
+ */
+function forecastCrossing(crossingId, { now = new Date(), excludeSources = [] } = {}) {
+    const recent = db.getRecentReadings(crossingId, new Date(now.getTime() - TREND_WINDOW_MINUTES * 60000));
+    const latest = recent.length > 0 ? recent[recent.length - 1] : null;
+    const current = latest ? latest.waitTime : null;
+    const profileAt = createProfileLookup(crossingId, excludeSources);
+
+    const baseNow = profileAt(now);
+    const baseBefore = profileAt(new Date(now.getTime() - TREND_WINDOW_MINUTES * 60000));
+    const expectedSlope = baseNow !== null && baseBefore !== null
+        ? (baseNow - baseBefore) / TREND_WINDOW_MINUTES
+        : 0;
+    const residualSlope = slope(recent) - expectedSlope;
+
+    const predictions = HORIZONS.map(horizonMinutes => {
+        const at = new Date(now.getTime() + horizonMinutes * 60000);
+        const base = profileAt(at);
+        const decay = Math.exp(-horizonMinutes / ANOMALY_DECAY_MINUTES);
+        // Integral of the residual slope as it fades out
+        const trendTerm = residualSlope * ANOMALY_DECAY_MINUTES * (1 - decay);
+
+        let predicted = null;
+        if (current !== null && base !== null && baseNow !== null) {
+            predicted = base + (current - baseNow) * decay + trendTerm;
+        } else if (current !== null) {
+            predicted = current + trendTerm;
+        } else if (base !== null) {
+            predicted = base;
+        }
+
+        return {
+            horizonMinutes,
+            at: at.toISOString(),
+            waitTime: predicted === null ? null : Math.max(1, Math.round(predicted))
+        };
+    });
+
+    const reference = current !== null ? current : baseNow;
+    const inAnHour = predictions.find(p => p.horizonMinutes === 60).waitTime;
+    let trend = null;
+    if (reference !== null && inAnHour !== null) {
+        const change = inAnHour - reference;
+        trend = change >= STEADY_THRESHOLD ? 'rising' : change <= -STEADY_THRESHOLD ? 'falling' : 'steady';
+    }
+
+    return {
+        crossingId,
+        generatedAt: now.toISOString(),
+        current,
+        trend,
+        inAnHour,
+        predictions
+    };
+}
+
+/**
+ * Forecast every crossing, store the predictions for scoring and resolve
+ * earlier forecasts that are now due. Called after each traffic refresh.
+ */
+function recordForecasts({ now = new Date(), excludeSources = [] } = {}) {
+    const resolved = db.resolveForecasts();
+    const forecasts = crossings.list().map(c => forecastCrossing(c.id, { now, excludeSources }));
+
+    db.db.transaction(() => {
+        for (const forecast of forecasts) {
+            for (const prediction of forecast.predictions) {
+                if (prediction.waitTime === null) continue;
+                db.addForecast({
+                    crossingId: forecast.crossingId,
+                    madeAt: now,
+                    targetAt: new Date(prediction.at),
+                    horizonMinutes: prediction.horizonMinutes,
+                    predicted: prediction.waitTime
+                });
+            }
+        }
+    })();
+
+    if (resolved > 0) {
+        console.log(`Scored ${resolved} forecasts against actual readings`);
+    }
+    return forecasts;
+}
+
+/**
+ * Forecast error per horizon over the last week
+ */
+function getAccuracy(crossingId) {
+    const since = new Date(Date.now() - ACCURACY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    return db.getForecastAccuracy(crossingId, since);
+}
+
+module.exports = {
+    HORIZONS,
+    forecastCrossing,
+    recordForecasts,
+    getAccuracy
+};
@@ -0,0 +1,218 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const { Readable } = require('stream');
+const { splitCsvLine } = require('./transfer');
+
+// Reading GTFS schedule feeds straight from their downloaded .zip files.
+// Tables are streamed row by row, so large feeds (NJ Transit bus has
+// millions of stop_times) never have to fit in memory.
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const MAX_COMMENT_LENGTH = 0xffff;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function readAt(fd, position, length) {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * List the files in a zip archive: [{ name, method, compressedSize, offset }]
+ * Throws if the file isn't a zip archive, or needs ZIP64
+ */
+function listEntries(file) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const size = fs.fstatSync(fd).size;
+        const tailLength = Math.min(size, 22 + MAX_COMMENT_LENGTH);
+        const tail = readAt(fd, size - tailLength, tailLength);
+
+        let eocd = -1;
+        for (let i = tail.length - 22; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) {
+            throw new Error(`${file} is not a zip archive`);
+        }
+
+        const count = tail.readUInt16LE(eocd + 10);
+        const directorySize = tail.readUInt32LE(eocd + 12);
+        const directoryOffset = tail.readUInt32LE(eocd + 16);
+        if (count === 0xffff || directoryOffset === 0xffffffff) {
+            throw new Error(`${file} needs ZIP64, which isn't supported`);
+        }
+
+        const directory = readAt(fd, directoryOffset, directorySize);
+        const entries = [];
+        let position = 0;
+        for (let i = 0; i < count; i++) {
+            if (directory.readUInt32LE(position) !== CENTRAL_SIGNATURE) {
+                throw new Error(`${file} has a damaged central directory`);
+            }
+            const nameLength = directory.readUInt16LE(position + 28);
+            const extraLength = directory.readUInt16LE(position + 30);
+            const commentLength = directory.readUInt16LE(position + 32);
+            entries.push({
+                name: directory.toString('utf8', position + 46, position + 46 + nameLength),
+                method: directory.readUInt16LE(position + 10),
+                compressedSize: directory.readUInt32LE(position + 20),
+                offset: directory.readUInt32LE(position + 42)
+            });
+            position += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Readable stream of one entry's uncompressed contents
+function openEntry(file, entry) {
+    const fd = fs.openSync(file, 'r');
+    let header;
+    try {
+        header = readAt(fd, entry.offset, 30);
+    } finally {
+        fs.closeSync(fd);
+    }
+    if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_SIGNATURE) {
+        throw new Error(`${file} has a damaged entry for ${entry.name}`);
+    }
+
+    const start = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    // A read stream can't cover zero bytes, so empty files get an empty stream
+    if (entry.compressedSize === 0) {
+        return Readable.from([]);
+    }
+    const raw = fs.createReadStream(file, { start, end: start + entry.compressedSize - 1 });
+    if (entry.method === 0) return raw;
+    if (entry.method !== 8) {
+        throw new Error(`${file}: ${entry.name} uses an unsupported compression method (${entry.method})`);
+    }
+    const inflate = zlib.createInflateRaw();
+    raw.on('error', error => inflate.destroy(error));
+    return raw.pipe(inflate);
+}
+
+/**
+ * Stream a GTFS table (e.g. "stops.txt") from a feed, calling onRow with
+ * each row as an object keyed by the header's column names
+ * Resolves to false if the feed has no such table
+ */
+async function readTable(file, table, onRow, entries = listEntries(file)) {
+    // Some feeds put their tables in a folder inside the zip
+    const entry = entries.find(e => path.posix.basename(e.name) === table);
+    if (!entry) return false;
+
+    const input = openEntry(file, entry);
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let streamError = null;
+    input.on('error', error => {
+        streamError = error;
+        lines.close();
+    });
+
+    let columns = null;
+    for await (const line of lines) {
+        if (columns === null) {
+            columns = (splitCsvLine(line.replace(/^\uFEFF/, '')) || []).map(name => name.trim());
+            continue;
+        }
+        if (line.trim() === '') continue;
+        const fields = splitCsvLine(line);
+        if (!fields) continue;
+        const row = {};
+        columns.forEach((name, i) => {
+            row[name] = fields[i] === undefined ? '' : fields[i].trim();
+        });
+        onRow(row);
+    }
+
+    if (streamError) {
+        throw new Error(`Unable to read ${table} from ${file}: ${streamError.message}`);
+    }
+    return true;
+}
+
+/**
+ * Parse a GTFS time ("8:05:00", or "25:10:00" for after midnight) into
+ * seconds after the start of the service day (null if blank or invalid)
+ */
+function parseTime(value) {
+    const match = /^(\d{1,3}):([0-5]\d):([0-5]\d)$/.exec(value || '');
+    if (!match) return null;
+    return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+}
+
+// "20250105" -> "2025-01-05"
+function toIsoDay(value) {
+    return /^\d{8}$/.test(value) ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}` : null;
+}
+
+/**
+ * Service calendar from calendar.txt and calendar_dates.txt rows
+ * runsOn(serviceId, "YYYY-MM-DD") says whether a service operates that day
+ */
+function buildCalendar(calendarRows, dateRows) {
+    const weekly = new Map();
+    for (const row of calendarRows) {
+        weekly.set(row.service_id, {
+            days: WEEKDAYS.map(day => row[day] === '1'),
+            from: toIsoDay(row.start_date),
+            to: toIsoDay(row.end_date)
+        });
+    }
+
+    const added = new Set();
+    const removed = new Set();
+    for (const row of dateRows) {
+        const key = `${row.service_id}|${toIsoDay(row.date)}`;
+        if (row.exception_type === '1') added.add(key);
+        if (row.exception_type === '2') removed.add(key);
+    }
+
+    const days = [...weekly.values()].flatMap(s => [s.from, s.to])
+        .concat(dateRows.map(row => toIsoDay(row.date)))
+        .filter(Boolean)
+        .sort();
+
+    return {
+        from: days[0] || null,
+        to: days[days.length - 1] || null,
+        runsOn(serviceId, day) {
+            const key = `${serviceId}|${day}`;
+            if (added.has(key)) return true;
+            if (removed.has(key)) return false;
+            const service = weekly.get(serviceId);
+            if (!service || (service.from && day < service.from) || (service.to && day > service.to)) {
+                return false;
+            }
+            return service.days[new Date(`${day}T00:00:00Z`).getUTCDay()];
+        }
+    };
+}
+
+/**
+ * "YYYY-MM-DD" a number of days after another
+ */
+function addDays(day, count) {
+    return new Date(new Date(`${day}T00:00:00Z`).getTime() + count * DAY_MS).toISOString().slice(0, 10);
+}
+
+module.exports = {
+    listEntries,
+    readTable,
+    parseTime,
+    buildCalendar,
+    addDays
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+// API key management CLI:
+//   node keys.js issue <name> --scopes admin[,refresh,...] [--expires 90d]
+//   node keys.js list
+//   node keys.js revoke <id>
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, 'gmap_api.env'), quiet: true });
+
+const auth = require('./auth');
+const db = require('./db');
+
+const USAGE = [
+    'Usage:',
+    '  node keys.js issue <name> --scopes <scopes> [--expires 90d|12h|YYYY-MM-DD]',
+    '  node keys.js list',
+    '  node keys.js revoke <id>',
+    `Scopes: ${auth.SCOPES.join(', ')}`
+].join('\n');
+
+// Value following a --flag (null if absent)
+function option(args, flag) {
+    const index = args.indexOf(flag);
+    return index === -1 ? null : args[index + 1] ?? '';
+}
+
+function describeKey(key) {
+    let state = 'active';
+    if (key.revokedAt) state = `revoked ${key.revokedAt}`;
+    else if (key.expiresAt && new Date(key.expiresAt) <= new Date()) state = `expired ${key.expiresAt}`;
+    else if (key.expiresAt) state = `expires ${key.expiresAt}`;
+    const lastUsed = key.lastUsedAt ? `last used ${key.lastUsedAt}` : 'never used';
+    return `${String(key.id).padStart(4)}  ${key.prefix}...  ${key.name}  [${key.scopes.join(', ')}]  ${state}, ${lastUsed}`;
+}
+
+function run(args) {
+    const command = args[0];
+
+    if (command === 'issue') {
+        const name = args[1];
+        if (!name || name.startsWith('--')) {
+            throw new Error('A name is required');
+        }
+
+        const scopes = auth.parseScopes(option(args, '--scopes') || '');
+        if (!scopes) {
+            throw new Error(`--scopes must be a comma-separated list of: ${auth.SCOPES.join(', ')}`);
+        }
+
+        const expiresOption = option(args, '--expires');
+        const expiresAt = expiresOption === null ? null : auth.parseExpiry(expiresOption);
+        if (expiresOption !== null && !expiresAt) {
+            throw new Error('--expires must be a future date or a duration like 90d or 12h');
+        }
+
+        const { key, record } = auth.issueKey({ name, scopes, expiresAt });
+        console.log(`Issued key ${record.id} "${record.name}" with scopes: ${record.scopes.join(', ')}`);
+        if (record.expiresAt) console.log(`Expires: ${record.expiresAt}`);
+        console.log(`\n  ${key}\n`);
+        console.log('Store it now - it is not saved and cannot be shown again.');
+    } else if (command === 'list') {
+        const keys = db.getApiKeys();
+        if (keys.length === 0) {
+            console.log('No API keys issued yet.');
+        }
+        keys.forEach(key => console.log(describeKey(key)));
+    } else if (command === 'revoke') {
+        const id = Number(args[1]);
+        if (!Number.isInteger(id) || !db.revokeApiKey(id)) {
+            throw new Error(`No active key with id ${args[1]}`);
+        }
+        console.log(`Revoked key ${id}.`);
+    } else {
+        console.error(USAGE);
+        process.exitCode = 1;
+    }
+}
+
+try {
+    run(process.argv.slice(2));
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
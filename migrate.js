@@ -0,0 +1,162 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Schema migrations live in migrations/NNN_name.js and export
+// { description, up(db) }. The applied version is tracked in
+// PRAGMA user_version, and each migration runs in its own transaction.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Thrown inside a transaction to roll back a dry run
+const DRY_RUN_ROLLBACK = Symbol('dry-run rollback');
+
+/**
+ * All migrations on disk, ordered by version
+ */
+function listMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => {
+            const match = FILE_PATTERN.exec(file);
+            if (!match) return null;
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                description: migration.description || match[2],
+                up: migration.up
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version - b.version);
+}
+
+function getVersion(db) {
+    return db.pragma('user_version', { simple: true });
+}
+
+/**
+ * Current schema version and the migrations still to apply
+ */
+function getStatus(db) {
+    const migrations = listMigrations();
+    const currentVersion = getVersion(db);
+    const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+    return {
+        currentVersion,
+        latestVersion,
+        pending: migrations.filter(m => m.version > currentVersion)
+    };
+}
+
+// Copy the database aside before changing its schema
+function backupDatabase(db, version) {
+    if (db.memory) return null;
+    const backupPath = `${db.name}.v${version}.bak`;
+    if (fs.existsSync(backupPath)) {
+        fs.unlinkSync(backupPath);
+    }
+    db.prepare('VACUUM INTO ?').run(backupPath);
+    return backupPath;
+}
+
+/**
+ * Apply pending migrations in order
+ * With dryRun, every pending migration is run and then rolled back, so
+ * failures surface without touching the data
+ */
+function migrate(db, { dryRun = false, log = console.log } = {}) {
+    const { currentVersion, latestVersion, pending } = getStatus(db);
+
+    if (currentVersion > latestVersion) {
+        throw new Error(`Database schema version ${currentVersion} is newer than this code supports (${latestVersion})`);
+    }
+
+    if (pending.length === 0) {
+        return { applied: [], currentVersion };
+    }
+
+    if (dryRun) {
+        try {
+            db.transaction(() => {
+                for (const migration of pending) {
+                    migration.up(db);
+                    log(`[dry run] Migration ${migration.version} (${migration.description}) would apply cleanly`);
+                }
+                throw DRY_RUN_ROLLBACK;
+            })();
+        } catch (error) {
+            if (error !== DRY_RUN_ROLLBACK) throw error;
+        }
+        return { applied: [], currentVersion };
+    }
+
+    // Fresh databases have nothing worth backing up
+    const hasData = db.prepare("SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table'").get().count > 0;
+    if (hasData) {
+        const backupPath = backupDatabase(db, currentVersion);
+        if (backupPath) {
+            log(`Backed up database to ${backupPath} before migrating`);
+        }
+    }
+
+    const applied = [];
+    for (const migration of pending) {
+        db.transaction(() => {
+            migration.up(db);
+            db.pragma(`user_version = ${migration.version}`);
+        })();
+        log(`Applied migration ${migration.version} (${migration.description})`);
+        applied.push(migration.version);
+    }
+
+    return { applied, currentVersion: getVersion(db) };
+}
+
+// CLI: node migrate.js [status|up] [--dry-run]
+if (require.main === module) {
+    require('dotenv').config({ path: path.join(__dirname, 'gmap_api.env'), quiet: true });
+    const Database = require('better-sqlite3');
+    const dbPath = process.env.DB_PATH
+        ? path.resolve(process.env.DB_PATH)
+        : path.join(__dirname, 'commute.db');
+
+    const command = process.argv[2] || 'status';
+    const dryRun = process.argv.includes('--dry-run');
+    const db = new Database(dbPath);
+
+    try {
+        if (command === 'status') {
+            const { currentVersion, latestVersion, pending } = getStatus(db);
+            console.log(`Database: ${dbPath}`);
+            console.log(`Schema version: ${currentVersion} (latest ${latestVersion})`);
+            if (pending.length === 0) {
+                console.log('Up to date.');
+            } else {
+                console.log('Pending migrations:');
+                pending.forEach(m => console.log(`  ${m.version} ${m.name} - ${m.description}`));
+            }
+        } else if (command === 'up') {
+            const { applied, currentVersion } = migrate(db, { dryRun });
+            if (!dryRun && applied.length === 0) {
+                console.log(`Already at schema version ${currentVersion}.`);
+            }
+        } else {
+            console.error('Usage: node migrate.js [status|up] [--dry-run]');
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('Migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        db.close();
+    }
+}
+
+module.exports = {
+    listMigrations,
+    getStatus,
+    migrate
+};
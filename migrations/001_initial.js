@@ -0,0 +1,20 @@
+'use strict';
+
+// Original schema. IF NOT EXISTS keeps this safe on databases created
+// before migrations were tracked.
+module.exports = {
+    description: 'Create readings table',
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS readings (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                crossing_id TEXT NOT NULL,
+                wait_time INTEGER NOT NULL,
+                recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_readings_crossing ON readings(crossing_id);
+            CREATE INDEX IF NOT EXISTS idx_readings_time ON readings(recorded_at);
+        `);
+    }
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+// Baseline time, distance and data source for each reading. Databases that
+// were upgraded before migrations existed may already have some columns.
+const COLUMNS = {
+    baseline_time: 'INTEGER',
+    distance_miles: 'REAL',
+    source: 'TEXT'
+};
+
+module.exports = {
+    description: 'Add baseline_time, distance_miles and source to readings',
+    up(db) {
+        const existing = db.prepare('PRAGMA table_info(readings)').all().map(c => c.name);
+        for (const [column, type] of Object.entries(COLUMNS)) {
+            if (!existing.includes(column)) {
+                db.exec(`ALTER TABLE readings ADD COLUMN ${column} ${type}`);
+            }
+        }
+    }
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+const timezone = require('../timezone');
+
+// Readings used to be stored as server-local wall-clock time. Convert them
+// to UTC, assuming they were written in LEGACY_TIMEZONE (default: this
+// server's zone, which is where they were recorded).
+const LEGACY_TIMEZONE = process.env.LEGACY_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+module.exports = {
+    description: `Convert reading timestamps from ${LEGACY_TIMEZONE} local time to UTC`,
+    up(db) {
+        timezone.assertValidTimeZone(LEGACY_TIMEZONE);
+        db.function('legacy_local_to_utc', { deterministic: true }, value =>
+            timezone.localToUtcString(value, LEGACY_TIMEZONE));
+        db.exec(`
+            UPDATE readings
+            SET recorded_at = COALESCE(legacy_local_to_utc(recorded_at), recorded_at)
+            WHERE recorded_at IS NOT NULL
+        `);
+    }
+};
@@ -0,0 +1,13 @@
+'use strict';
+
+// Time-series queries filter on crossing and time range together. The
+// composite index covers both, and makes the crossing-only index redundant.
+module.exports = {
+    description: 'Index readings by crossing and time',
+    up(db) {
+        db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_readings_crossing_time ON readings(crossing_id, recorded_at);
+            DROP INDEX IF EXISTS idx_readings_crossing;
+        `);
+    }
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+// Forecasts made on each refresh, kept so they can be scored against the
+// readings that actually follow
+module.exports = {
+    description: 'Create forecasts table',
+    up(db) {
+        db.exec(`
+            CREATE TABLE forecasts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                crossing_id TEXT NOT NULL,
+                made_at DATETIME NOT NULL,
+                target_at DATETIME NOT NULL,
+                horizon_minutes INTEGER NOT NULL,
+                predicted INTEGER NOT NULL,
+                actual INTEGER
+            );
+
+            CREATE INDEX idx_forecasts_target ON forecasts(target_at);
+            CREATE INDEX idx_forecasts_crossing ON forecasts(crossing_id, target_at);
+        `);
+    }
+};
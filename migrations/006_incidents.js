@@ -0,0 +1,28 @@
+'use strict';
+
+// Incidents: runs of readings far worse than usual for their day and hour.
+// An incident stays open (ended_at NULL) while anomalous readings keep coming.
+module.exports = {
+    description: 'Create incidents table',
+    up(db) {
+        db.exec(`
+            CREATE TABLE incidents (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                crossing_id TEXT NOT NULL,
+                severity TEXT NOT NULL,
+                started_at DATETIME NOT NULL,
+                last_seen_at DATETIME NOT NULL,
+                ended_at DATETIME,
+                wait_time INTEGER NOT NULL,
+                peak_wait_time INTEGER NOT NULL,
+                expected_time REAL NOT NULL,
+                p90_time REAL,
+                z_score REAL NOT NULL,
+                reading_count INTEGER NOT NULL DEFAULT 1
+            );
+
+            CREATE INDEX idx_incidents_crossing ON incidents(crossing_id, ended_at);
+            CREATE INDEX idx_incidents_started ON incidents(started_at);
+        `);
+    }
+};
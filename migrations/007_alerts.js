@@ -0,0 +1,45 @@
+'use strict';
+
+// Alert rules managed through the admin API, and a log of every webhook
+// delivery attempt made for them
+module.exports = {
+    description: 'Create alert_rules and alert_deliveries tables',
+    up(db) {
+        db.exec(`
+            CREATE TABLE alert_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                crossing_id TEXT NOT NULL,
+                condition TEXT NOT NULL,
+                threshold REAL,
+                status TEXT,
+                webhook_url TEXT NOT NULL,
+                active_days TEXT,
+                active_from TEXT,
+                active_to TEXT,
+                cooldown_minutes INTEGER NOT NULL DEFAULT 30,
+                enabled INTEGER NOT NULL DEFAULT 1,
+                last_status TEXT,
+                last_triggered_at DATETIME,
+                created_at DATETIME NOT NULL,
+                updated_at DATETIME NOT NULL
+            );
+
+            CREATE TABLE alert_deliveries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                rule_id INTEGER NOT NULL,
+                event TEXT NOT NULL,
+                crossing_id TEXT NOT NULL,
+                created_at DATETIME NOT NULL,
+                completed_at DATETIME,
+                outcome TEXT NOT NULL,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                response_status INTEGER,
+                error TEXT,
+                payload TEXT NOT NULL
+            );
+
+            CREATE INDEX idx_alert_deliveries_rule ON alert_deliveries(rule_id, created_at);
+        `);
+    }
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+// Crossings added or edited through the admin API. Each row holds a full
+// crossing definition (same shape as an entry in crossings.json) and
+// replaces the config file entry with the same id.
+module.exports = {
+    description: 'Create crossing_definitions table',
+    up(db) {
+        db.exec(`
+            CREATE TABLE crossing_definitions (
+                id TEXT PRIMARY KEY,
+                definition TEXT NOT NULL,
+                enabled INTEGER NOT NULL DEFAULT 1,
+                updated_at DATETIME NOT NULL
+            );
+        `);
+    }
+};
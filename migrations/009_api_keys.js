@@ -0,0 +1,37 @@
+'use strict';
+
+// Named API keys (only a SHA-256 hash of each key is stored) and an audit
+// log of every call to a protected endpoint
+module.exports = {
+    description: 'Create api_keys and audit_log tables',
+    up(db) {
+        db.exec(`
+            CREATE TABLE api_keys (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                prefix TEXT NOT NULL,
+                key_hash TEXT NOT NULL UNIQUE,
+                scopes TEXT NOT NULL,
+                created_at DATETIME NOT NULL,
+                expires_at DATETIME,
+                revoked_at DATETIME,
+                last_used_at DATETIME
+            );
+
+            CREATE TABLE audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                recorded_at DATETIME NOT NULL,
+                key_id INTEGER,
+                key_name TEXT,
+                method TEXT NOT NULL,
+                path TEXT NOT NULL,
+                scope TEXT NOT NULL,
+                status_code INTEGER NOT NULL,
+                ip TEXT
+            );
+
+            CREATE INDEX idx_audit_log_recorded ON audit_log(recorded_at);
+            CREATE INDEX idx_audit_log_key ON audit_log(key_id, recorded_at);
+        `);
+    }
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+// Aggregates that old readings are rolled up into by retention.js, and a log
+// of the last run of each maintenance task. Rolled-up rows keep the source
+// ('' for readings that had none) so source filters still apply; hourly rows
+// keep a histogram of wait times ({"minutes": count}) for exact percentiles.
+module.exports = {
+    description: 'Create readings_hourly, readings_daily and maintenance_runs tables',
+    up(db) {
+        db.exec(`
+            CREATE TABLE readings_hourly (
+                crossing_id TEXT NOT NULL,
+                hour_start DATETIME NOT NULL,
+                source TEXT NOT NULL,
+                sample_count INTEGER NOT NULL,
+                total_time INTEGER NOT NULL,
+                total_squares INTEGER NOT NULL,
+                min_time INTEGER NOT NULL,
+                max_time INTEGER NOT NULL,
+                histogram TEXT NOT NULL,
+                PRIMARY KEY (crossing_id, hour_start, source)
+            ) WITHOUT ROWID;
+
+            CREATE INDEX idx_readings_hourly_time ON readings_hourly(hour_start);
+
+            CREATE TABLE readings_daily (
+                crossing_id TEXT NOT NULL,
+                day TEXT NOT NULL,
+                day_start DATETIME NOT NULL,
+                source TEXT NOT NULL,
+                sample_count INTEGER NOT NULL,
+                total_time INTEGER NOT NULL,
+                total_squares INTEGER NOT NULL,
+                min_time INTEGER NOT NULL,
+                max_time INTEGER NOT NULL,
+                PRIMARY KEY (crossing_id, day_start, source)
+            ) WITHOUT ROWID;
+
+            CREATE INDEX idx_readings_daily_time ON readings_daily(day_start);
+
+            CREATE TABLE maintenance_runs (
+                task TEXT PRIMARY KEY,
+                last_run_at DATETIME NOT NULL,
+                duration_ms INTEGER NOT NULL,
+                details TEXT
+            );
+        `);
+    }
+};
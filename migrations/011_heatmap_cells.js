@@ -0,0 +1,26 @@
+'use strict';
+
+// Running totals per crossing, source, weekday and hour (display time zone),
+// kept up to date as readings are added so the default heatmap doesn't scan
+// every reading. The histogram ({"minutes": count}) gives exact percentiles
+// and min/max. db.js fills the table from the raw readings and hourly rollups
+// on startup (see heatmap_cells_zone, migration 13).
+module.exports = {
+    description: 'Create heatmap_cells table',
+    up(db) {
+        db.exec(`
+            CREATE TABLE heatmap_cells (
+                crossing_id TEXT NOT NULL,
+                source TEXT NOT NULL,
+                day_of_week INTEGER NOT NULL,
+                hour INTEGER NOT NULL,
+                sample_count INTEGER NOT NULL,
+                total_time INTEGER NOT NULL,
+                total_squares INTEGER NOT NULL,
+                histogram TEXT NOT NULL,
+                updated_at DATETIME NOT NULL,
+                PRIMARY KEY (crossing_id, source, day_of_week, hour)
+            ) WITHOUT ROWID;
+        `);
+    }
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+// Saved door-to-door commutes (origin, destination and the crossings to
+// compare) and the travel time through each crossing on every refresh
+module.exports = {
+    description: 'Create commute_profiles and commute_readings tables',
+    up(db) {
+        db.exec(`
+            CREATE TABLE commute_profiles (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                origin TEXT NOT NULL,
+                destination TEXT NOT NULL,
+                crossing_ids TEXT NOT NULL,
+                created_at DATETIME NOT NULL,
+                updated_at DATETIME NOT NULL
+            );
+
+            CREATE TABLE commute_readings (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                profile_id INTEGER NOT NULL,
+                crossing_id TEXT NOT NULL,
+                recorded_at DATETIME NOT NULL,
+                travel_time INTEGER NOT NULL,
+                baseline_time INTEGER,
+                distance_miles REAL,
+                source TEXT
+            );
+
+            CREATE INDEX idx_commute_readings_profile ON commute_readings(profile_id, crossing_id, recorded_at);
+            CREATE INDEX idx_commute_readings_time ON commute_readings(recorded_at);
+        `);
+    }
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+// The display time zone the heatmap_cells weekdays and hours are in. Cells
+// built before this was recorded are in an unknown zone, so the table starts
+// empty and db.js rebuilds the cells on the next start.
+module.exports = {
+    description: 'Create heatmap_cells_zone table',
+    up(db) {
+        db.exec(`
+            CREATE TABLE heatmap_cells_zone (
+                time_zone TEXT NOT NULL
+            );
+        `);
+    }
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+// Hourly aggregates that old commute travel times are rolled up into by
+// retention.js, per profile, crossing, UTC hour and source ('' for none), so
+// the usual times outlast the raw travel times
+module.exports = {
+    description: 'Create commute_readings_hourly table',
+    up(db) {
+        db.exec(`
+            CREATE TABLE commute_readings_hourly (
+                profile_id INTEGER NOT NULL,
+                crossing_id TEXT NOT NULL,
+                hour_start DATETIME NOT NULL,
+                source TEXT NOT NULL,
+                sample_count INTEGER NOT NULL,
+                total_time INTEGER NOT NULL,
+                min_time INTEGER NOT NULL,
+                max_time INTEGER NOT NULL,
+                PRIMARY KEY (profile_id, crossing_id, hour_start, source)
+            ) WITHOUT ROWID;
+
+            CREATE INDEX idx_commute_readings_hourly_time ON commute_readings_hourly(hour_start);
+        `);
+    }
+};
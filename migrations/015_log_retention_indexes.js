@@ -0,0 +1,13 @@
+'use strict';
+
+// Indexes for pruning old webhook deliveries and ended incidents by time
+// (see retention.js); audit_log is already indexed by recorded_at
+module.exports = {
+    description: 'Index alert_deliveries by created_at and incidents by ended_at',
+    up(db) {
+        db.exec(`
+            CREATE INDEX idx_alert_deliveries_created ON alert_deliveries(created_at);
+            CREATE INDEX idx_incidents_ended ON incidents(ended_at);
+        `);
+    }
+};
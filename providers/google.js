@@ -0,0 +1,229 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { withRetry } = require('../retry');
+const { readInteger } = require('../env');
+
+const API_KEY = process.env.GOOGLE_MAPS_API_KEY;
+
+// Per-request timeout and retry policy for transient failures
+const REQUEST_TIMEOUT_MS = readInteger('GOOGLE_MAPS_TIMEOUT_MS', 5000, { min: 1 });
+const MAX_RETRIES = readInteger('GOOGLE_MAPS_RETRIES', 3);
+const TRANSIENT_STATUSES = new Set(['OVER_QUERY_LIMIT', 'UNKNOWN_ERROR']);
+
+// Circuit breaker: stop calling the API after repeated REQUEST_DENIED
+// (bad or restricted key) and try a single request again after the cooldown
+const BREAKER_THRESHOLD = readInteger('GOOGLE_MAPS_BREAKER_THRESHOLD', 3, { min: 1 });
+const BREAKER_COOLDOWN_MS = readInteger('GOOGLE_MAPS_BREAKER_COOLDOWN_MS', 15 * 60 * 1000);
+
+const breaker = {
+    state: 'closed', // closed | open | half-open
+    consecutiveDenials: 0,
+    openedAt: null,
+    lastError: null,
+    probeInFlight: false
+};
+
+// When set, every successful Directions response is appended to
+// <dir>/<route id>.json so the replay provider can serve it later
+const RECORD_DIR = process.env.TRAFFIC_RECORD_DIR
+    ? path.resolve(process.env.TRAFFIC_RECORD_DIR)
+    : null;
+
+/**
+ * Convert a Directions API response into travel time minutes and distance
+ * Shared with the replay provider, which serves recorded responses
+ */
+function parseDirections(data, routeId) {
+    if (data.status !== 'OK') {
+        console.error(`Google Maps API error for ${routeId}:`, data.status, data.error_message);
+        const error = new Error(`API error: ${data.status}`);
+        error.status = data.status;
+        throw error;
+    }
+
+    if (!data.routes || data.routes.length === 0) {
+        throw new Error('No routes found');
+    }
+
+    const route_data = data.routes[0];
+
+    if (!route_data.legs || route_data.legs.length === 0) {
+        throw new Error('No route legs found');
+    }
+
+    // Sum duration across all legs (waypoints create multiple legs)
+    let totalDurationSeconds = 0;
+    let totalBaselineSeconds = 0;
+    let totalDistanceMeters = 0;
+
+    for (const leg of route_data.legs) {
+        // Use duration_in_traffic if available, otherwise fall back to duration
+        totalDurationSeconds += leg.duration_in_traffic
+            ? leg.duration_in_traffic.value
+            : leg.duration.value;
+        totalBaselineSeconds += leg.duration.value;
+        totalDistanceMeters += leg.distance.value;
+    }
+
+    const distanceMiles = (totalDistanceMeters / 1609.34).toFixed(1);
+
+    return {
+        waitTime: Math.round(totalDurationSeconds / 60),
+        baselineTime: Math.round(totalBaselineSeconds / 60),
+        distance: `${distanceMiles} mi`
+    };
+}
+
+// Append a raw response to the recording file for a route
+function recordResponse(routeId, data) {
+    const file = path.join(RECORD_DIR, `${routeId}.json`);
+    try {
+        fs.mkdirSync(RECORD_DIR, { recursive: true });
+        const existing = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+        existing.push(data);
+        fs.writeFileSync(file, JSON.stringify(existing));
+    } catch (error) {
+        console.error(`Failed to record response for ${routeId}:`, error.message);
+    }
+}
+
+// Network failures, timeouts, 5xx responses and transient API statuses
+function isTransient(error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') return true;
+    if (error instanceof TypeError) return true; // fetch() network failure
+    if (error.httpStatus >= 500) return true;
+    return TRANSIENT_STATUSES.has(error.status);
+}
+
+// Throws while the breaker is open; lets one probe through after the cooldown
+function checkBreaker() {
+    if (breaker.state === 'open') {
+        if (Date.now() - breaker.openedAt < BREAKER_COOLDOWN_MS) {
+            throw new Error('Circuit open: Google Maps requests paused after repeated REQUEST_DENIED');
+        }
+        breaker.state = 'half-open';
+    }
+    if (breaker.state === 'half-open') {
+        if (breaker.probeInFlight) {
+            throw new Error('Circuit half-open: waiting for test request to Google Maps');
+        }
+        breaker.probeInFlight = true;
+    }
+}
+
+function recordOutcome(error) {
+    breaker.probeInFlight = false;
+
+    if (!error) {
+        breaker.state = 'closed';
+        breaker.consecutiveDenials = 0;
+        breaker.openedAt = null;
+        return;
+    }
+
+    breaker.lastError = error.message;
+    if (error.status !== 'REQUEST_DENIED') {
+        // An inconclusive probe keeps the breaker open for another cooldown
+        if (breaker.state === 'half-open') {
+            breaker.state = 'open';
+            breaker.openedAt = Date.now();
+        }
+        return;
+    }
+
+    breaker.consecutiveDenials++;
+    if (breaker.state === 'half-open' || breaker.consecutiveDenials >= BREAKER_THRESHOLD) {
+        if (breaker.state !== 'open') {
+            console.error(`Google Maps circuit breaker opened after ${breaker.consecutiveDenials} REQUEST_DENIED responses`);
+        }
+        breaker.state = 'open';
+        breaker.openedAt = Date.now();
+    }
+}
+
+// Single Directions API request with a timeout, also stopped by the caller's signal
+async function requestDirections(url, signal) {
+    const timeout = AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+    const response = await fetch(url, { signal: signal ? AbortSignal.any([signal, timeout]) : timeout });
+    if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}`);
+        error.httpStatus = response.status;
+        throw error;
+    }
+    return response.json();
+}
+
+/**
+ * Fetch travel time from Google Maps Directions API
+ * Returns duration in minutes with traffic. Once signal aborts, the request
+ * in flight is stopped and no retries are made.
+ */
+async function fetchTravelTime(route, { signal } = {}) {
+    checkBreaker();
+
+    const url = new URL('https://maps.googleapis.com/maps/api/directions/json');
+    url.searchParams.set('origin', route.origin);
+    url.searchParams.set('destination', route.destination);
+    url.searchParams.set('waypoints', route.waypoint);
+    url.searchParams.set('departure_time', 'now');
+    url.searchParams.set('traffic_model', 'best_guess');
+    url.searchParams.set('key', API_KEY);
+
+    let data;
+    let result;
+    try {
+        ({ data, result } = await withRetry(async () => {
+            const body = await requestDirections(url.toString(), signal);
+            return { data: body, result: parseDirections(body, route.id) };
+        }, {
+            retries: MAX_RETRIES,
+            shouldRetry: error => !(signal && signal.aborted) && isTransient(error),
+            onRetry: (error, attempt, delay) => {
+                console.warn(`Retrying ${route.id} (attempt ${attempt}) in ${delay}ms: ${error.message}`);
+            }
+        }));
+    } catch (error) {
+        recordOutcome(error);
+        throw error;
+    }
+    recordOutcome(null);
+
+    if (RECORD_DIR) {
+        recordResponse(route.id, data);
+    }
+
+    return result;
+}
+
+/**
+ * Current circuit breaker state, for /api/stats
+ */
+function getCircuitBreaker() {
+    const retryAt = breaker.state === 'open'
+        ? new Date(breaker.openedAt + BREAKER_COOLDOWN_MS).toISOString()
+        : null;
+    return {
+        state: breaker.state,
+        consecutiveDenials: breaker.consecutiveDenials,
+        openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+        retryAt,
+        lastError: breaker.lastError
+    };
+}
+
+/**
+ * Google needs an API key to do anything
+ */
+function isAvailable() {
+    return !!API_KEY;
+}
+
+module.exports = {
+    name: 'google',
+    fetchTravelTime,
+    isAvailable,
+    getCircuitBreaker,
+    parseDirections
+};
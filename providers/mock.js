@@ -0,0 +1,68 @@
+'use strict';
+
+const timezone = require('../timezone');
+
+// Deterministic offline provider. The same route at the same time always
+// produces the same reading, with rush-hour peaks so heatmaps look realistic.
+
+const SLOT_MINUTES = 10;
+
+// Small stable string hash (FNV-1a), used to seed per-route variation
+function hash(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// Great-circle distance in miles between two "lat,lng" strings
+function distanceMiles(from, to) {
+    const [lat1, lng1] = from.split(',').map(Number);
+    const [lat2, lng2] = to.split(',').map(Number);
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 3958.8 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// 0..1 congestion level for a moment in time (weekday rush hours peak at 1),
+// using wall-clock time in the display time zone rather than the server's
+function rushFactor(date) {
+    const local = timezone.parseUtc(timezone.toLocalString(timezone.toUtcString(date)));
+    const hour = local.getUTCHours() + local.getUTCMinutes() / 60;
+    const weekend = local.getUTCDay() === 0 || local.getUTCDay() === 6;
+    const peak = (center, width) => Math.exp(-((hour - center) ** 2) / (2 * width ** 2));
+    const level = Math.max(peak(8, 1.2), peak(17.5, 1.5));
+    return weekend ? level * 0.4 + peak(14, 3) * 0.3 : level;
+}
+
+/**
+ * Produce a travel time for a route at the given time (defaults to now)
+ * There's no request to abort, so a signal is ignored
+ */
+async function fetchTravelTime(route, { now = new Date() } = {}) {
+    const slot = Math.floor(now.getTime() / (SLOT_MINUTES * 60 * 1000));
+    const routeSeed = hash(route.id);
+    const noise = (hash(`${route.id}:${slot}`) % 1000) / 1000; // 0..1
+
+    const baselineTime = 8 + (routeSeed % 5);
+    const delay = Math.round(rushFactor(now) * 25 + noise * 6);
+    const miles = distanceMiles(route.origin, route.waypoint) +
+        distanceMiles(route.waypoint, route.destination);
+
+    return {
+        waitTime: baselineTime + delay,
+        baselineTime,
+        distance: `${miles.toFixed(1)} mi`
+    };
+}
+
+module.exports = {
+    name: 'mock',
+    fetchTravelTime,
+    isAvailable: () => true
+};
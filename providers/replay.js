@@ -0,0 +1,56 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseDirections } = require('./google');
+
+// Serves recorded Directions API responses from disk, one file per route:
+// <dir>/<route id>.json holding an array of raw responses. Each fetch returns
+// the next response in order and wraps around at the end of the file.
+const REPLAY_DIR = path.resolve(process.env.TRAFFIC_REPLAY_DIR || path.join(__dirname, '..', 'recordings'));
+
+const recordings = new Map();
+const positions = new Map();
+
+function loadRecording(routeId) {
+    if (!recordings.has(routeId)) {
+        const file = path.join(REPLAY_DIR, `${routeId}.json`);
+        let responses = [];
+        if (fs.existsSync(file)) {
+            responses = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (!Array.isArray(responses)) {
+                throw new Error(`Recording ${file} must be a JSON array of responses`);
+            }
+        }
+        recordings.set(routeId, responses);
+    }
+    return recordings.get(routeId);
+}
+
+/**
+ * Return the next recorded response for a route
+ */
+async function fetchTravelTime(route) {
+    const responses = loadRecording(route.id);
+    if (responses.length === 0) {
+        throw new Error(`No recorded responses for ${route.id}`);
+    }
+
+    const position = positions.get(route.id) || 0;
+    positions.set(route.id, (position + 1) % responses.length);
+
+    return parseDirections(responses[position], route.id);
+}
+
+/**
+ * Replay works whenever the recordings directory exists
+ */
+function isAvailable() {
+    return fs.existsSync(REPLAY_DIR);
+}
+
+module.exports = {
+    name: 'replay',
+    fetchTravelTime,
+    isAvailable
+};
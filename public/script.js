@@ -14,12 +14,70 @@
     const modalClose = document.getElementById('modal-close');
     const modalIcon = document.getElementById('modal-icon');
     const modalTitle = document.getElementById('modal-title');
-    const heatmapInto = document.getElementById('heatmap-into');
-    const heatmapOut = document.getElementById('heatmap-out');
+    const heatmapContainers = { into: document.getElementById('heatmap-into'), out: document.getElementById('heatmap-out') };
+    const heatmapTitles = { into: document.getElementById('heatmap-into-title'), out: document.getElementById('heatmap-out-title') };
+    const legendThresholds = document.getElementById('legend-thresholds');
+    const liveNotice = document.getElementById('live-notice');
+    const footerMode = document.getElementById('footer-mode');
+    const heatmapModeBtns = document.querySelectorAll('.heatmap-mode-btn');
+    const historyRange = document.getElementById('history-range');
+    const historyDays = document.getElementById('history-days');
+    const historyRecency = document.getElementById('history-recency');
+    const trendChart = document.getElementById('trend-chart');
+    const trendKeys = { into: document.getElementById('trend-key-into'), out: document.getElementById('trend-key-out') };
+    const trendRangeBtns = document.querySelectorAll('.trend-range-btn');
+    const tripForm = document.getElementById('trip-form');
+    const tripCrossing = document.getElementById('trip-crossing');
+    const tripMode = document.getElementById('trip-mode');
+    const tripTime = document.getElementById('trip-time');
+    const tripDay = document.getElementById('trip-day');
+    const tripResults = document.getElementById('trip-results');
+    const commuteSection = document.getElementById('commute');
+    const commuteProfile = document.getElementById('commute-profile');
+    const commuteRanking = document.getElementById('commute-ranking');
+    const tollPrefs = document.getElementById('toll-prefs');
+    const tollVehicle = document.getElementById('toll-vehicle');
+    const tollPayment = document.getElementById('toll-payment');
 
     let currentCrossings = [];
     let lastFetchTime = null;
     let lastFocusedCard = null;
+    let historyExclude = ''; // Sources left out of heatmaps (mock data when live)
+    let heatmapMode = 'typical'; // 'typical' (average) or 'worst' (p90)
+    let modalHistory = null;     // Last fetched { into, out } history, for re-rendering
+    let modalCrossings = null;   // { into, out } crossings shown in the modal (null if absent)
+    let historyRequestId = 0;    // Ignore responses to superseded history requests
+
+    let commutes = [];           // Saved commutes with their ranked crossings
+    const COMMUTE_STORAGE_KEY = 'commute-check:commute'; // Commute picked in this browser
+
+    let tollOptions = null;      // Vehicle classes and payment methods from /api/tolls
+    const TOLL_STORAGE_KEY = 'commute-check:tolls'; // { vehicle, payment } picked in this browser
+
+    // A crossing's directions, in display order. Either may be missing, e.g.
+    // when one has been disabled.
+    const BOUNDS = ['into', 'out'];
+
+    let trendRange = '24h';
+    let trendRequestId = 0;
+
+    // Half-life used when "Favor recent weeks" is checked
+    const RECENCY_HALF_LIFE_DAYS = 28;
+
+    // Trend chart ranges and the bucket size requested for each
+    const TREND_RANGES = {
+        '24h': { hours: 24, bucket: '15m', bucketMs: 15 * 60 * 1000 },
+        '7d': { hours: 7 * 24, bucket: '1h', bucketMs: 60 * 60 * 1000 }
+    };
+
+    // Live updates
+    const POLL_INTERVAL = 10 * 60 * 1000;     // Fallback polling while the stream is down
+    const STREAM_RETRY_MIN = 5 * 1000;
+    const STREAM_RETRY_MAX = 5 * 60 * 1000;
+    const NOTICE_DURATION = 30 * 1000;
+    let streamRetryDelay = STREAM_RETRY_MIN;
+    let pollTimer = null;
+    let noticeTimer = null;
 
     // Rate limiting for manual refreshes
     const REFRESH_LIMIT = 3;           // Max refreshes allowed
@@ -89,6 +147,56 @@
         return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
     }
 
+    const TREND_ARROWS = { rising: '↗', falling: '↘', steady: '→' };
+
+    // Age of a stale reading, e.g. "25 min ago" or "3 hr ago"
+    function formatAge(minutes) {
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        return `${Math.floor(minutes / 60)} hr ago`;
+    }
+
+    // The visitor's toll choice, or the server defaults until options load
+    function tollPreference() {
+        if (!tollOptions) return null;
+        return { vehicle: tollVehicle.value, payment: tollPayment.value };
+    }
+
+    // "$16.06 toll · peak", "No toll", or '' when the crossing isn't priced
+    function formatToll(toll, amount = toll && toll.amount) {
+        if (!toll) return '';
+        if (amount === 0) return 'No toll';
+        const price = new Intl.NumberFormat('en-US', { style: 'currency', currency: toll.currency }).format(amount);
+        if (!toll.period) return `${price} toll`;
+        return `${price} toll \u00b7 ${toll.period === 'offPeak' ? 'off-peak' : toll.period}`;
+    }
+
+    // Current toll for a card's crossing, for the chosen vehicle and payment
+    function cardTollText(crossing) {
+        const toll = crossing && crossing.toll;
+        const preference = tollPreference();
+        if (!toll || !preference || !toll.rates[preference.vehicle]) return formatToll(toll);
+        return formatToll(toll, toll.rates[preference.vehicle][preference.payment]);
+    }
+
+    // "PATH JSQ – WTC · 8:20 AM · 42 min door to door" for the first departure
+    // that can still be caught, since cards can be a few minutes old
+    function transitText(alternative) {
+        const now = Date.now();
+        const next = alternative.departures.find(d => new Date(d.leaveBy).getTime() >= now);
+        if (!next) return `${alternative.name} \u00b7 no departures soon`;
+        const departs = new Date(next.departsAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+        const minutes = Math.round((new Date(next.doorArrival).getTime() - now) / 60000);
+        return `${alternative.name} \u00b7 ${departs} \u00b7 ${minutes} min door to door`;
+    }
+
+    function applyCrossings(data) {
+        currentCrossings = data;
+        renderCrossings(data);
+        populateTripCrossings(data);
+        updateTimestamp();
+    }
+
     async function fetchCrossings() {
         refreshBtn.classList.add('loading');
         const controller = new AbortController();
@@ -106,10 +214,7 @@
                 throw new Error('Invalid response format');
             }
 
-            const data = await response.json();
-            currentCrossings = data;
-            renderCrossings(data);
-            updateTimestamp();
+            applyCrossings(await response.json());
         } catch (error) {
             console.error('Failed to fetch crossings:', error);
             crossingsContainer.innerHTML = `
@@ -132,15 +237,14 @@
             if (!grouped[baseName]) {
                 grouped[baseName] = { name: baseName, icon: crossing.icon };
             }
-            if (crossing.direction === 'Into Manhattan') {
+            if (crossing.bound === 'into') {
                 grouped[baseName].into = crossing;
             } else {
                 grouped[baseName].out = crossing;
             }
         });
 
-        // Filter out incomplete groups (missing into or out data)
-        const crossingGroups = Object.values(grouped).filter(g => g.into && g.out);
+        const crossingGroups = Object.values(grouped);
 
         if (crossingGroups.length === 0) {
             crossingsContainer.innerHTML = `
@@ -153,23 +257,71 @@
         }
 
         crossingsContainer.innerHTML = crossingGroups.map((group, index) => {
-            const intoTime = typeof group.into.waitTime === 'number' ? group.into.waitTime : Infinity;
-            const outTime = typeof group.out.waitTime === 'number' ? group.out.waitTime : Infinity;
-            const intoFaster = intoTime < outTime && intoTime !== Infinity;
-            const outFaster = outTime < intoTime && outTime !== Infinity;
-            const intoDisplay = typeof group.into.waitTime === 'number' ? escapeHtml(group.into.waitTime) : '--';
-            const outDisplay = typeof group.out.waitTime === 'number' ? escapeHtml(group.out.waitTime) : '--';
+            const directions = BOUNDS.filter(bound => group[bound]).map(bound => group[bound]);
+            // Stale fallback values can't be compared fairly against live ones
+            const liveTime = crossing => typeof crossing.waitTime === 'number' && !crossing.stale ? crossing.waitTime : Infinity;
+            const fastest = directions.length === 2 && liveTime(directions[0]) !== liveTime(directions[1])
+                ? directions.reduce((a, b) => (liveTime(b) < liveTime(a) ? b : a))
+                : null;
             const name = escapeHtml(group.name);
             const icon = escapeHtml(group.icon);
-            const area = escapeHtml(group.into.area || '');
+            const area = escapeHtml(directions[0].area || '');
 
             function delayHtml(crossing) {
+                if (crossing.stale) {
+                    return `<div class="delay-info stale-info">as of ${escapeHtml(formatAge(crossing.ageMinutes))}</div>`;
+                }
                 if (typeof crossing.waitTime !== 'number' || typeof crossing.baselineTime !== 'number') return '';
                 const delay = crossing.waitTime - crossing.baselineTime;
                 if (delay <= 0) return '<div class="delay-info">No delay</div>';
                 return `<div class="delay-info">+${escapeHtml(delay)} min from traffic</div>`;
             }
 
+            function incidentHtml() {
+                return directions
+                    .filter(crossing => crossing.incident)
+                    .map(crossing => {
+                        const usual = `usually ~${escapeHtml(crossing.incident.expectedTime)} min`;
+                        return `<div class="incident-banner ${escapeHtml(crossing.incident.severity)}" role="status">⚠ Unusual delay ${escapeHtml(crossing.direction.toLowerCase())} · ${usual}</div>`;
+                    })
+                    .join('');
+            }
+
+            function forecastHtml(crossing) {
+                if (!crossing.forecast) return '';
+                const arrow = TREND_ARROWS[crossing.forecast.trend] || '';
+                const trend = crossing.forecast.trend ? `${arrow} ${crossing.forecast.trend} · ` : '';
+                return `<div class="forecast-info ${escapeHtml(crossing.forecast.trend || '')}">${escapeHtml(trend)}~${escapeHtml(crossing.forecast.inAnHour)} min in an hour</div>`;
+            }
+
+            function tollHtml(crossing) {
+                const text = cardTollText(crossing);
+                if (!text) return '';
+                return `<div class="toll-info${text === 'No toll' ? ' free' : ''}">${escapeHtml(text)}</div>`;
+            }
+
+            function transitHtml(crossing) {
+                return (crossing.transit || []).map(alternative =>
+                    `<div class="transit-info">${escapeHtml(alternative.icon)} ${escapeHtml(transitText(alternative))}</div>`
+                ).join('');
+            }
+
+            function directionHtml(crossing) {
+                const faster = crossing === fastest && liveTime(crossing) !== Infinity;
+                const hasTime = typeof crossing.waitTime === 'number';
+                return `
+                    <div class="direction-box ${escapeHtml(crossing.bound)}${faster ? ' faster' : ''}${crossing.stale ? ' stale' : ''}">
+                        <div class="direction-label">${escapeHtml(crossing.direction)}${faster ? ' ✓' : ''}</div>
+                        <div class="wait-time">${hasTime ? escapeHtml(crossing.waitTime) : '--'}</div>
+                        <div class="wait-label">${hasTime ? 'minutes' : ''}</div>
+                        ${delayHtml(crossing)}
+                        ${forecastHtml(crossing)}
+                        ${tollHtml(crossing)}
+                        ${transitHtml(crossing)}
+                        <span class="status-badge ${escapeHtml(crossing.statusClass)}">${escapeHtml(crossing.status)}</span>
+                    </div>`;
+            }
+
             return `
             <div class="crossing-card" data-crossing="${name}" role="button" tabindex="0" aria-label="View details for ${name}" style="animation: fadeIn 0.3s ease ${index * 0.1}s both;">
                 <div class="card-header">
@@ -177,21 +329,9 @@
                     <h2>${name}</h2>
                     ${area ? `<span class="card-area">${area}</span>` : ''}
                 </div>
-                <div class="directions-row">
-                    <div class="direction-box into${intoFaster ? ' faster' : ''}">
-                        <div class="direction-label">Into NYC${intoFaster ? ' ✓' : ''}</div>
-                        <div class="wait-time">${intoDisplay}</div>
-                        <div class="wait-label">${typeof group.into.waitTime === 'number' ? 'minutes' : ''}</div>
-                        ${delayHtml(group.into)}
-                        <span class="status-badge ${escapeHtml(group.into.statusClass)}">${escapeHtml(group.into.status)}</span>
-                    </div>
-                    <div class="direction-box out${outFaster ? ' faster' : ''}">
-                        <div class="direction-label">Out of NYC${outFaster ? ' ✓' : ''}</div>
-                        <div class="wait-time">${outDisplay}</div>
-                        <div class="wait-label">${typeof group.out.waitTime === 'number' ? 'minutes' : ''}</div>
-                        ${delayHtml(group.out)}
-                        <span class="status-badge ${escapeHtml(group.out.statusClass)}">${escapeHtml(group.out.status)}</span>
-                    </div>
+                ${incidentHtml()}
+                <div class="directions-row${directions.length === 1 ? ' single' : ''}">
+                    ${directions.map(directionHtml).join('')}
                 </div>
             </div>
         `}).join('');
@@ -199,27 +339,67 @@
 
     async function openModal(crossingName) {
         // Find the crossing data
-        const intoData = currentCrossings.find(c => c.name === crossingName && c.direction === 'Into Manhattan');
-        const outData = currentCrossings.find(c => c.name === crossingName && c.direction === 'Out of Manhattan');
-
-        if (!intoData || !outData) return;
+        const found = {};
+        BOUNDS.forEach(bound => {
+            found[bound] = currentCrossings.find(c => c.name === crossingName && c.bound === bound) || null;
+        });
+        const first = found.into || found.out;
+        if (!first) return;
 
-        modalIcon.textContent = intoData.icon;
+        modalCrossings = found;
+        modalIcon.textContent = first.icon;
         modalTitle.textContent = crossingName;
+        BOUNDS.forEach(bound => {
+            const crossing = found[bound];
+            heatmapContainers[bound].closest('.heatmap-section').hidden = !crossing;
+            trendKeys[bound].hidden = !crossing;
+            if (crossing) {
+                heatmapTitles[bound].textContent = crossing.direction;
+                trendKeys[bound].textContent = crossing.direction;
+            }
+        });
         modal.classList.add('open');
         modalClose.focus();
 
+        await Promise.all([loadModalHistory(), loadTrend()]);
+    }
+
+    // Directions shown in the modal
+    function modalBounds() {
+        return BOUNDS.filter(bound => modalCrossings[bound]);
+    }
+
+    // Query string for the history endpoint from the modal's filter controls
+    function historyQuery() {
+        const params = new URLSearchParams();
+        if (historyExclude) params.set('exclude', historyExclude);
+        if (historyRange.value) params.set('weeks', historyRange.value);
+        if (historyDays.value) params.set('days', historyDays.value);
+        if (historyRecency.checked) params.set('halfLifeDays', String(RECENCY_HALF_LIFE_DAYS));
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    }
+
+    async function loadModalHistory() {
+        if (!modalCrossings) return;
+        const requestId = ++historyRequestId;
+
         // Show loading state
-        heatmapInto.innerHTML = '<p style="color: var(--text-secondary); text-align: center; padding: 2rem;">Loading...</p>';
-        heatmapOut.innerHTML = '<p style="color: var(--text-secondary); text-align: center; padding: 2rem;">Loading...</p>';
+        modalHistory = null;
+        legendThresholds.textContent = '';
+        const bounds = modalBounds();
+        bounds.forEach(bound => {
+            heatmapContainers[bound].innerHTML = '<p style="color: var(--text-secondary); text-align: center; padding: 2rem;">Loading...</p>';
+        });
 
-        // Fetch historical data for both directions
+        // Fetch historical data for each direction
         try {
+            const query = historyQuery();
             const fetchHistory = async (id) => {
                 const ctrl = new AbortController();
                 const tid = setTimeout(() => ctrl.abort(), 10000);
                 try {
-                    const response = await fetch(`/api/crossings/${id}/history`, { signal: ctrl.signal });
+                    const response = await fetch(`/api/crossings/${id}/history${query}`, { signal: ctrl.signal });
                     if (!response.ok) throw new Error(`Server error: ${response.status}`);
                     return response.json();
                 } finally {
@@ -227,27 +407,192 @@
                 }
             };
 
-            const [intoHistory, outHistory] = await Promise.all([
-                fetchHistory(intoData.id),
-                fetchHistory(outData.id)
-            ]);
+            const histories = await Promise.all(bounds.map(bound => fetchHistory(modalCrossings[bound].id)));
 
-            renderHeatmap(heatmapInto, intoHistory);
-            renderHeatmap(heatmapOut, outHistory);
+            if (requestId !== historyRequestId) return;
+            modalHistory = {};
+            bounds.forEach((bound, i) => {
+                modalHistory[bound] = histories[i];
+            });
+            renderHeatmaps();
         } catch (error) {
+            if (requestId !== historyRequestId) return;
             console.error('Failed to fetch historical data:', error);
             const errorHtml = `
                 <div class="heatmap-empty">
                     <p>Sorry, historical data isn't available right now.</p>
                 </div>
             `;
-            heatmapInto.innerHTML = errorHtml;
-            heatmapOut.innerHTML = errorHtml;
+            bounds.forEach(bound => {
+                heatmapContainers[bound].innerHTML = errorHtml;
+            });
+        }
+    }
+
+    async function loadTrend() {
+        if (!modalCrossings) return;
+        const requestId = ++trendRequestId;
+        const range = TREND_RANGES[trendRange];
+        const to = Date.now();
+        const from = to - range.hours * 60 * 60 * 1000;
+
+        trendChart.innerHTML = '<p style="color: var(--text-secondary); text-align: center; padding: 2rem;">Loading...</p>';
+
+        const params = new URLSearchParams({ bucket: range.bucket, from: new Date(from).toISOString() });
+        if (historyExclude) params.set('exclude', historyExclude);
+
+        try {
+            const fetchSeries = async (id) => {
+                const ctrl = new AbortController();
+                const tid = setTimeout(() => ctrl.abort(), 10000);
+                try {
+                    const response = await fetch(`/api/crossings/${id}/readings?${params}`, { signal: ctrl.signal });
+                    if (!response.ok) throw new Error(`Server error: ${response.status}`);
+                    return response.json();
+                } finally {
+                    clearTimeout(tid);
+                }
+            };
+
+            const bounds = modalBounds();
+            const series = await Promise.all(bounds.map(bound => fetchSeries(modalCrossings[bound].id)));
+
+            if (requestId !== trendRequestId) return;
+            renderTrendChart(trendChart, bounds.map((bound, i) => ({
+                className: bound,
+                points: series[i].points
+            })), from, to, range.bucketMs);
+        } catch (error) {
+            if (requestId !== trendRequestId) return;
+            console.error('Failed to fetch trend data:', error);
+            trendChart.innerHTML = `
+                <div class="heatmap-empty">
+                    <p>Sorry, trend data isn't available right now.</p>
+                </div>
+            `;
+        }
+    }
+
+    function setTrendRange(range) {
+        trendRange = range;
+        trendRangeBtns.forEach(btn => {
+            const active = btn.dataset.range === range;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', String(active));
+        });
+        loadTrend();
+    }
+
+    // SVG line chart of average travel time, with a min-max band per series
+    function renderTrendChart(container, series, from, to, bucketMs) {
+        const hasData = series.some(s => s.points.length > 0);
+        if (!hasData) {
+            container.innerHTML = `
+                <div class="heatmap-empty">
+                    <p>No readings in this period</p>
+                </div>
+            `;
+            return;
+        }
+
+        const width = 600;
+        const height = 180;
+        const pad = { top: 10, right: 10, bottom: 22, left: 34 };
+        const plotW = width - pad.left - pad.right;
+        const plotH = height - pad.top - pad.bottom;
+
+        const maxValue = Math.max(...series.flatMap(s => s.points.map(p => p.max)));
+        const yMax = Math.max(10, Math.ceil(maxValue / 10) * 10);
+        const x = time => pad.left + ((time - from) / (to - from)) * plotW;
+        const y = value => pad.top + plotH - (value / yMax) * plotH;
+
+        let svg = `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Travel time trend">`;
+
+        // Horizontal grid lines with minute labels
+        for (let v = 0; v <= yMax; v += yMax / 2) {
+            svg += `<line class="trend-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${y(v)}" y2="${y(v)}"></line>`;
+            svg += `<text class="trend-axis-label" x="${pad.left - 6}" y="${y(v) + 3}" text-anchor="end">${v}m</text>`;
         }
+
+        // Start, middle and end time labels
+        const timeFormat = to - from > 36 * 60 * 60 * 1000
+            ? { weekday: 'short' }
+            : { hour: 'numeric' };
+        [from, (from + to) / 2, to].forEach((time, i) => {
+            const anchor = ['start', 'middle', 'end'][i];
+            const label = new Date(time).toLocaleString('en-US', timeFormat);
+            svg += `<text class="trend-axis-label" x="${x(time)}" y="${height - 6}" text-anchor="${anchor}">${escapeHtml(label)}</text>`;
+        });
+
+        series.forEach(({ className, points }) => {
+            // Split into runs so missing buckets show as gaps
+            const runs = [];
+            points.forEach((point, i) => {
+                const time = new Date(point.time).getTime() + bucketMs / 2;
+                const prev = points[i - 1];
+                if (!prev || new Date(point.time) - new Date(prev.time) > bucketMs * 1.5) {
+                    runs.push([]);
+                }
+                runs[runs.length - 1].push({ ...point, x: x(time) });
+            });
+
+            runs.forEach(run => {
+                if (run.length === 1) {
+                    svg += `<circle class="trend-dot ${className}" cx="${run[0].x.toFixed(1)}" cy="${y(run[0].avg).toFixed(1)}" r="2.5"></circle>`;
+                    return;
+                }
+                const upper = run.map(p => `${p.x.toFixed(1)},${y(p.max).toFixed(1)}`);
+                const lower = run.slice().reverse().map(p => `${p.x.toFixed(1)},${y(p.min).toFixed(1)}`);
+                svg += `<polygon class="trend-band ${className}" points="${upper.concat(lower).join(' ')}"></polygon>`;
+                const line = run.map(p => `${p.x.toFixed(1)},${y(p.avg).toFixed(1)}`).join(' ');
+                svg += `<polyline class="trend-line ${className}" points="${line}"></polyline>`;
+            });
+        });
+
+        svg += '</svg>';
+        container.innerHTML = svg;
+    }
+
+    function renderHeatmaps() {
+        if (!modalHistory || !modalCrossings) return;
+        modalBounds().forEach(bound => renderHeatmap(heatmapContainers[bound], modalHistory[bound]));
+        renderLegend();
+    }
+
+    // Where Moderate and Heavy start for each direction, under the colour scale
+    function renderLegend() {
+        const describe = (crossing, history) => {
+            const t = history.thresholds || DEFAULT_THRESHOLDS;
+            return `${crossing.direction}: moderate over ${t.moderate}, heavy over ${t.heavy} min`;
+        };
+        legendThresholds.textContent = modalBounds()
+            .map(bound => describe(modalCrossings[bound], modalHistory[bound]))
+            .join(' \u00b7 ');
+    }
+
+    function setHeatmapMode(mode) {
+        heatmapMode = mode;
+        heatmapModeBtns.forEach(btn => {
+            const active = btn.dataset.mode === mode;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', String(active));
+        });
+        renderHeatmaps();
+    }
+
+    // Tooltip text with the spread of readings behind a heatmap cell
+    function cellStatsText(cell) {
+        const parts = [`avg ${cell.avgTime}`];
+        if (cell.medianTime !== null) parts.push(`median ${cell.medianTime}`);
+        if (cell.p90Time !== null) parts.push(`p90 ${cell.p90Time}`);
+        if (cell.minTime !== null) parts.push(`range ${cell.minTime}-${cell.maxTime}`);
+        if (cell.stdDev !== null) parts.push(`\u00b1${cell.stdDev}`);
+        return `${parts.join(' \u00b7 ')} min`;
     }
 
     function renderHeatmap(container, data) {
         const { days, heatmap } = data;
+        const cells = new Map(heatmap.map(cell => [`${cell.dayIndex}-${cell.hour}`, cell]));
 
         // Check if there's any actual data
         const hasData = heatmap.some(cell => cell.avgTime !== null);
@@ -290,19 +635,19 @@
             html += `<div class="heatmap-cell heatmap-label day-label" role="rowheader">${day}</div>`;
 
             hours.forEach(hour => {
-                const cell = heatmap.find(h => h.dayIndex === dayIndex && h.hour === hour);
-                const avgTime = cell ? cell.avgTime : null;
+                const cell = cells.get(`${dayIndex}-${hour}`);
+                const value = cell ? (heatmapMode === 'worst' ? cell.p90Time : cell.avgTime) : null;
                 const label = cell ? cell.label : `${hour === 0 ? 12 : (hour > 12 ? hour - 12 : hour)}${hour >= 12 ? 'pm' : 'am'}`;
                 const safeDay = escapeHtml(day);
                 const safeLabel = escapeHtml(label);
 
-                if (avgTime === null) {
+                if (value === null) {
                     html += `<div class="heatmap-cell no-data" role="gridcell" title="${safeDay} ${safeLabel}: No data">-</div>`;
                 } else {
                     const sampleCount = cell ? cell.sampleCount : 0;
                     const sampleText = sampleCount > 0 ? ` (${escapeHtml(sampleCount)} reading${sampleCount === 1 ? '' : 's'})` : '';
-                    const color = getHeatmapColor(avgTime);
-                    html += `<div class="heatmap-cell" role="gridcell" style="background: ${color};" title="${safeDay} ${safeLabel}: ${escapeHtml(avgTime)} min${sampleText}">${escapeHtml(avgTime)}</div>`;
+                    const color = getHeatmapColor(value, data.thresholds);
+                    html += `<div class="heatmap-cell" role="gridcell" style="background: ${color};" title="${safeDay} ${safeLabel}: ${escapeHtml(cellStatsText(cell))}${sampleText}">${escapeHtml(value)}</div>`;
                 }
             });
 
@@ -313,10 +658,15 @@
         container.innerHTML = html;
     }
 
-    function getHeatmapColor(value) {
-        // Map value (8-45 min) to color (green -> yellow -> red)
-        const min = 8;
-        const max = 45;
+    // Fallback when the server doesn't send thresholds (matches its defaults)
+    const DEFAULT_THRESHOLDS = { moderate: 15, heavy: 25 };
+
+    function getHeatmapColor(value, thresholds = DEFAULT_THRESHOLDS) {
+        // Map value to color (green -> yellow -> red), centred on the crossing's
+        // Moderate band so the colours line up with the status badges
+        const span = (thresholds.heavy - thresholds.moderate) / 2;
+        const min = thresholds.moderate - span;
+        const max = thresholds.heavy + span;
         const normalized = Math.max(0, Math.min(1, (value - min) / (max - min)));
 
         // Green to yellow to red gradient
@@ -338,8 +688,180 @@
         return `rgb(${r}, ${g}, ${b})`;
     }
 
+    // Fill the trip planner's crossing list, keeping the current choice
+    function populateTripCrossings(crossings) {
+        const selected = tripCrossing.value;
+        tripCrossing.innerHTML = crossings.map(c =>
+            `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)} \u2013 ${escapeHtml(c.direction)}</option>`
+        ).join('');
+        if (selected && crossings.some(c => c.id === selected)) {
+            tripCrossing.value = selected;
+        }
+    }
+
+    async function planTrip(e) {
+        e.preventDefault();
+        if (!tripCrossing.value || !tripTime.value) return;
+
+        const params = new URLSearchParams({ crossing: tripCrossing.value });
+        params.set(tripMode.value, tripTime.value);
+        if (tripDay.value) params.set('day', tripDay.value);
+        const preference = tollPreference();
+        if (preference) {
+            params.set('vehicle', preference.vehicle);
+            params.set('payment', preference.payment);
+        }
+
+        tripResults.innerHTML = '<p class="trip-note">Planning...</p>';
+        const ctrl = new AbortController();
+        const tid = setTimeout(() => ctrl.abort(), 10000);
+
+        try {
+            const response = await fetch(`/api/recommend?${params}`, { signal: ctrl.signal });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `Server error: ${response.status}`);
+            renderTripResults(data);
+        } catch (error) {
+            console.error('Failed to plan trip:', error);
+            tripResults.innerHTML = '<p class="trip-note">Sorry, we couldn\'t plan that trip right now.</p>';
+        } finally {
+            clearTimeout(tid);
+        }
+    }
+
+    function tripWindowHtml(label, w) {
+        const toll = formatToll(w.toll);
+        return `
+            <li>
+                <span class="trip-when">${escapeHtml(label)}</span>
+                <span class="trip-detail">~${escapeHtml(w.expectedTime)} min (p90 ${escapeHtml(w.p90Time)}) \u00b7 arrive ~${escapeHtml(w.expectedArrival)}${toll ? ` \u00b7 ${escapeHtml(toll)}` : ''}</span>
+            </li>
+        `;
+    }
+
+    function renderTripResults(data) {
+        if (data.windows.length === 0) {
+            tripResults.innerHTML = `<p class="trip-note">Not enough history for ${escapeHtml(data.day)} around that time yet.</p>`;
+            return;
+        }
+
+        let html = '<h3>Best times to leave</h3><ul class="trip-list">';
+        data.windows.forEach(w => {
+            html += tripWindowHtml(`${w.departAt}\u2013${w.departBy}`, w);
+        });
+        html += '</ul>';
+
+        if (data.latestSafeDeparture) {
+            html += `<p class="trip-note" style="margin-top: 0.5rem;">Leave by ${escapeHtml(data.latestSafeDeparture)} to arrive by ${escapeHtml(data.arriveBy)} even on a bad day.</p>`;
+        }
+
+        const alternatives = data.alternatives.filter(a => a.best);
+        if (alternatives.length > 0) {
+            html += '<h3>Other crossings</h3><ul class="trip-list">';
+            alternatives.forEach(a => {
+                html += tripWindowHtml(`${a.name} at ${a.best.departAt}`, a.best);
+            });
+            html += '</ul>';
+        }
+
+        tripResults.innerHTML = html;
+    }
+
+    async function fetchCommutes() {
+        try {
+            const response = await fetch('/api/commutes');
+            if (!response.ok) return;
+            applyCommutes((await response.json()).commutes);
+        } catch (_) {
+            // The commute card is optional; leave it as it was
+        }
+    }
+
+    function applyCommutes(list) {
+        commutes = list;
+        commuteSection.hidden = list.length === 0;
+        if (list.length === 0) return;
+
+        const selected = commuteProfile.value || localStorage.getItem(COMMUTE_STORAGE_KEY);
+        commuteProfile.innerHTML = list.map(c =>
+            `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`
+        ).join('');
+        if (selected && list.some(c => String(c.id) === selected)) {
+            commuteProfile.value = selected;
+        }
+        commuteProfile.hidden = list.length < 2;
+        renderCommute();
+    }
+
+    // Crossings for the chosen commute, fastest first
+    function renderCommute() {
+        const commute = commutes.find(c => String(c.id) === commuteProfile.value) || commutes[0];
+        if (!commute) return;
+
+        commuteRanking.innerHTML = commute.candidates.map((c, index) => {
+            const crossing = `${escapeHtml(c.icon || '')} ${escapeHtml(c.name)}${c.direction ? ` \u2013 ${escapeHtml(c.direction)}` : ''}`;
+            if (c.travelTime === null) {
+                return `<li><span class="trip-when">${crossing}</span><span class="trip-detail">No recent time</span></li>`;
+            }
+            const parts = [`${escapeHtml(c.travelTime)} min`];
+            if (c.slowerBy > 0) parts.push(`+${escapeHtml(c.slowerBy)} min`);
+            if (c.usualTime !== null) parts.push(`usually ~${escapeHtml(c.usualTime)}`);
+            const toll = cardTollText(currentCrossings.find(crossing => crossing.id === c.crossingId));
+            if (toll) parts.push(escapeHtml(toll));
+            const best = index === 0 ? ' best' : '';
+            return `<li class="commute-option${best}"><span class="trip-when">${crossing}${best ? ' \u2713' : ''}</span><span class="trip-detail">${parts.join(' \u00b7 ')}</span></li>`;
+        }).join('');
+    }
+
+    function selectCommute() {
+        localStorage.setItem(COMMUTE_STORAGE_KEY, commuteProfile.value);
+        renderCommute();
+    }
+
+    async function fetchTollOptions() {
+        try {
+            const response = await fetch('/api/tolls');
+            if (!response.ok) return;
+            const options = await response.json();
+
+            let saved = {};
+            try {
+                saved = JSON.parse(localStorage.getItem(TOLL_STORAGE_KEY)) || {};
+            } catch (_) {
+                // Ignore an unreadable saved choice
+            }
+
+            tollVehicle.innerHTML = options.vehicleClasses.map(v =>
+                `<option value="${escapeHtml(v.id)}">${escapeHtml(v.name)}</option>`
+            ).join('');
+            tollPayment.innerHTML = options.payments.map(p =>
+                `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`
+            ).join('');
+            tollVehicle.value = options.vehicleClasses.some(v => v.id === saved.vehicle) ? saved.vehicle : options.defaults.vehicle;
+            tollPayment.value = options.payments.some(p => p.id === saved.payment) ? saved.payment : options.defaults.payment;
+
+            tollOptions = options;
+            tollPrefs.hidden = false;
+            if (currentCrossings.length > 0) renderCrossings(currentCrossings);
+            renderCommute();
+        } catch (_) {
+            // Cards fall back to the default toll
+        }
+    }
+
+    function selectTolls() {
+        localStorage.setItem(TOLL_STORAGE_KEY, JSON.stringify(tollPreference()));
+        renderCrossings(currentCrossings);
+        renderCommute();
+        // Re-price a plan that's already on screen
+        if (tripResults.querySelector('.trip-list')) {
+            tripForm.requestSubmit();
+        }
+    }
+
     function closeModal() {
         modal.classList.remove('open');
+        modalCrossings = null;
         if (lastFocusedCard) {
             lastFocusedCard.focus();
             lastFocusedCard = null;
@@ -362,16 +884,88 @@
             const response = await fetch('/api/stats');
             if (!response.ok) return;
             const stats = await response.json();
+            historyExclude = stats.provider === 'google' ? 'mock' : '';
             const footerStats = document.getElementById('footer-stats');
             if (!footerStats) return;
             const totalReadings = stats.crossings.reduce((sum, c) => sum + c.readingCount, 0);
-            const source = stats.apiConfigured ? 'Live data' : 'Mock data';
+            const sources = { google: 'Live data', replay: 'Replayed data', mock: 'Mock data' };
+            const source = sources[stats.provider] || 'Mock data';
             footerStats.textContent = `${totalReadings.toLocaleString()} readings \u00b7 ${source}`;
         } catch (_) {
             // Stats are non-critical, silently ignore errors
         }
     }
 
+    // Live updates over server-sent events. The browser retries dropped
+    // connections by itself; if it gives up (e.g. the server refused), we
+    // reconnect with backoff. Until the stream is open, poll every 10 minutes.
+    function connectStream() {
+        if (!window.EventSource) {
+            startPolling();
+            return;
+        }
+
+        const source = new EventSource('/api/stream');
+
+        source.addEventListener('open', () => {
+            streamRetryDelay = STREAM_RETRY_MIN;
+            stopPolling();
+            footerMode.textContent = 'Live updates';
+        });
+
+        source.addEventListener('crossings', (e) => {
+            applyCrossings(JSON.parse(e.data));
+            fetchStats();
+        });
+
+        source.addEventListener('commutes', (e) => {
+            applyCommutes(JSON.parse(e.data).commutes);
+        });
+
+        source.addEventListener('incident', (e) => {
+            const incident = JSON.parse(e.data);
+            const crossing = currentCrossings.find(c => c.id === incident.crossingId);
+            const label = crossing ? `${crossing.name} (${crossing.direction})` : incident.crossingId;
+            showNotice(incident.active
+                ? `Unusual delay on ${label}: ${incident.waitTime} min, usually ~${incident.expectedTime}`
+                : `${label} is back to normal`);
+        });
+
+        source.addEventListener('alert', (e) => {
+            showNotice(JSON.parse(e.data).message);
+        });
+
+        source.addEventListener('error', () => {
+            startPolling();
+            footerMode.textContent = 'Auto-refresh every 10 min';
+            if (source.readyState === EventSource.CLOSED) {
+                setTimeout(connectStream, streamRetryDelay);
+                streamRetryDelay = Math.min(streamRetryDelay * 2, STREAM_RETRY_MAX);
+            }
+        });
+    }
+
+    function startPolling() {
+        if (pollTimer) return;
+        pollTimer = setInterval(() => {
+            fetchCrossings().then(fetchStats);
+            fetchCommutes();
+        }, POLL_INTERVAL);
+    }
+
+    function stopPolling() {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+
+    // Brief message above the cards for incidents and alerts
+    function showNotice(message) {
+        liveNotice.textContent = message;
+        liveNotice.hidden = false;
+        clearTimeout(noticeTimer);
+        noticeTimer = setTimeout(() => { liveNotice.hidden = true; }, NOTICE_DURATION);
+    }
+
     // Manual refresh with rate limiting
     function manualRefresh() {
         if (!canRefresh()) return;
@@ -404,7 +998,20 @@
 
     // Event listeners
     refreshBtn.addEventListener('click', manualRefresh);
+    tripForm.addEventListener('submit', planTrip);
+    commuteProfile.addEventListener('change', selectCommute);
+    tollVehicle.addEventListener('change', selectTolls);
+    tollPayment.addEventListener('change', selectTolls);
     modalClose.addEventListener('click', closeModal);
+    heatmapModeBtns.forEach(btn => {
+        btn.addEventListener('click', () => setHeatmapMode(btn.dataset.mode));
+    });
+    trendRangeBtns.forEach(btn => {
+        btn.addEventListener('click', () => setTrendRange(btn.dataset.range));
+    });
+    [historyRange, historyDays, historyRecency].forEach(control => {
+        control.addEventListener('change', loadModalHistory);
+    });
     modal.addEventListener('click', (e) => {
         if (e.target === modal) closeModal();
     });
@@ -414,7 +1021,7 @@
         }
         // Focus trap within modal
         if (e.key === 'Tab' && modal.classList.contains('open')) {
-            const focusable = modal.querySelectorAll('button, [tabindex]:not([tabindex="-1"])');
+            const focusable = modal.querySelectorAll('button, select, input, [tabindex]:not([tabindex="-1"])');
             const first = focusable[0];
             const last = focusable[focusable.length - 1];
             if (e.shiftKey && document.activeElement === first) {
@@ -429,10 +1036,12 @@
 
     // Initial load
     fetchCrossings().then(fetchStats);
+    fetchCommutes();
+    fetchTollOptions();
 
     // Update relative timestamp every 10 seconds
     setInterval(refreshTimestamp, 10000);
 
-    // Auto-refresh every 10 minutes
-    setInterval(() => { fetchCrossings().then(fetchStats); }, 600000);
+    // Live updates, with polling while the stream is down
+    connectStream();
 })();
@@ -0,0 +1,133 @@
+'use strict';
+
+const db = require('./db');
+const crossings = require('./crossings');
+const timezone = require('./timezone');
+
+// Departure recommendations built from stored readings. Times are clock
+// times in the display time zone, in 15-minute departure slots.
+const SLOT_MINUTES = 15;
+const SEARCH_WINDOW_MINUTES = 3 * 60; // How far before arriveBy / after departAfter to look
+const MAX_WINDOWS = 3;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Parse "HH:MM" into minutes after midnight (null if invalid)
+ */
+function parseClock(value) {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(value);
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+function formatClock(minutes) {
+    const wrapped = ((Math.round(minutes) % 1440) + 1440) % 1440;
+    return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a day name ("Tue", "tuesday") into 0-6 with Sunday = 0 (null if invalid)
+ */
+function parseDay(value) {
+    const index = DAY_NAMES.findIndex(day => value.toLowerCase().startsWith(day.toLowerCase()));
+    return index === -1 ? null : index;
+}
+
+/**
+ * Today's day of the week in the display time zone
+ */
+function today() {
+    return new Date(`${timezone.toLocalDay(new Date())}T00:00:00Z`).getUTCDay();
+}
+
+// Departure windows for one crossing that satisfy the constraint, best first
+function rankWindows(crossingId, dayOfWeek, { arriveBy, departAfter, excludeSources }) {
+    const profile = db.getDepartureProfile(crossingId, dayOfWeek, { slotMinutes: SLOT_MINUTES, excludeSources });
+
+    const windows = profile.map(slot => ({
+        departMinute: slot.slotMinute,
+        expectedTime: Math.round(slot.avgTime),
+        p90Time: Math.round(slot.p90Time),
+        sampleCount: slot.sampleCount
+    }));
+
+    let candidates;
+    if (arriveBy !== null) {
+        // Leaving at the start of the slot must get there on time even on a bad (p90) day
+        candidates = windows
+            .filter(w => w.departMinute >= arriveBy - SEARCH_WINDOW_MINUTES &&
+                w.departMinute + w.p90Time <= arriveBy)
+            .sort((a, b) => a.expectedTime - b.expectedTime || b.departMinute - a.departMinute);
+    } else {
+        candidates = windows
+            .filter(w => w.departMinute >= departAfter &&
+                w.departMinute <= departAfter + SEARCH_WINDOW_MINUTES)
+            .sort((a, b) => a.expectedTime - b.expectedTime || a.departMinute - b.departMinute);
+    }
+
+    const latestSafe = arriveBy !== null && candidates.length > 0
+        ? Math.max(...candidates.map(w => w.departMinute))
+        : null;
+
+    return {
+        windows: candidates.slice(0, MAX_WINDOWS).map(formatWindow),
+        latestSafeDeparture: latestSafe === null ? null : formatClock(latestSafe)
+    };
+}
+
+function formatWindow(w) {
+    return {
+        departAt: formatClock(w.departMinute),
+        departBy: formatClock(w.departMinute + SLOT_MINUTES),
+        expectedTime: w.expectedTime,
+        p90Time: w.p90Time,
+        expectedArrival: formatClock(w.departMinute + w.expectedTime),
+        worstArrival: formatClock(w.departMinute + w.p90Time),
+        sampleCount: w.sampleCount
+    };
+}
+
+/**
+ * Best departure windows for a crossing, plus the best window on each
+ * alternative crossing in the same direction
+ * Pass either arriveBy or departAfter (minutes after midnight)
+ */
+function recommend({ crossingId, dayOfWeek, arriveBy = null, departAfter = null, excludeSources = [] }) {
+    const crossing = crossings.get(crossingId);
+    const options = { arriveBy, departAfter, excludeSources };
+    const primary = rankWindows(crossingId, dayOfWeek, options);
+
+    const alternatives = crossings.list()
+        .filter(c => c.id !== crossingId && c.direction === crossing.direction)
+        .map(c => {
+            const ranked = rankWindows(c.id, dayOfWeek, options);
+            return {
+                ...crossings.toPublic(c),
+                best: ranked.windows[0] || null,
+                latestSafeDeparture: ranked.latestSafeDeparture
+            };
+        })
+        .sort((a, b) => {
+            if (!a.best) return 1;
+            if (!b.best) return -1;
+            return a.best.expectedTime - b.best.expectedTime;
+        });
+
+    return {
+        crossing: crossings.toPublic(crossing),
+        day: DAY_NAMES[dayOfWeek],
+        arriveBy: arriveBy === null ? null : formatClock(arriveBy),
+        departAfter: departAfter === null ? null : formatClock(departAfter),
+        timezone: timezone.DISPLAY_TIMEZONE,
+        windows: primary.windows,
+        latestSafeDeparture: primary.latestSafeDeparture,
+        alternatives
+    };
+}
+
+module.exports = {
+    DAY_NAMES,
+    parseClock,
+    parseDay,
+    today,
+    recommend
+};
@@ -0,0 +1,147 @@
+'use strict';
+
+const db = require('./db');
+const { readInteger } = require('./env');
+
+// Data retention. Raw readings are kept for RETENTION_RAW_DAYS, then rolled up
+// into hourly aggregates (per crossing, UTC hour and source). Those are kept
+// for RETENTION_HOURLY_DAYS and then rolled up into daily aggregates (display
+// time zone days), kept for RETENTION_DAILY_DAYS. 0 keeps a level forever.
+// Trend series read all three levels. Everything grouped by weekday and hour
+// (heatmaps and their running totals, departure profiles, unusual-delay and
+// median stats) reads raw and hourly data only, since daily rows have no
+// hours, so readings leave those once they pass RETENTION_HOURLY_DAYS.
+// Commute travel times are rolled up into hourly rows the same way and
+// pruned after RETENTION_HOURLY_DAYS. Forecasts are pruned with the raw readings.
+// The audit log, webhook deliveries and ended incidents have windows of their
+// own (RETENTION_AUDIT_DAYS, RETENTION_DELIVERY_DAYS, RETENTION_INCIDENT_DAYS).
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// How often app.js checks whether a task is due
+const CHECK_INTERVAL_MS = HOUR_MS;
+
+const CONFIG = {
+    rawDays: readInteger('RETENTION_RAW_DAYS', 90),
+    hourlyDays: readInteger('RETENTION_HOURLY_DAYS', 730),
+    dailyDays: readInteger('RETENTION_DAILY_DAYS', 0),
+    auditDays: readInteger('RETENTION_AUDIT_DAYS', 365),
+    deliveryDays: readInteger('RETENTION_DELIVERY_DAYS', 90),
+    incidentDays: readInteger('RETENTION_INCIDENT_DAYS', 0),
+    maintenanceIntervalHours: readInteger('MAINTENANCE_INTERVAL_HOURS', 24, { min: 1 }),
+    vacuumIntervalDays: readInteger('VACUUM_INTERVAL_DAYS', 7)
+};
+
+/**
+ * Check the retention windows against each other
+ * Throws if a level doesn't outlast the one it's rolled up from
+ */
+function assertValidConfig(config = CONFIG) {
+    if (config.rawDays === 0 && (config.hourlyDays !== 0 || config.dailyDays !== 0)) {
+        throw new Error('RETENTION_HOURLY_DAYS and RETENTION_DAILY_DAYS need RETENTION_RAW_DAYS to be set');
+    }
+    if (config.hourlyDays !== 0 && config.hourlyDays <= config.rawDays) {
+        throw new Error('RETENTION_HOURLY_DAYS must be longer than RETENTION_RAW_DAYS (or 0)');
+    }
+    if (config.dailyDays !== 0 && (config.hourlyDays === 0 || config.dailyDays <= config.hourlyDays)) {
+        throw new Error('RETENTION_DAILY_DAYS must be longer than RETENTION_HOURLY_DAYS (or 0)');
+    }
+}
+
+// Start of the UTC hour a number of days before now
+function cutoff(days, now) {
+    return new Date(Math.floor((now.getTime() - days * DAY_MS) / HOUR_MS) * HOUR_MS);
+}
+
+// Roll up and prune whatever has aged out of its window
+function rollUp(now) {
+    const details = {
+        readings: 0,
+        hourlyRows: 0,
+        dailyRows: 0,
+        prunedDailyRows: 0,
+        prunedForecasts: 0,
+        commuteReadings: 0,
+        prunedCommuteHourlyRows: 0,
+        prunedAuditEntries: 0,
+        prunedDeliveries: 0,
+        prunedIncidents: 0
+    };
+
+    if (CONFIG.auditDays !== 0) {
+        details.prunedAuditEntries = db.pruneAuditLog(cutoff(CONFIG.auditDays, now));
+    }
+    if (CONFIG.deliveryDays !== 0) {
+        details.prunedDeliveries = db.pruneDeliveries(cutoff(CONFIG.deliveryDays, now));
+    }
+    if (CONFIG.incidentDays !== 0) {
+        details.prunedIncidents = db.pruneIncidents(cutoff(CONFIG.incidentDays, now));
+    }
+    if (CONFIG.rawDays === 0) return details;
+
+    const rawCutoff = cutoff(CONFIG.rawDays, now);
+    const readings = db.rollUpReadings(rawCutoff);
+    details.readings = readings.readings;
+    details.hourlyRows = readings.hourlyRows;
+    details.prunedForecasts = db.pruneForecasts(rawCutoff);
+    details.commuteReadings = db.rollUpCommuteReadings(rawCutoff);
+
+    if (CONFIG.hourlyDays !== 0) {
+        const hourlyCutoff = cutoff(CONFIG.hourlyDays, now);
+        details.dailyRows = db.rollUpHourly(hourlyCutoff).dailyRows;
+        details.prunedCommuteHourlyRows = db.pruneCommuteHourly(hourlyCutoff);
+    }
+    if (CONFIG.dailyDays !== 0) {
+        details.prunedDailyRows = db.pruneDaily(cutoff(CONFIG.dailyDays, now));
+    }
+    return details;
+}
+
+const TASKS = {
+    rollup: { intervalMs: () => CONFIG.maintenanceIntervalHours * HOUR_MS, run: rollUp },
+    analyze: { intervalMs: () => CONFIG.maintenanceIntervalHours * HOUR_MS, run: () => db.analyze() },
+    vacuum: { intervalMs: () => CONFIG.vacuumIntervalDays * DAY_MS, run: () => db.vacuum() }
+};
+
+function isDue(name, runs, now) {
+    const intervalMs = TASKS[name].intervalMs();
+    if (intervalMs === 0) return false;
+    const last = runs[name];
+    return !last || now.getTime() - new Date(last.lastRunAt).getTime() >= intervalMs;
+}
+
+/**
+ * Run the maintenance tasks that are due, in order: roll-ups first so ANALYZE
+ * and VACUUM see the smaller tables
+ * Returns { task: details } for the tasks that ran
+ */
+function runMaintenance({ now = new Date() } = {}) {
+    const runs = db.getMaintenanceRuns();
+    const ran = {};
+
+    for (const name of Object.keys(TASKS)) {
+        if (!isDue(name, runs, now)) continue;
+        const started = Date.now();
+        const details = TASKS[name].run(now) || null;
+        const durationMs = Date.now() - started;
+        db.recordMaintenanceRun(name, { at: now, durationMs, details });
+        ran[name] = details;
+        console.log(`Maintenance: ${name} done in ${durationMs}ms`, details ? JSON.stringify(details) : '');
+    }
+    return ran;
+}
+
+/**
+ * Retention settings and the last run of each task, for /api/stats
+ */
+function getStatus() {
+    return { ...CONFIG, lastRuns: db.getMaintenanceRuns() };
+}
+
+module.exports = {
+    CHECK_INTERVAL_MS,
+    assertValidConfig,
+    runMaintenance,
+    getStatus
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay between 0 and
+ * baseDelayMs * 2^attempt, capped at maxDelayMs
+ */
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Run fn until it succeeds, shouldRetry(error) returns false or retries run out
+ * fn receives the zero-based attempt number
+ */
+async function withRetry(fn, options = {}) {
+    const {
+        retries = 3,
+        baseDelayMs = 500,
+        maxDelayMs = 8000,
+        shouldRetry = () => true,
+        onRetry = null
+    } = options;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) {
+                throw error;
+            }
+            const delay = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+            if (onRetry) {
+                onRetry(error, attempt + 1, delay);
+            }
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = {
+    sleep,
+    backoffDelay,
+    withRetry
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+// Light / Moderate / Heavy status thresholds. Each crossing can set its own in
+// the crossing config:
+//   absolute - moderate and heavy are minutes
+//   baseline - ratios of the no-traffic baseline time (e.g. 1.5 = 50% over)
+//   median   - ratios of the historical median for that day and hour
+// Relative modes fall back to DEFAULT_THRESHOLDS when the reference is unknown.
+const MODES = ['absolute', 'baseline', 'median'];
+const DEFAULT_THRESHOLDS = { mode: 'absolute', moderate: 15, heavy: 25 };
+
+/**
+ * Validate a crossing's thresholds config
+ * Returns a list of human-readable problems (empty when valid)
+ */
+function validateThresholds(thresholds) {
+    if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+        return ['thresholds must be an object'];
+    }
+
+    const errors = [];
+    if (!MODES.includes(thresholds.mode)) {
+        errors.push(`thresholds.mode must be one of: ${MODES.join(', ')}`);
+    }
+    for (const level of ['moderate', 'heavy']) {
+        if (typeof thresholds[level] !== 'number' || !(thresholds[level] > 0)) {
+            errors.push(`thresholds.${level} must be a positive number`);
+        }
+    }
+    if (errors.length === 0 && thresholds.moderate >= thresholds.heavy) {
+        errors.push('thresholds.moderate must be less than thresholds.heavy');
+    }
+    return errors;
+}
+
+/**
+ * Thresholds in minutes for a crossing right now
+ * reference: { baselineTime, medianTime } for the relative modes
+ */
+function resolveThresholds(config = DEFAULT_THRESHOLDS, { baselineTime = null, medianTime = null } = {}) {
+    if (config.mode === 'absolute') {
+        return { mode: 'absolute', moderate: config.moderate, heavy: config.heavy };
+    }
+
+    const reference = config.mode === 'baseline' ? baselineTime : medianTime;
+    if (typeof reference !== 'number' || reference <= 0) {
+        return { ...DEFAULT_THRESHOLDS };
+    }
+
+    return {
+        mode: config.mode,
+        moderate: Math.round(reference * config.moderate * 10) / 10,
+        heavy: Math.round(reference * config.heavy * 10) / 10
+    };
+}
+
+/**
+ * Status label and CSS class for a wait time under resolved thresholds
+ */
+function getStatus(waitTime, thresholds = DEFAULT_THRESHOLDS) {
+    if (waitTime <= thresholds.moderate) {
+        return { status: 'Light', statusClass: 'good' };
+    } else if (waitTime <= thresholds.heavy) {
+        return { status: 'Moderate', statusClass: 'moderate' };
+    } else {
+        return { status: 'Heavy', statusClass: 'heavy' };
+    }
+}
+
+module.exports = {
+    MODES,
+    DEFAULT_THRESHOLDS,
+    validateThresholds,
+    resolveThresholds,
+    getStatus
+};
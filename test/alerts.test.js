@@ -0,0 +1,249 @@
+'use strict';
+
+const { ADMIN_KEY, listen } = require('./helpers');
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.DISPLAY_TIMEZONE = 'America/New_York';
+const { app } = require('../app');
+const db = require('../db');
+const alerts = require('../alerts');
+const { sleep } = require('../retry');
+
+// Local webhook receiver answering with queued status codes (200 once empty)
+function createReceiver() {
+    const received = [];
+    const statuses = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body: JSON.parse(body) });
+            res.statusCode = statuses.length > 0 ? statuses.shift() : 200;
+            res.end();
+        });
+    });
+    return { server, received, statuses };
+}
+
+// Background deliveries finish on their own; wait for the rule's latest one
+async function latestDelivery(ruleId) {
+    for (let i = 0; i < 100; i++) {
+        const [delivery] = db.getDeliveries({ ruleId, limit: 1 });
+        if (delivery && delivery.outcome !== 'pending') return delivery;
+        await sleep(10);
+    }
+    throw new Error(`No finished delivery for rule ${ruleId}`);
+}
+
+const reading = (crossingId, waitTime, status) => ({
+    crossingId, waitTime, status, baselineTime: 12, thresholds: { moderate: 15, heavy: 25 }
+});
+
+// Monday 08:00 in New York
+const MONDAY_8AM = new Date('2025-01-06T13:00:00Z');
+const minutesLater = minutes => new Date(MONDAY_8AM.getTime() + minutes * 60000);
+
+describe('alerts', () => {
+    let receiver;
+    let webhook;
+    let webhookUrl;
+
+    function createRule(fields) {
+        const { rule, error } = alerts.validateRule({ name: 'Test', webhookUrl, ...fields });
+        assert.equal(error, undefined);
+        return db.createAlertRule(rule);
+    }
+
+    before(async () => {
+        // No backoff between retries
+        mock.method(Math, 'random', () => 0);
+        receiver = createReceiver();
+        webhook = await listen(receiver.server);
+        webhookUrl = `${webhook.baseUrl}/hook`;
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await webhook.close();
+    });
+
+    beforeEach(() => {
+        receiver.received.length = 0;
+        receiver.statuses.length = 0;
+        for (const rule of db.getAlertRules()) db.deleteAlertRule(rule.id);
+    });
+
+    describe('validateRule', () => {
+        it('applies defaults and normalises active days', () => {
+            const { rule } = alerts.validateRule({
+                name: '  Morning  ', crossingId: 'lincoln-into', condition: 'wait_above', threshold: 20,
+                status: 'Heavy', webhookUrl: 'http://example.com/hook', activeDays: ['friday', 'Mon', 'Mon']
+            });
+            assert.equal(rule.name, 'Morning');
+            assert.equal(rule.status, null);
+            assert.deepEqual(rule.activeDays, ['Mon', 'Fri']);
+            assert.equal(rule.cooldownMinutes, 30);
+            assert.equal(rule.enabled, true);
+        });
+
+        it('rejects invalid rules', () => {
+            const valid = { name: 'x', crossingId: 'lincoln-into', condition: 'wait_above', threshold: 20, webhookUrl: 'https://example.com' };
+            for (const change of [
+                { name: '' }, { crossingId: 'nowhere' }, { condition: 'wait_below' }, { threshold: 0 },
+                { condition: 'status_change', status: 'Jammed' }, { webhookUrl: 'ftp://example.com' },
+                { activeDays: ['Someday'] }, { activeDays: [] }, { activeFrom: '07:00' },
+                { activeFrom: '7am', activeTo: '09:00' }, { cooldownMinutes: 1.5 }, { enabled: 'yes' }
+            ]) {
+                assert.ok(alerts.validateRule({ ...valid, ...change }).error, JSON.stringify(change));
+            }
+        });
+    });
+
+    describe('isActive', () => {
+        it('checks days and hours in the display time zone', () => {
+            const rule = { activeDays: ['Mon'], activeFrom: '07:00', activeTo: '09:00' };
+            assert.equal(alerts.isActive(rule, MONDAY_8AM), true);
+            assert.equal(alerts.isActive(rule, minutesLater(60)), false);
+            assert.equal(alerts.isActive(rule, minutesLater(24 * 60)), false);
+        });
+
+        it('runs overnight windows past midnight', () => {
+            const rule = { activeDays: null, activeFrom: '22:00', activeTo: '06:00' };
+            assert.equal(alerts.isActive(rule, new Date('2025-01-07T04:00:00Z')), true); // 23:00
+            assert.equal(alerts.isActive(rule, new Date('2025-01-07T10:00:00Z')), true); // 05:00
+            assert.equal(alerts.isActive(rule, MONDAY_8AM), false);
+        });
+    });
+
+    describe('evaluate', () => {
+        it('posts to the webhook and waits out the cooldown', async () => {
+            const rule = createRule({ crossingId: 'lincoln-into', condition: 'wait_above', threshold: 20, cooldownMinutes: 30 });
+
+            assert.equal(alerts.evaluate([reading('lincoln-into', 20, 'Moderate')], MONDAY_8AM).length, 0);
+
+            const fired = alerts.evaluate([reading('lincoln-into', 26, 'Heavy')], MONDAY_8AM);
+            assert.equal(fired.length, 1);
+            const delivery = await latestDelivery(rule.id);
+            assert.equal(delivery.outcome, 'delivered');
+            assert.equal(delivery.attempts, 1);
+            assert.equal(delivery.responseStatus, 200);
+
+            assert.equal(receiver.received.length, 1);
+            const { headers, body } = receiver.received[0];
+            assert.equal(headers['content-type'], 'application/json');
+            assert.equal(headers['x-commute-event'], 'alert');
+            assert.equal(body.waitTime, 26);
+            assert.equal(body.crossing.id, 'lincoln-into');
+            assert.match(body.message, /26 min, over your 20 min limit/);
+
+            // Still over the limit, but within the cooldown
+            assert.equal(alerts.evaluate([reading('lincoln-into', 30, 'Heavy')], minutesLater(29)).length, 0);
+            assert.equal(alerts.evaluate([reading('lincoln-into', 30, 'Heavy')], minutesLater(30)).length, 1);
+            await latestDelivery(rule.id);
+            assert.equal(receiver.received.length, 2);
+        });
+
+        it('fires status changes only on a seen transition', async () => {
+            const rule = createRule({ crossingId: 'gwb-into', condition: 'status_change', status: 'Heavy', cooldownMinutes: 0 });
+
+            // First reading after a restart sets the status without firing
+            assert.equal(alerts.evaluate([reading('gwb-into', 30, 'Heavy')], MONDAY_8AM).length, 0);
+            assert.equal(alerts.evaluate([reading('gwb-into', 10, 'Light')], minutesLater(5)).length, 0);
+            const fired = alerts.evaluate([reading('gwb-into', 30, 'Heavy')], minutesLater(10));
+            assert.equal(fired.length, 1);
+            assert.equal(fired[0].previousStatus, 'Light');
+            assert.equal((await latestDelivery(rule.id)).outcome, 'delivered');
+            // Staying Heavy is not a change
+            assert.equal(alerts.evaluate([reading('gwb-into', 31, 'Heavy')], minutesLater(15)).length, 0);
+        });
+
+        it('skips disabled rules, other crossings and inactive hours', () => {
+            createRule({ crossingId: 'lincoln-into', condition: 'wait_above', threshold: 5, enabled: false });
+            createRule({ crossingId: 'gwb-into', condition: 'wait_above', threshold: 5 });
+            createRule({ crossingId: 'holland-into', condition: 'wait_above', threshold: 5, activeFrom: '17:00', activeTo: '19:00' });
+            const fired = alerts.evaluate([
+                reading('lincoln-into', 30, 'Heavy'),
+                reading('gwb-into', null, null),
+                reading('holland-into', 30, 'Heavy')
+            ], MONDAY_8AM);
+            assert.equal(fired.length, 0);
+        });
+    });
+
+    describe('delivery', () => {
+        it('retries 5xx responses until the webhook accepts', async () => {
+            const rule = createRule({ crossingId: 'lincoln-into', condition: 'wait_above', threshold: 20 });
+            receiver.statuses.push(503, 500);
+            alerts.evaluate([reading('lincoln-into', 26, 'Heavy')], MONDAY_8AM);
+            const delivery = await latestDelivery(rule.id);
+            assert.equal(delivery.outcome, 'delivered');
+            assert.equal(delivery.attempts, 3);
+            assert.equal(receiver.received.length, 3);
+        });
+
+        it('gives up after the configured retries', async () => {
+            const rule = createRule({ crossingId: 'lincoln-into', condition: 'wait_above', threshold: 20 });
+            receiver.statuses.push(500, 500, 500, 500, 500);
+            alerts.evaluate([reading('lincoln-into', 26, 'Heavy')], MONDAY_8AM);
+            const delivery = await latestDelivery(rule.id);
+            assert.equal(delivery.outcome, 'failed');
+            assert.equal(delivery.attempts, 4);
+            assert.equal(delivery.responseStatus, 500);
+            assert.match(delivery.error, /HTTP 500/);
+        });
+
+        it('does not retry client errors', async () => {
+            const rule = createRule({ crossingId: 'lincoln-into', condition: 'wait_above', threshold: 20 });
+            receiver.statuses.push(404);
+            alerts.evaluate([reading('lincoln-into', 26, 'Heavy')], MONDAY_8AM);
+            const delivery = await latestDelivery(rule.id);
+            assert.equal(delivery.outcome, 'failed');
+            assert.equal(delivery.attempts, 1);
+        });
+
+        it('retries when the webhook is unreachable', async () => {
+            const closed = createReceiver();
+            const { baseUrl, close } = await listen(closed.server);
+            await close();
+            const rule = createRule({ crossingId: 'lincoln-into', condition: 'wait_above', threshold: 20, webhookUrl: baseUrl });
+            alerts.evaluate([reading('lincoln-into', 26, 'Heavy')], MONDAY_8AM);
+            const delivery = await latestDelivery(rule.id);
+            assert.equal(delivery.outcome, 'failed');
+            assert.equal(delivery.attempts, 4);
+            assert.equal(delivery.responseStatus, null);
+        });
+    });
+
+    describe('admin endpoints', () => {
+        let server;
+        const headers = { 'Content-Type': 'application/json', 'x-api-key': ADMIN_KEY };
+
+        before(async () => { server = await listen(app); });
+        after(() => server.close());
+
+        it('sends a test alert and logs the delivery', async () => {
+            const created = await fetch(`${server.baseUrl}/api/admin/alerts`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ name: 'Desk', crossingId: 'lincoln-into', condition: 'wait_above', threshold: 20, webhookUrl })
+            });
+            assert.equal(created.status, 201);
+            const rule = await created.json();
+
+            const test = await fetch(`${server.baseUrl}/api/admin/alerts/${rule.id}/test`, { method: 'POST', headers });
+            assert.equal(test.status, 200);
+            assert.equal((await test.json()).event, 'test');
+            assert.equal(receiver.received[0].headers['x-commute-event'], 'test');
+
+            receiver.statuses.push(400);
+            const failed = await fetch(`${server.baseUrl}/api/admin/alerts/${rule.id}/test`, { method: 'POST', headers });
+            assert.equal(failed.status, 502);
+
+            const log = await fetch(`${server.baseUrl}/api/admin/alerts/deliveries?rule=${rule.id}`, { headers });
+            const { deliveries } = await log.json();
+            assert.deepEqual(deliveries.map(d => d.outcome), ['failed', 'delivered']);
+        });
+    });
+});
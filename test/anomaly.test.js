@@ -0,0 +1,128 @@
+'use strict';
+
+const { listen } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DISPLAY_TIMEZONE = 'America/New_York';
+const { app } = require('../app');
+const db = require('../db');
+const anomaly = require('../anomaly');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+// Tuesday 08:20 in New York, with eight earlier Tuesdays of history
+const AT = new Date('2025-03-04T13:20:00Z');
+
+// Usually 20 minutes at 8am, with a standard deviation under the 2 minute floor
+function addTuesdayHistory(crossingId, waitTimes) {
+    waitTimes.forEach((waitTime, i) => {
+        db.addReading({
+            crossingId,
+            waitTime,
+            source: 'manual',
+            timestamp: new Date(Date.parse('2025-01-07T13:10:00Z') + i * WEEK_MS)
+        });
+    });
+}
+
+const reading = (crossingId, waitTime, timestamp) => ({ crossingId, waitTime, timestamp });
+
+describe('anomaly detection', () => {
+    before(() => {
+        const usual = [18, 19, 20, 20, 20, 20, 21, 22];
+        addTuesdayHistory('lincoln-into', usual);
+        addTuesdayHistory('holland-into', usual);
+        addTuesdayHistory('gwb-into', usual.slice(0, 5));
+    });
+
+    it('grades severity by standard deviations above the median', () => {
+        const severity = waitTime => anomaly.assess('lincoln-into', waitTime, { at: AT }).severity;
+        assert.equal(severity(20), null);
+        // Above the p90 but only 4 minutes over the median
+        assert.equal(severity(24), null);
+        assert.equal(severity(25), 'minor');
+        assert.equal(severity(27), 'major');
+        assert.equal(severity(29), 'severe');
+
+        const assessment = anomaly.assess('lincoln-into', 29, { at: AT });
+        assert.equal(assessment.expectedTime, 20);
+        assert.equal(assessment.sampleCount, 8);
+    });
+
+    it('does not judge hours without enough history', () => {
+        assert.equal(anomaly.assess('gwb-into', 60, { at: AT }), null);
+        // Same crossing, an hour with no readings
+        assert.equal(anomaly.assess('lincoln-into', 60, { at: new Date('2025-03-04T16:20:00Z') }), null);
+    });
+
+    it('groups consecutive anomalous readings into one incident', () => {
+        const minute = 60 * 1000;
+        const at = offset => new Date(AT.getTime() + offset * minute).toISOString();
+
+        const first = anomaly.detectIncidents([reading('lincoln-into', 25, at(0))]);
+        assert.equal(first.opened.length, 1);
+        const id = first.opened[0];
+
+        anomaly.detectIncidents([reading('lincoln-into', 29, at(5))]);
+        anomaly.detectIncidents([reading('lincoln-into', 27, at(10))]);
+        let incident = db.getIncident(id);
+        assert.equal(incident.active, true);
+        // Keeps the worst severity seen
+        assert.equal(incident.severity, 'severe');
+        assert.equal(incident.peakWaitTime, 29);
+        assert.equal(incident.waitTime, 27);
+        assert.equal(incident.readingCount, 3);
+
+        const last = anomaly.detectIncidents([reading('lincoln-into', 20, at(15))]);
+        assert.deepEqual(last, { opened: [], ended: [id] });
+        incident = db.getIncident(id);
+        assert.equal(incident.active, false);
+        assert.equal(incident.endedAt, at(15));
+    });
+
+    it('ends an incident at its last reading after a long gap', () => {
+        const first = anomaly.detectIncidents([reading('holland-into', 29, '2025-03-04T13:00:00Z')]);
+        const next = anomaly.detectIncidents([reading('holland-into', 29, '2025-03-04T13:45:00Z')]);
+        assert.deepEqual(next.ended, first.opened);
+        assert.equal(next.opened.length, 1);
+        assert.equal(db.getIncident(first.opened[0]).endedAt, '2025-03-04T13:00:00.000Z');
+        assert.equal(db.getIncident(next.opened[0]).active, true);
+    });
+
+    it('skips failed readings', () => {
+        assert.deepEqual(anomaly.detectIncidents([reading('lincoln-into', null, AT.toISOString())]),
+            { opened: [], ended: [] });
+    });
+
+    describe('endpoint', () => {
+        let server;
+        before(async () => { server = await listen(app); });
+        after(() => server.close());
+
+        async function incidents(query) {
+            const response = await fetch(`${server.baseUrl}/api/incidents${query}`);
+            return { status: response.status, body: await response.json() };
+        }
+
+        it('lists incidents with filters', async () => {
+            const all = await incidents('');
+            assert.equal(all.status, 200);
+            assert.equal(all.body.incidents.length, 3);
+
+            const lincoln = await incidents('?crossing=lincoln-into');
+            assert.deepEqual(lincoln.body.incidents.map(i => i.severity), ['severe']);
+
+            const active = await incidents('?active=true');
+            assert.deepEqual(active.body.incidents.map(i => i.crossingId), ['holland-into']);
+
+            const range = await incidents('?from=2025-03-04T13:40:00Z');
+            assert.equal(range.body.incidents.length, 1);
+        });
+
+        it('rejects invalid filters', async () => {
+            for (const query of ['?crossing=nowhere', '?active=yes', '?limit=0', '?from=soon']) {
+                assert.equal((await incidents(query)).status, 400, query);
+            }
+        });
+    });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const { ADMIN_KEY, listen } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { app } = require('../app');
+const auth = require('../auth');
+const db = require('../db');
+
+describe('API key scopes and rate limiting', () => {
+    let server;
+    let readingsKey;
+
+    // strictLimiter allows 10 write calls per window and the auth failure
+    // limiter 10 refused keys, so these tests run in order and share them
+    function post(path, key, body = {}) {
+        return fetch(`${server.baseUrl}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-api-key': key },
+            body: JSON.stringify(body)
+        });
+    }
+
+    before(async () => {
+        server = await listen(app);
+        readingsKey = auth.issueKey({ name: 'logger', scopes: ['readings:write'] }).key;
+    });
+
+    after(() => server.close());
+
+    it('accepts a key with the route scope', async () => {
+        const response = await post('/api/readings', readingsKey, { crossingId: 'gwb-into', waitTime: 12 });
+        assert.equal(response.status, 200);
+        assert.equal(db.getLatest('gwb-into').wait_time, 12);
+    });
+
+    it('refuses a key without the route scope', async () => {
+        const response = await post('/api/refresh', readingsKey);
+        assert.equal(response.status, 403);
+    });
+
+    it('lets the admin scope stand in for any other', async () => {
+        const response = await post('/api/readings', ADMIN_KEY, { crossingId: 'gwb-into', waitTime: 14 });
+        assert.equal(response.status, 200);
+    });
+
+    it('rate limits wrong keys before checking them', async () => {
+        const statuses = [];
+        for (let i = 0; i < 9; i++) {
+            statuses.push((await post('/api/refresh', `cc_wrong${i}`)).status);
+        }
+        assert.deepEqual(statuses, [401, 401, 401, 401, 401, 401, 401, 429, 429]);
+    });
+
+    it('rate limits wrong keys on read-only admin routes too', async () => {
+        // Eight refusals so far (one 403, seven 401s); the limit is ten
+        const statuses = [];
+        for (let i = 0; i < 3; i++) {
+            const response = await fetch(`${server.baseUrl}/api/admin/alerts`, { headers: { 'x-api-key': `cc_wrong${i}` } });
+            statuses.push(response.status);
+        }
+        assert.deepEqual(statuses, [401, 401, 429]);
+    });
+
+    it('audits checked calls but not rate-limited ones', async () => {
+        const entries = db.getAuditLog({ limit: 100 });
+        assert.equal(entries.length, 12);
+        assert.equal(entries.filter(e => e.statusCode === 401).length, 9);
+        assert.ok(entries.every(e => e.statusCode !== 429));
+        assert.equal(entries.find(e => e.statusCode === 403).keyName, 'logger');
+    });
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+require('./helpers');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TRAFFIC_CONCURRENCY = '2';
+const mock = require('../providers/mock');
+const crossings = require('../crossings');
+const commutes = require('../commutes');
+const db = require('../db');
+
+describe('commute timing', () => {
+    const fetchTravelTime = mock.fetchTravelTime;
+    let inFlight = 0;
+    let mostInFlight = 0;
+
+    before(() => {
+        crossings.load();
+        for (const name of ['Office', 'Gym']) {
+            db.createCommuteProfile({
+                name,
+                origin: '40.7357,-74.0300',
+                destination: '40.7549,-73.9840',
+                crossingIds: ['holland-into', 'lincoln-into', 'gwb-into']
+            });
+        }
+
+        // Count the provider requests running at once
+        mock.fetchTravelTime = async route => {
+            inFlight++;
+            mostInFlight = Math.max(mostInFlight, inFlight);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            inFlight--;
+            return fetchTravelTime(route);
+        };
+    });
+
+    it('times every profile within TRAFFIC_CONCURRENCY and skips an overlapping run', async () => {
+        const [first, second] = await Promise.all([commutes.refresh(), commutes.refresh()]);
+        assert.equal(first, 2);
+        assert.equal(second, null);
+        assert.equal(mostInFlight, 2);
+
+        for (const profile of db.getCommuteProfiles()) {
+            assert.equal(db.getLatestCommuteReadings(profile.id).length, 3);
+        }
+    });
+
+    it('runs again once the previous run has finished', async () => {
+        assert.equal(await commutes.refresh(), 2);
+    });
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+const { ADMIN_KEY, listen } = require('./helpers');
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { app } = require('../app');
+const crossings = require('../crossings');
+const mockProvider = require('../providers/mock');
+
+const DEFINITION = {
+    id: 'test-into',
+    name: 'Test Bridge',
+    direction: 'Into Manhattan',
+    area: 'Midtown',
+    icon: '🌉',
+    route: { origin: '40.70,-74.10', destination: '40.75,-73.99', waypoint: '40.72,-74.02' }
+};
+
+describe('crossing definitions', () => {
+    describe('validateCrossings', () => {
+        it('accepts the shipped config shape', () => {
+            assert.deepEqual(crossings.validateCrossings([DEFINITION]), []);
+        });
+
+        it('lists every problem with the entry it belongs to', () => {
+            assert.deepEqual(crossings.validateCrossings({}), ['Crossing config must be a JSON array']);
+
+            const problems = crossings.validateCrossings([
+                DEFINITION,
+                DEFINITION,
+                { ...DEFINITION, id: 'Bad Id', direction: 'Sideways' },
+                { ...DEFINITION, id: 'no-route', route: undefined },
+                { ...DEFINITION, id: 'bad-coords', route: { ...DEFINITION.route, waypoint: 'midtown' } },
+                { ...DEFINITION, id: 'bad-thresholds', thresholds: { mode: 'absolute', moderate: 30, heavy: 20 } },
+                null
+            ]);
+            assert.deepEqual(problems, [
+                'test-into: duplicate id',
+                'Bad Id: id must be lowercase letters, digits and dashes',
+                'Bad Id: direction must start with "Into" or "Out of"',
+                'no-route: route is required',
+                'bad-coords: route.waypoint must be a "lat,lng" string',
+                'bad-thresholds: thresholds.moderate must be less than thresholds.heavy',
+                '#6: entry must be an object'
+            ]);
+        });
+    });
+
+    describe('admin endpoints', () => {
+        let server;
+        const headers = { 'Content-Type': 'application/json', 'x-api-key': ADMIN_KEY };
+
+        async function request(method, path, body) {
+            const response = await fetch(`${server.baseUrl}/api/admin/crossings${path}`, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+            return { status: response.status, body: await response.json() };
+        }
+
+        before(async () => { server = await listen(app); });
+        after(() => server.close());
+
+        it('adds a crossing after a test fetch', async () => {
+            const created = await request('POST', '', { ...DEFINITION, notes: 'dropped' });
+            assert.equal(created.status, 201);
+            assert.equal(created.body.crossing.origin, 'database');
+            assert.equal(created.body.crossing.enabled, true);
+            assert.equal(created.body.crossing.notes, undefined);
+            assert.deepEqual(created.body.crossing.thresholds, { mode: 'absolute', moderate: 15, heavy: 25 });
+            assert.equal(created.body.test.source, 'mock');
+            assert.equal(typeof created.body.test.waitTime, 'number');
+            assert.ok(crossings.list().some(c => c.id === 'test-into'));
+
+            // Survives a reload from the database
+            crossings.load();
+            assert.equal(crossings.get('test-into').origin, 'database');
+        });
+
+        it('rejects duplicate, invalid and unroutable crossings', async () => {
+            assert.equal((await request('POST', '', DEFINITION)).status, 409);
+
+            const invalid = await request('POST', '', { ...DEFINITION, id: 'other-into', route: { origin: 'here' } });
+            assert.equal(invalid.status, 400);
+            assert.match(invalid.body.error, /route\.origin must be a "lat,lng" string/);
+
+            const failing = mock.method(mockProvider, 'fetchTravelTime', async () => {
+                throw new Error('No route found');
+            });
+            try {
+                const unroutable = await request('POST', '', { ...DEFINITION, id: 'other-into' });
+                assert.equal(unroutable.status, 422);
+                assert.equal(unroutable.body.error, 'Test fetch failed: No route found');
+            } finally {
+                failing.mock.restore();
+            }
+            assert.equal(crossings.get('other-into', { includeDisabled: true }), null);
+        });
+
+        it('edits a route without changing its id', async () => {
+            const route = { ...DEFINITION.route, waypoint: '40.73,-74.00' };
+            const updated = await request('PUT', '/test-into', { ...DEFINITION, route });
+            assert.equal(updated.status, 200);
+            assert.equal(crossings.get('test-into').route.waypoint, '40.73,-74.00');
+
+            assert.equal((await request('PUT', '/test-into', { ...DEFINITION, id: 'renamed' })).status, 400);
+            assert.equal((await request('PUT', '/nowhere', DEFINITION)).status, 404);
+        });
+
+        it('disables and re-enables a crossing', async () => {
+            const disabled = await request('POST', '/lincoln-into/disable');
+            assert.equal(disabled.status, 200);
+            assert.equal(disabled.body.crossing.enabled, false);
+            assert.equal(crossings.get('lincoln-into'), null);
+            assert.ok(!crossings.list().some(c => c.id === 'lincoln-into'));
+
+            const listed = await request('GET', '');
+            const entry = listed.body.crossings.find(c => c.id === 'lincoln-into');
+            assert.equal(entry.enabled, false);
+            assert.equal(entry.origin, 'database');
+
+            const enabled = await request('POST', '/lincoln-into/enable');
+            assert.equal(enabled.status, 200);
+            assert.equal(enabled.body.crossing.enabled, true);
+            assert.ok(crossings.get('lincoln-into'));
+        });
+    });
+});
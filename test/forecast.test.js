@@ -0,0 +1,103 @@
+'use strict';
+
+const { listen } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DISPLAY_TIMEZONE = 'America/New_York';
+const { app } = require('../app');
+const db = require('../db');
+const forecast = require('../forecast');
+
+// Tuesday 08:00 in New York
+const NOW = new Date('2025-01-14T13:00:00Z');
+const MINUTE = 60 * 1000;
+
+function add(crossingId, waitTime, timestamp) {
+    db.addReading({ crossingId, waitTime, source: 'manual', timestamp: new Date(timestamp) });
+}
+
+// Last Tuesday from 08:00 to 10:00: 20, 30, 40, 50, 60
+function addTuesdayProfile(crossingId) {
+    [20, 30, 40, 50, 60].forEach((waitTime, i) => {
+        add(crossingId, waitTime, new Date(Date.parse('2025-01-07T13:00:00Z') + i * 30 * MINUTE));
+    });
+}
+
+const waitTimes = result => result.predictions.map(p => p.waitTime);
+
+describe('forecasts', () => {
+    before(() => {
+        addTuesdayProfile('gwb-into');
+        addTuesdayProfile('gwb-out');
+        // Ten minutes over the usual 20 right now
+        add('gwb-out', 30, NOW.getTime() - MINUTE);
+        // No history, climbing half a minute per minute
+        add('bayonne-into', 20, NOW.getTime() - 40 * MINUTE);
+        add('bayonne-into', 30, NOW.getTime() - 20 * MINUTE);
+        add('bayonne-into', 40, NOW.getTime());
+    });
+
+    it('follows the historical profile without a recent reading', () => {
+        const result = forecast.forecastCrossing('gwb-into', { now: NOW });
+        assert.equal(result.current, null);
+        assert.deepEqual(result.predictions.map(p => p.horizonMinutes), forecast.HORIZONS);
+        assert.equal(result.predictions[0].at, '2025-01-14T13:30:00.000Z');
+        assert.deepEqual(waitTimes(result), [30, 40, 50, 60]);
+        assert.equal(result.inAnHour, 40);
+        assert.equal(result.trend, 'rising');
+    });
+
+    it('fades today\'s anomaly into the profile', () => {
+        const result = forecast.forecastCrossing('gwb-out', { now: NOW });
+        assert.equal(result.current, 30);
+        // Profile plus 10 * e^(-h/60)
+        assert.deepEqual(waitTimes(result), [36, 44, 52, 61]);
+    });
+
+    it('extrapolates the damped trend without history', () => {
+        const result = forecast.forecastCrossing('bayonne-into', { now: NOW });
+        assert.equal(result.current, 40);
+        // 40 + 0.5 * 60 * (1 - e^(-h/60))
+        assert.deepEqual(waitTimes(result), [52, 59, 63, 66]);
+        assert.equal(result.trend, 'rising');
+    });
+
+    it('predicts nothing without any data', () => {
+        const result = forecast.forecastCrossing('goethals-out', { now: NOW });
+        assert.deepEqual(waitTimes(result), [null, null, null, null]);
+        assert.equal(result.inAnHour, null);
+        assert.equal(result.trend, null);
+    });
+
+    it('scores stored forecasts against the readings that follow', () => {
+        forecast.recordForecasts({ now: NOW });
+        add('gwb-into', 35, '2025-01-14T13:31:00Z');
+        add('gwb-into', 40, '2025-01-14T14:02:00Z');
+        // Out of tolerance for the 90-minute forecast
+        add('gwb-into', 90, '2025-01-14T14:45:00Z');
+
+        assert.equal(db.resolveForecasts(10, new Date('2025-01-14T16:00:00Z')) > 0, true);
+        assert.deepEqual(db.getForecastAccuracy('gwb-into', new Date('2025-01-14T00:00:00Z')), [
+            { horizonMinutes: 30, samples: 1, meanAbsoluteError: 5, bias: -5 },
+            { horizonMinutes: 60, samples: 1, meanAbsoluteError: 0, bias: 0 }
+        ]);
+    });
+
+    describe('endpoint', () => {
+        let server;
+        before(async () => { server = await listen(app); });
+        after(() => server.close());
+
+        it('returns predictions and accuracy for a crossing', async () => {
+            const response = await fetch(`${server.baseUrl}/api/crossings/gwb-into/forecast`);
+            assert.equal(response.status, 200);
+            const body = await response.json();
+            assert.equal(body.crossingId, 'gwb-into');
+            assert.equal(body.predictions.length, forecast.HORIZONS.length);
+            assert.ok(Array.isArray(body.accuracy));
+
+            assert.equal((await fetch(`${server.baseUrl}/api/crossings/nowhere/forecast`)).status, 400);
+        });
+    });
+});
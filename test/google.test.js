@@ -0,0 +1,96 @@
+'use strict';
+
+require('./helpers');
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TRAFFIC_PROVIDER = 'google';
+process.env.GOOGLE_MAPS_API_KEY = 'test-key';
+process.env.GOOGLE_MAPS_RETRIES = '2';
+process.env.GOOGLE_MAPS_BREAKER_THRESHOLD = '2';
+process.env.GOOGLE_MAPS_BREAKER_COOLDOWN_MS = '100';
+const google = require('../providers/google');
+const traffic = require('../traffic');
+
+const ROUTE = { id: 'holland-into', origin: '40.7357,-74.0300', destination: '40.7549,-73.9840', waypoint: '40.7267,-74.0110' };
+const OK = {
+    status: 'OK',
+    routes: [{ legs: [{ duration: { value: 600 }, duration_in_traffic: { value: 900 }, distance: { value: 3219 } }] }]
+};
+
+describe('Google Maps retries and circuit breaker', () => {
+    const realFetch = globalThis.fetch;
+    let responses = [];
+    let requests = 0;
+
+    // Queue what the next fetch() calls answer: a Directions body, an HTTP
+    // status or an Error to throw
+    function respond(...queue) {
+        responses = queue;
+        requests = 0;
+    }
+
+    before(() => {
+        // No backoff delay
+        mock.method(Math, 'random', () => 0);
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+        globalThis.fetch = async () => {
+            requests++;
+            const next = responses.shift();
+            if (next instanceof Error) throw next;
+            if (typeof next === 'number') return { ok: false, status: next };
+            return { ok: true, status: 200, json: async () => next };
+        };
+    });
+
+    after(() => {
+        globalThis.fetch = realFetch;
+        mock.restoreAll();
+    });
+
+    it('retries transient statuses, network errors and 5xx responses', async () => {
+        respond({ status: 'OVER_QUERY_LIMIT' }, new TypeError('fetch failed'), OK);
+        assert.deepEqual(await google.fetchTravelTime(ROUTE), { waitTime: 15, baselineTime: 10, distance: '2.0 mi' });
+        assert.equal(requests, 3);
+
+        respond(503, OK);
+        assert.equal((await google.fetchTravelTime(ROUTE)).waitTime, 15);
+        assert.equal(requests, 2);
+    });
+
+    it('gives up after GOOGLE_MAPS_RETRIES retries', async () => {
+        respond({ status: 'UNKNOWN_ERROR' }, { status: 'UNKNOWN_ERROR' }, { status: 'UNKNOWN_ERROR' }, OK);
+        await assert.rejects(google.fetchTravelTime(ROUTE), /API error: UNKNOWN_ERROR/);
+        assert.equal(requests, 3);
+    });
+
+    it('does not retry other errors', async () => {
+        respond({ status: 'ZERO_RESULTS' }, OK);
+        await assert.rejects(google.fetchTravelTime(ROUTE), /API error: ZERO_RESULTS/);
+        assert.equal(requests, 1);
+    });
+
+    it('opens the breaker after repeated REQUEST_DENIED and probes after the cooldown', async () => {
+        respond({ status: 'REQUEST_DENIED' }, { status: 'REQUEST_DENIED' });
+        await assert.rejects(google.fetchTravelTime(ROUTE), /REQUEST_DENIED/);
+        assert.equal(traffic.getCircuitBreaker().state, 'closed');
+        await assert.rejects(google.fetchTravelTime(ROUTE), /REQUEST_DENIED/);
+        assert.equal(requests, 2);
+
+        const opened = traffic.getCircuitBreaker();
+        assert.equal(opened.state, 'open');
+        assert.equal(opened.consecutiveDenials, 2);
+        assert.equal(opened.lastError, 'API error: REQUEST_DENIED');
+
+        respond(OK);
+        await assert.rejects(google.fetchTravelTime(ROUTE), /Circuit open/);
+        assert.equal(requests, 0);
+
+        await new Promise(resolve => setTimeout(resolve, 120));
+        assert.equal((await google.fetchTravelTime(ROUTE)).waitTime, 15);
+        assert.equal(requests, 1);
+        assert.equal(traffic.getCircuitBreaker().state, 'closed');
+        assert.equal(traffic.getCircuitBreaker().consecutiveDenials, 0);
+    });
+});
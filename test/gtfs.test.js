@@ -0,0 +1,261 @@
+'use strict';
+
+const { tempDir } = require('./helpers');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+process.env.DISPLAY_TIMEZONE = 'America/New_York';
+const gtfs = require('../gtfs');
+const transit = require('../transit');
+
+/**
+ * Build a zip archive from [{ name, content, method }] (8 = deflate, the
+ * default; 0 = stored). entryCount overrides the count in the end record.
+ */
+function buildZip(files, { entryCount = files.length } = {}) {
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+    for (const { name, content, method = 8 } of files) {
+        const data = Buffer.from(content);
+        const compressed = method === 8 ? zlib.deflateRawSync(data) : data;
+        const nameBytes = Buffer.from(name);
+        const crc = zlib.crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        parts.push(local, nameBytes, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        directory.push(central, nameBytes);
+
+        offset += local.length + nameBytes.length + compressed.length;
+    }
+
+    const directoryBytes = Buffer.concat(directory);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entryCount, 8);
+    end.writeUInt16LE(entryCount, 10);
+    end.writeUInt32LE(directoryBytes.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...parts, directoryBytes, end]);
+}
+
+function writeZip(name, files, options) {
+    const file = path.join(tempDir, name);
+    fs.writeFileSync(file, buildZip(files, options));
+    return file;
+}
+
+function csv(rows) {
+    return rows.map(row => row.join(',')).join('\r\n') + '\r\n';
+}
+
+// Weekday service with a trip just before midnight and one after it (on the
+// same service day), and a weekend morning trip. July 4th, a Friday, runs
+// the weekend service instead.
+const FEED = [
+    { name: 'feed/stops.txt', method: 0, content: '\uFEFF' + csv([
+        ['stop_id', 'stop_name', 'parent_station'],
+        ['jsq', 'Journal Square', ''],
+        ['jsq-1', 'Journal Square Platform 1', 'jsq'],
+        ['wtc', 'World Trade Center', '']
+    ]) },
+    { name: 'feed/routes.txt', content: csv([['route_id', 'route_short_name'], ['r1', 'JSQ-WTC']]) },
+    { name: 'feed/trips.txt', content: csv([
+        ['route_id', 'service_id', 'trip_id', 'trip_headsign'],
+        ['r1', 'WK', 'late', 'World Trade Center'],
+        ['r1', 'WK', 'owl', 'World Trade Center'],
+        ['r1', 'WE', 'morning', 'World Trade Center']
+    ]) },
+    { name: 'feed/stop_times.txt', content: csv([
+        ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence'],
+        ['late', '23:50:00', '23:50:00', 'jsq-1', '1'],
+        ['late', '24:10:00', '24:10:00', 'wtc', '2'],
+        ['owl', '25:30:00', '25:30:00', 'jsq-1', '1'],
+        ['owl', '25:45:00', '25:45:00', 'wtc', '2'],
+        ['morning', '8:00:00', '8:00:00', 'jsq', '1'],
+        ['morning', '8:20:00', '8:20:00', 'wtc', '2']
+    ]) },
+    { name: 'feed/calendar.txt', content: csv([
+        ['service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'start_date', 'end_date'],
+        ['WK', '1', '1', '1', '1', '1', '0', '0', '20250101', '20251231'],
+        ['WE', '0', '0', '0', '0', '0', '1', '1', '20250101', '20251231']
+    ]) },
+    { name: 'feed/calendar_dates.txt', content: csv([
+        ['service_id', 'date', 'exception_type'],
+        ['WK', '20250704', '2'],
+        ['WE', '20250704', '1']
+    ]) },
+    // Empty files are stored with no data at all
+    { name: 'feed/shapes.txt', method: 0, content: '' }
+];
+
+async function readRows(file, table) {
+    const rows = [];
+    const found = await gtfs.readTable(file, table, row => rows.push(row));
+    return found ? rows : null;
+}
+
+describe('GTFS zips', () => {
+    let feedFile;
+
+    before(() => {
+        feedFile = writeZip('feed.zip', FEED);
+    });
+
+    it('lists stored and deflated entries', () => {
+        const entries = gtfs.listEntries(feedFile);
+        assert.deepEqual(entries.map(e => [e.name, e.method]), FEED.map(f => [f.name, f.method ?? 8]));
+    });
+
+    it('reads stored and deflated tables inside a folder', async () => {
+        const stops = await readRows(feedFile, 'stops.txt');
+        assert.deepEqual(stops[0], { stop_id: 'jsq', stop_name: 'Journal Square', parent_station: '' });
+        const stopTimes = await readRows(feedFile, 'stop_times.txt');
+        assert.equal(stopTimes.length, 6);
+        assert.equal(stopTimes[3].arrival_time, '25:45:00');
+    });
+
+    it('reads an empty entry as a table with no rows', async () => {
+        assert.deepEqual(await readRows(feedFile, 'shapes.txt'), []);
+        assert.equal(await readRows(feedFile, 'frequencies.txt'), null);
+    });
+
+    it('refuses archives that need ZIP64', () => {
+        const file = writeZip('zip64.zip', [{ name: 'stops.txt', content: 'stop_id\n' }], { entryCount: 0xffff });
+        assert.throws(() => gtfs.listEntries(file), /needs ZIP64/);
+    });
+
+    it('refuses files that are not zips and unsupported compression', async () => {
+        const text = path.join(tempDir, 'feed.txt');
+        fs.writeFileSync(text, 'stop_id,stop_name\n');
+        assert.throws(() => gtfs.listEntries(text), /not a zip archive/);
+
+        const file = writeZip('bzip2.zip', [{ name: 'stops.txt', method: 12, content: 'stop_id\n' }]);
+        await assert.rejects(readRows(file, 'stops.txt'), /unsupported compression method \(12\)/);
+    });
+
+    it('parses times past midnight', () => {
+        assert.equal(gtfs.parseTime('8:05:00'), 8 * 3600 + 5 * 60);
+        assert.equal(gtfs.parseTime('25:10:30'), 25 * 3600 + 10 * 60 + 30);
+        assert.equal(gtfs.parseTime(''), null);
+        assert.equal(gtfs.parseTime('8:5:00'), null);
+    });
+});
+
+describe('GTFS service calendar', () => {
+    const calendar = gtfs.buildCalendar(
+        [
+            { service_id: 'WK', monday: '1', tuesday: '1', wednesday: '1', thursday: '1', friday: '1', saturday: '0', sunday: '0', start_date: '20250101', end_date: '20251231' }
+        ],
+        [
+            { service_id: 'WK', date: '20250704', exception_type: '2' },
+            { service_id: 'HOLIDAY', date: '20260101', exception_type: '1' }
+        ]
+    );
+
+    it('runs weekly services on their weekdays within their dates', () => {
+        assert.equal(calendar.runsOn('WK', '2025-03-07'), true);
+        assert.equal(calendar.runsOn('WK', '2025-03-08'), false);
+        assert.equal(calendar.runsOn('WK', '2024-12-31'), false);
+        assert.equal(calendar.runsOn('WK', '2026-01-02'), false);
+    });
+
+    it('applies added and removed dates', () => {
+        assert.equal(calendar.runsOn('WK', '2025-07-04'), false);
+        assert.equal(calendar.runsOn('HOLIDAY', '2026-01-01'), true);
+        assert.equal(calendar.runsOn('HOLIDAY', '2026-01-02'), false);
+        assert.equal(calendar.runsOn('UNKNOWN', '2025-03-07'), false);
+    });
+
+    it('covers every date it mentions', () => {
+        assert.equal(calendar.from, '2025-01-01');
+        assert.equal(calendar.to, '2026-01-01');
+        assert.equal(gtfs.addDays('2025-12-31', 1), '2026-01-01');
+    });
+});
+
+describe('transit departures', () => {
+    const departures = now => transit.forCrossing('holland-into', new Date(now))[0].departures;
+
+    before(async () => {
+        writeZip('path.zip', FEED);
+        const configPath = path.join(tempDir, 'transit.json');
+        fs.writeFileSync(configPath, JSON.stringify({
+            feeds: [{ id: 'path', name: 'PATH', file: 'path.zip' }],
+            alternatives: [{
+                id: 'path-jsq-wtc',
+                name: 'PATH Journal Square – WTC',
+                icon: '🚆',
+                feed: 'path',
+                crossingIds: ['holland-into'],
+                from: { stopNames: ['Journal Square'] },
+                to: { stopIds: ['wtc'] },
+                accessMinutes: 5,
+                egressMinutes: 3
+            }]
+        }));
+        transit.load(configPath);
+        assert.equal(await transit.loadFeeds(), 1);
+    });
+
+    it('lists departures across midnight on their service day', () => {
+        // Thursday 11:30pm EST: the late trip, then the owl trip after midnight
+        assert.deepEqual(departures('2025-03-07T04:30:00Z'), [
+            {
+                route: 'JSQ-WTC',
+                headsign: 'World Trade Center',
+                leaveBy: '2025-03-07T04:45:00.000Z',
+                departsAt: '2025-03-07T04:50:00.000Z',
+                arrivesAt: '2025-03-07T05:10:00.000Z',
+                doorArrival: '2025-03-07T05:13:00.000Z'
+            },
+            {
+                route: 'JSQ-WTC',
+                headsign: 'World Trade Center',
+                leaveBy: '2025-03-07T06:25:00.000Z',
+                departsAt: '2025-03-07T06:30:00.000Z',
+                arrivesAt: '2025-03-07T06:45:00.000Z',
+                doorArrival: '2025-03-07T06:48:00.000Z'
+            }
+        ]);
+
+        // Just after midnight Friday the owl still runs on Thursday's service
+        assert.deepEqual(departures('2025-03-07T05:20:00Z').map(d => d.departsAt), ['2025-03-07T06:30:00.000Z']);
+        // Just after midnight Sunday, Saturday has no weekday service
+        assert.deepEqual(departures('2025-03-09T05:20:00Z').map(d => d.departsAt), []);
+    });
+
+    it('keeps scheduled times on local time across a DST change', () => {
+        // 8am on Saturday is EST, on Sunday (clocks went forward at 2am) EDT
+        assert.deepEqual(departures('2025-03-08T12:00:00Z').map(d => d.departsAt), ['2025-03-08T13:00:00.000Z']);
+        assert.deepEqual(departures('2025-03-09T11:00:00Z').map(d => d.departsAt), ['2025-03-09T12:00:00.000Z']);
+    });
+
+    it('follows calendar exceptions and reports door-to-door minutes', () => {
+        // July 4th runs the weekend service
+        const [holiday] = transit.forCrossing('holland-into', new Date('2025-07-04T11:00:00Z'));
+        assert.deepEqual(holiday.departures.map(d => d.departsAt), ['2025-07-04T12:00:00.000Z']);
+        assert.equal(holiday.doorToDoorMinutes, 83);
+    });
+});
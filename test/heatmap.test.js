@@ -0,0 +1,76 @@
+'use strict';
+
+require('./helpers');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+process.env.DISPLAY_TIMEZONE = 'America/New_York';
+const db = require('../db');
+
+const CROSSING = 'gwb-into';
+// A Wednesday: 14:00 UTC is 9am in New York and 3pm in Berlin
+const WEDNESDAY = Date.UTC(2025, 0, 8, 14, 0);
+const WAIT_TIMES = [20, 24, 31];
+
+// Occupied cells from the running totals and from scanning the readings,
+// which must always agree
+function heatmaps() {
+    const occupied = data => data.heatmap
+        .filter(cell => cell.sampleCount > 0)
+        .map(({ day, hour, avgTime, medianTime, sampleCount }) => ({ day, hour, avgTime, medianTime, sampleCount }));
+    return {
+        cells: occupied(db.getHistoricalData(CROSSING)),
+        scanned: occupied(db.getHistoricalData(CROSSING, { from: new Date(0) }))
+    };
+}
+
+// Run a script against this file's database in a process with another
+// display time zone, returning what it prints as JSON
+function runInZone(timeZone, script) {
+    const output = execFileSync(process.execPath, ['-e', `
+        const db = require(${JSON.stringify(path.join(__dirname, '..', 'db'))});
+        ${script}
+    `], { env: { ...process.env, DISPLAY_TIMEZONE: timeZone }, encoding: 'utf8' });
+    return JSON.parse(output.trim().split('\n').pop());
+}
+
+describe('heatmap running totals', () => {
+    before(() => {
+        WAIT_TIMES.forEach((waitTime, i) => db.addReading({
+            crossingId: CROSSING,
+            waitTime,
+            source: 'mock',
+            timestamp: new Date(WEDNESDAY + i * 10 * 60 * 1000)
+        }));
+    });
+
+    it('match a scan of the readings', () => {
+        const { cells, scanned } = heatmaps();
+        assert.deepEqual(cells, [{ day: 'Wed', hour: 9, avgTime: 25, medianTime: 24, sampleCount: 3 }]);
+        assert.deepEqual(cells, scanned);
+    });
+
+    it('are rebuilt when the display time zone changes', () => {
+        const result = runInZone('Europe/Berlin', `
+            const occupied = data => data.heatmap.filter(c => c.sampleCount > 0).map(c => [c.day, c.hour, c.sampleCount]);
+            console.log(JSON.stringify({
+                cells: occupied(db.getHistoricalData('${CROSSING}')),
+                scanned: occupied(db.getHistoricalData('${CROSSING}', { from: new Date(0) }))
+            }));
+        `);
+        assert.deepEqual(result.cells, [['Wed', 15, 3]]);
+        assert.deepEqual(result.cells, result.scanned);
+    });
+
+    it('lose rolled-out readings from the cells they were added to', () => {
+        const result = runInZone('Europe/Berlin', `
+            const now = new Date();
+            db.rollUpReadings(now);
+            db.rollUpHourly(now);
+            console.log(JSON.stringify(db.getHistoricalData('${CROSSING}').heatmap.filter(c => c.sampleCount !== 0)));
+        `);
+        assert.deepEqual(result, []);
+    });
+});
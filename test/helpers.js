@@ -0,0 +1,35 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+
+// Shared test setup. node --test runs each file in its own process, so
+// requiring this first gives every file a fresh database, the offline mock
+// provider and a known admin key before any app module reads the environment.
+const ADMIN_KEY = 'test-admin-key';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'commute-check-test-'));
+process.env.DB_PATH = path.join(tempDir, 'commute.db');
+process.env.TRAFFIC_PROVIDER = 'mock';
+process.env.ADMIN_API_KEY = ADMIN_KEY;
+process.on('exit', () => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Listen on a free port. Resolves to { baseUrl, close }
+ */
+async function listen(app) {
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = {
+    ADMIN_KEY,
+    tempDir,
+    listen
+};
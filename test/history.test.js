@@ -0,0 +1,78 @@
+'use strict';
+
+const { listen } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DISPLAY_TIMEZONE = 'America/New_York';
+const { app } = require('../app');
+const db = require('../db');
+
+const CROSSING = 'lincoln-out';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('history filters', () => {
+    let server;
+
+    // Occupied cells as "Day hour: avg (count)"
+    async function cells(query = '') {
+        const response = await fetch(`${server.baseUrl}/api/crossings/${CROSSING}/history${query}`);
+        assert.equal(response.status, 200);
+        const body = await response.json();
+        return body.heatmap
+            .filter(cell => cell.sampleCount > 0)
+            .map(cell => `${cell.day} ${cell.hour}: ${cell.avgTime} (${cell.sampleCount})`);
+    }
+
+    async function status(query) {
+        return (await fetch(`${server.baseUrl}/api/crossings/${CROSSING}/history${query}`)).status;
+    }
+
+    before(async () => {
+        const add = (waitTime, timestamp) => db.addReading({ crossingId: CROSSING, waitTime, source: 'mock', timestamp });
+        // 8am EST on two Mondays a week apart and the Saturday between them
+        add(20, new Date('2025-01-06T13:00:00Z'));
+        add(40, new Date('2025-01-11T13:00:00Z'));
+        add(30, new Date('2025-01-13T13:00:00Z'));
+        // One recent reading
+        add(50, new Date(Date.now() - 3 * DAY_MS));
+        server = await listen(app);
+    });
+
+    after(() => server.close());
+
+    it('averages every reading without filters', async () => {
+        const all = await cells();
+        assert.ok(all.includes('Mon 8: 25 (2)'));
+        assert.ok(all.includes('Sat 8: 40 (1)'));
+        assert.equal(all.length, 3);
+    });
+
+    it('limits to a date range, with to covering the whole day', async () => {
+        assert.deepEqual(await cells('?from=2025-01-06&to=2025-01-06'), ['Mon 8: 20 (1)']);
+        assert.deepEqual(await cells('?from=2025-01-07&to=2025-01-13'), ['Mon 8: 30 (1)', 'Sat 8: 40 (1)']);
+    });
+
+    it('limits to the last N weeks', async () => {
+        const recent = await cells('?weeks=2');
+        assert.equal(recent.length, 1);
+        assert.match(recent[0], /: 50 \(1\)$/);
+    });
+
+    it('keeps only weekdays or weekends', async () => {
+        assert.deepEqual(await cells('?to=2025-01-31&days=weekday'), ['Mon 8: 25 (2)']);
+        assert.deepEqual(await cells('?to=2025-01-31&days=weekend'), ['Sat 8: 40 (1)']);
+    });
+
+    it('weights recent weeks more with a half-life', async () => {
+        // The older Monday counts half as much as the newer one
+        assert.deepEqual(await cells('?to=2025-01-31&days=weekday&halfLifeDays=7'), ['Mon 8: 27 (2)']);
+    });
+
+    it('rejects invalid filters', async () => {
+        for (const query of ['?weeks=0', '?from=2025-01-01&weeks=2', '?days=holiday', '?from=2025-02-01&to=2025-01-01',
+            '?from=yesterday', '?halfLifeDays=-1']) {
+            assert.equal(await status(query), 400, query);
+        }
+    });
+});
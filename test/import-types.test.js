@@ -0,0 +1,59 @@
+'use strict';
+
+const { ADMIN_KEY, listen } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { app } = require('../app');
+
+// In a file of its own: imports share a limit of 10 calls per client, and
+// transfer.test.js uses most of it
+const CROSSING = 'holland-into';
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 10, 15, 0);
+
+function csv(i) {
+    return `crossingId,recordedAt,waitTime\n${CROSSING},${new Date(START + i * HOUR_MS).toISOString()},15\n`;
+}
+
+function ndjson(i) {
+    return JSON.stringify({ crossingId: CROSSING, recordedAt: new Date(START + i * HOUR_MS).toISOString(), waitTime: 15 });
+}
+
+describe('import content types', () => {
+    let server;
+
+    function importBody(body, type, query = '') {
+        return fetch(`${server.baseUrl}/api/admin/readings/import${query}`, {
+            method: 'POST',
+            headers: { 'Content-Type': type, 'x-api-key': ADMIN_KEY },
+            body
+        });
+    }
+
+    before(async () => {
+        server = await listen(app);
+    });
+
+    after(() => server.close());
+
+    const uploads = [
+        { body: csv(0), type: 'text/csv' },
+        { body: csv(1), type: 'text/csv; charset=utf-8' },
+        { body: ndjson(2), type: 'application/x-ndjson' },
+        { body: ndjson(3), type: 'application/jsonl' },
+        { body: csv(4), type: 'text/plain', query: '?format=csv' },
+        { body: ndjson(5), type: 'application/octet-stream', query: '?format=ndjson' }
+    ];
+    for (const { body, type, query = '' } of uploads) {
+        it(`imports ${type}${query}`, async () => {
+            const response = await importBody(body, type, query);
+            assert.equal(response.status, 200);
+            assert.equal((await response.json()).inserted, 1);
+        });
+    }
+
+    it('refuses a body with no format', async () => {
+        const response = await importBody(csv(6), 'text/plain');
+        assert.equal(response.status, 415);
+    });
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const { tempDir } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const Database = require('better-sqlite3');
+
+process.env.LEGACY_TIMEZONE = 'America/New_York';
+const { listMigrations, getStatus, migrate } = require('../migrate');
+
+const LEGACY_PATH = path.join(tempDir, 'legacy.db');
+
+describe('schema migrations', () => {
+    const migrations = listMigrations();
+    const latest = migrations[migrations.length - 1].version;
+    let db;
+
+    before(() => {
+        // A database from before migrations: the original table, no user_version
+        db = new Database(LEGACY_PATH);
+        db.exec(`
+            CREATE TABLE readings (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                crossing_id TEXT NOT NULL,
+                wait_time INTEGER NOT NULL,
+                recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            INSERT INTO readings (crossing_id, wait_time, recorded_at) VALUES ('holland-into', 25, '2025-01-08 09:00:00');
+        `);
+    });
+
+    after(() => db.close());
+
+    it('numbers the migrations 1, 2, 3... with no gaps', () => {
+        assert.deepEqual(migrations.map(m => m.version), migrations.map((_m, i) => i + 1));
+        assert.ok(migrations.every(m => typeof m.up === 'function' && m.description));
+    });
+
+    it('reports a legacy database as needing every migration', () => {
+        const status = getStatus(db);
+        assert.equal(status.currentVersion, 0);
+        assert.equal(status.latestVersion, latest);
+        assert.equal(status.pending.length, migrations.length);
+    });
+
+    it('rolls a dry run back', () => {
+        const result = migrate(db, { dryRun: true, log: () => {} });
+        assert.deepEqual(result.applied, []);
+        assert.equal(getStatus(db).currentVersion, 0);
+        const columns = db.prepare('PRAGMA table_info(readings)').all().map(c => c.name);
+        assert.deepEqual(columns, ['id', 'crossing_id', 'wait_time', 'recorded_at']);
+    });
+
+    it('backs up, then applies every migration and keeps the readings', () => {
+        const result = migrate(db, { log: () => {} });
+        assert.equal(result.applied.length, migrations.length);
+        assert.equal(result.currentVersion, latest);
+        assert.ok(fs.existsSync(`${LEGACY_PATH}.v0.bak`));
+
+        const reading = db.prepare('SELECT * FROM readings').get();
+        assert.equal(reading.wait_time, 25);
+        // Legacy local times are converted to UTC
+        assert.equal(reading.recorded_at, '2025-01-08 14:00:00');
+        assert.equal(reading.source, null);
+    });
+
+    it('does nothing once up to date, and refuses a newer schema', () => {
+        assert.deepEqual(migrate(db, { log: () => {} }).applied, []);
+
+        const newer = new Database(':memory:');
+        newer.pragma(`user_version = ${latest + 1}`);
+        assert.throws(() => migrate(newer, { log: () => {} }), /newer than this code supports/);
+        newer.close();
+    });
+
+    it('prints the status from the command line', () => {
+        const fresh = path.join(tempDir, 'fresh.db');
+        const output = execFileSync(process.execPath, [path.join(__dirname, '..', 'migrate.js'), 'status'], {
+            env: { ...process.env, DB_PATH: fresh },
+            encoding: 'utf8'
+        });
+        assert.match(output, new RegExp(`Schema version: 0 \\(latest ${latest}\\)`));
+        assert.match(output, /Pending migrations:\n {2}1 /);
+    });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+require('./helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DISPLAY_TIMEZONE = 'America/New_York';
+const db = require('../db');
+
+// Run an aggregate over rows of [value, histogram] (column1 and column2)
+function aggregate(expression, rows) {
+    const values = rows.map(() => '(?, ?)').join(', ');
+    return db.db.prepare(`SELECT ${expression} AS result FROM (VALUES ${values})`)
+        .get(...rows.flat()).result;
+}
+
+describe('percentile functions', () => {
+    const raw = [40, 10, 30, 20].map(value => [value, null]);
+
+    it('interpolate between the closest readings', () => {
+        assert.equal(aggregate('percentile(column1, 0)', raw), 10);
+        assert.equal(aggregate('percentile(column1, 50)', raw), 25);
+        assert.equal(aggregate('percentile(column1, 90)', raw), 37);
+        assert.equal(aggregate('percentile(column1, 100)', raw), 40);
+    });
+
+    it('skip nulls and return null with no readings', () => {
+        assert.equal(aggregate('percentile(column1, 50)', [...raw, [null, null]]), 25);
+        assert.equal(aggregate('percentile(column1, 50)', [[null, null]]), null);
+        assert.equal(aggregate('histogram_percentile(column1, column2, 50)', [[null, null]]), null);
+    });
+
+    it('give the same answer for rolled-up histograms as for the readings behind them', () => {
+        const mixed = [[10, null], [null, JSON.stringify({ 20: 1, 40: 1 })], [30, null]];
+        for (const p of [0, 25, 50, 90, 100]) {
+            assert.equal(
+                aggregate(`histogram_percentile(column1, column2, ${p})`, mixed),
+                aggregate(`percentile(column1, ${p})`, raw),
+                `p${p}`
+            );
+        }
+    });
+
+    it('merge histograms, dropping values that reach zero', () => {
+        const merged = db.db.prepare('SELECT merge_histograms(?, ?) AS result')
+            .get(JSON.stringify({ 5: 2, 7: 1 }), JSON.stringify({ 5: -2, 6: 1 })).result;
+        assert.deepEqual(JSON.parse(merged), { 6: 1, 7: 1 });
+    });
+});
+
+describe('heatmap cell spread', () => {
+    it('carries the median, p90, range and standard deviation', () => {
+        // Four Tuesdays at 5pm in New York (EST)
+        [10, 20, 30, 40].forEach((waitTime, week) => db.addReading({
+            crossingId: 'holland-out',
+            waitTime,
+            source: 'mock',
+            timestamp: new Date(Date.UTC(2025, 0, 7 + week * 7, 22, 15))
+        }));
+
+        for (const data of [db.getHistoricalData('holland-out'), db.getHistoricalData('holland-out', { from: new Date(0) })]) {
+            const cell = data.heatmap.find(c => c.sampleCount > 0);
+            assert.deepEqual(
+                { day: cell.day, hour: cell.hour, avg: cell.avgTime, median: cell.medianTime, p90: cell.p90Time,
+                    min: cell.minTime, max: cell.maxTime, stdDev: cell.stdDev },
+                { day: 'Tue', hour: 17, avg: 25, median: 25, p90: 37, min: 10, max: 40, stdDev: 11.2 }
+            );
+        }
+    });
+});
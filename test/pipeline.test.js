@@ -0,0 +1,117 @@
+'use strict';
+
+const { ADMIN_KEY, listen } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, refreshTrafficData } = require('../app');
+const crossings = require('../crossings');
+const db = require('../db');
+
+describe('refresh to heatmap', () => {
+    let server;
+    let results;
+
+    before(async () => {
+        server = await listen(app);
+        results = await refreshTrafficData();
+    });
+
+    after(() => server.close());
+
+    it('fetches every enabled crossing from the mock provider', () => {
+        assert.equal(results.length, crossings.list().length);
+        for (const result of results) {
+            assert.equal(typeof result.waitTime, 'number');
+            assert.equal(result.source, 'mock');
+        }
+    });
+
+    it('stores a reading per crossing', () => {
+        for (const crossing of crossings.list()) {
+            const latest = db.getLatest(crossing.id);
+            assert.ok(latest, `no reading stored for ${crossing.id}`);
+            assert.equal(latest.wait_time, results.find(r => r.crossingId === crossing.id).waitTime);
+        }
+    });
+
+    it('serves the cached readings from /api/crossings', async () => {
+        const response = await fetch(`${server.baseUrl}/api/crossings`);
+        assert.equal(response.status, 200);
+        const body = await response.json();
+        assert.equal(body.length, results.length);
+        for (const crossing of body) {
+            const result = results.find(r => r.crossingId === crossing.id);
+            assert.equal(crossing.waitTime, result.waitTime);
+            assert.ok(['Light', 'Moderate', 'Heavy'].includes(crossing.status));
+        }
+    });
+
+    it('adds the reading to the crossing heatmap', async () => {
+        const result = results[0];
+        const response = await fetch(`${server.baseUrl}/api/crossings/${result.crossingId}/history`);
+        assert.equal(response.status, 200);
+        const body = await response.json();
+        const cells = body.heatmap.filter(cell => cell.sampleCount > 0);
+        assert.equal(cells.length, 1);
+        assert.equal(cells[0].sampleCount, 1);
+        assert.equal(cells[0].avgTime, result.waitTime);
+    });
+
+    it('answers the history revalidation with 304 until the next reading', async () => {
+        const url = `${server.baseUrl}/api/crossings/${results[0].crossingId}/history`;
+        const first = await fetch(url);
+        const etag = first.headers.get('etag');
+        assert.ok(etag);
+
+        // fetch() adds Cache-Control: no-cache to conditional requests unless
+        // one is given, which would skip the ETag check as a browser reload does
+        const revalidate = { 'If-None-Match': etag, 'Cache-Control': 'max-age=0' };
+        const unchanged = await fetch(url, { headers: revalidate });
+        assert.equal(unchanged.status, 304);
+
+        await fetch(`${server.baseUrl}/api/refresh`, { method: 'POST', headers: { 'x-api-key': ADMIN_KEY } });
+        const changed = await fetch(url, { headers: revalidate });
+        assert.equal(changed.status, 200);
+    });
+});
+
+describe('median thresholds', () => {
+    let server;
+    let crossing;
+    let thresholdsBefore;
+    const getHourStats = db.getHourStats;
+    let scans = 0;
+
+    before(async () => {
+        server = await listen(app);
+        crossing = crossings.get('gwb-into');
+        thresholdsBefore = crossing.thresholds;
+        crossing.thresholds = { mode: 'median', moderate: 1.2, heavy: 1.5 };
+        // Stats only count readings from before the current second, so add
+        // one earlier in the hour
+        const hourStart = Math.floor(Date.now() / 3600000) * 3600000;
+        const timestamp = new Date(Math.max(Date.now() - 60 * 1000, hourStart));
+        db.addReading({ crossingId: crossing.id, waitTime: 20, source: 'mock', timestamp });
+        db.getHourStats = (...args) => {
+            scans++;
+            return getHourStats(...args);
+        };
+    });
+
+    after(() => {
+        crossing.thresholds = thresholdsBefore;
+        db.getHourStats = getHourStats;
+        return server.close();
+    });
+
+    it('scans the history once per refresh, not on every request', async () => {
+        await refreshTrafficData();
+        const scansAfterRefresh = scans;
+
+        for (let i = 0; i < 3; i++) {
+            const body = await (await fetch(`${server.baseUrl}/api/crossings`)).json();
+            assert.equal(body.find(c => c.id === crossing.id).thresholds.mode, 'median');
+        }
+        assert.equal(scans, scansAfterRefresh);
+    });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const { listen } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DISPLAY_TIMEZONE = 'America/New_York';
+const { app } = require('../app');
+const db = require('../db');
+
+const CROSSING = 'holland-into';
+
+describe('readings time series', () => {
+    let server;
+
+    async function series(query) {
+        const response = await fetch(`${server.baseUrl}/api/crossings/${CROSSING}/readings${query}`);
+        return { status: response.status, body: await response.json() };
+    }
+
+    before(async () => {
+        const add = (waitTime, timestamp, source = 'mock') =>
+            db.addReading({ crossingId: CROSSING, waitTime, source, timestamp: new Date(timestamp) });
+        add(20, '2025-01-06T13:02:00Z');
+        add(30, '2025-01-06T13:10:00Z');
+        add(40, '2025-01-06T13:20:00Z');
+        add(50, '2025-01-06T14:05:00Z');
+        add(99, '2025-01-06T14:06:00Z', 'manual');
+        // Still Monday evening in New York
+        add(60, '2025-01-07T04:30:00Z');
+        server = await listen(app);
+    });
+
+    after(() => server.close());
+
+    it('buckets readings into quarter hours with avg, min and max', async () => {
+        const { status, body } = await series('?from=2025-01-06T13:00:00Z&to=2025-01-06T15:00:00Z&bucket=15m&exclude=manual');
+        assert.equal(status, 200);
+        assert.equal(body.bucket, '15m');
+        assert.deepEqual(body.points, [
+            { time: '2025-01-06T13:00:00.000Z', avg: 25, min: 20, max: 30, count: 2 },
+            { time: '2025-01-06T13:15:00.000Z', avg: 40, min: 40, max: 40, count: 1 },
+            { time: '2025-01-06T14:00:00.000Z', avg: 50, min: 50, max: 50, count: 1 }
+        ]);
+    });
+
+    it('buckets readings into hours and keeps other sources unless excluded', async () => {
+        const { body } = await series('?from=2025-01-06T13:00:00Z&to=2025-01-06T15:00:00Z&bucket=1h');
+        assert.deepEqual(body.points, [
+            { time: '2025-01-06T13:00:00.000Z', avg: 30, min: 20, max: 40, count: 3 },
+            { time: '2025-01-06T14:00:00.000Z', avg: 74.5, min: 50, max: 99, count: 2 }
+        ]);
+    });
+
+    it('buckets days by the display time zone', async () => {
+        const { body } = await series('?from=2025-01-06&to=2025-01-07&bucket=1d&exclude=manual');
+        assert.deepEqual(body.points, [
+            { time: '2025-01-06T05:00:00.000Z', avg: 40, min: 20, max: 60, count: 5 }
+        ]);
+    });
+
+    it('returns an empty series for a quiet range', async () => {
+        const { status, body } = await series('?from=2024-06-01&to=2024-06-02&bucket=1h');
+        assert.equal(status, 200);
+        assert.deepEqual(body.points, []);
+    });
+
+    it('rejects bad buckets and ranges', async () => {
+        for (const query of ['?bucket=5m', '?from=2020-01-01&to=2025-01-01&bucket=15m',
+            '?from=2025-01-07&to=2025-01-06T12:00:00Z', '?weeks=0']) {
+            assert.equal((await series(query)).status, 400, query);
+        }
+        const response = await fetch(`${server.baseUrl}/api/crossings/nowhere/readings`);
+        assert.equal(response.status, 400);
+    });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const { listen } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DISPLAY_TIMEZONE = 'America/New_York';
+const { app } = require('../app');
+const db = require('../db');
+
+describe('departure recommendations', () => {
+    let server;
+
+    async function recommendation(query) {
+        const response = await fetch(`${server.baseUrl}/api/recommend${query}`);
+        return { status: response.status, body: await response.json() };
+    }
+
+    const summary = windows => windows.map(w => `${w.departAt} ${w.expectedTime}/${w.p90Time}`);
+
+    before(async () => {
+        const add = (crossingId, waitTime, timestamp) =>
+            db.addReading({ crossingId, waitTime, source: 'manual', timestamp: new Date(timestamp) });
+        // Tuesday morning in New York
+        add('lincoln-into', 40, '2025-01-07T12:30:00Z');
+        add('lincoln-into', 25, '2025-01-07T12:45:00Z');
+        add('lincoln-into', 30, '2025-01-07T13:00:00Z');
+        add('lincoln-into', 50, '2025-01-07T13:30:00Z');
+        add('holland-into', 15, '2025-01-07T12:45:00Z');
+        // Wednesday readings stay out of a Tuesday plan
+        add('lincoln-into', 5, '2025-01-08T12:45:00Z');
+        // Other direction
+        add('lincoln-out', 5, '2025-01-07T12:45:00Z');
+        server = await listen(app);
+    });
+
+    after(() => server.close());
+
+    it('ranks departures that arrive on time even on a bad day', async () => {
+        const { status, body } = await recommendation('?crossing=lincoln-into&arriveBy=09:00&day=Tue');
+        assert.equal(status, 200);
+        assert.equal(body.day, 'Tue');
+        assert.equal(body.arriveBy, '09:00');
+        // Leaving at 08:30 takes 50 minutes and misses 09:00
+        assert.deepEqual(summary(body.windows), ['07:45 25/25', '08:00 30/30', '07:30 40/40']);
+        assert.equal(body.latestSafeDeparture, '08:00');
+        assert.equal(body.windows[0].departBy, '08:00');
+        assert.equal(body.windows[0].expectedArrival, '08:10');
+    });
+
+    it('ranks departures after a time', async () => {
+        const { body } = await recommendation('?crossing=lincoln-into&departAfter=07:40&day=tuesday');
+        assert.equal(body.departAfter, '07:40');
+        assert.deepEqual(summary(body.windows), ['07:45 25/25', '08:00 30/30', '08:30 50/50']);
+        assert.equal(body.latestSafeDeparture, null);
+    });
+
+    it('compares the other crossings in the same direction', async () => {
+        const { body } = await recommendation('?crossing=lincoln-into&arriveBy=09:00&day=Tue');
+        const ids = body.alternatives.map(alternative => alternative.id);
+        assert.equal(ids[0], 'holland-into');
+        assert.equal(body.alternatives[0].best.departAt, '07:45');
+        assert.equal(body.alternatives[0].best.expectedTime, 15);
+        assert.ok(!ids.includes('lincoln-into'));
+        assert.ok(ids.every(id => id.endsWith('-into')));
+        // Crossings without data go last
+        assert.ok(body.alternatives.slice(1).every(alternative => alternative.best === null));
+    });
+
+    it('returns no windows for a day without data', async () => {
+        const { body } = await recommendation('?crossing=lincoln-into&arriveBy=09:00&day=Sun');
+        assert.deepEqual(body.windows, []);
+        assert.equal(body.latestSafeDeparture, null);
+    });
+
+    it('rejects invalid queries', async () => {
+        for (const query of ['?arriveBy=09:00', '?crossing=nowhere&arriveBy=09:00',
+            '?crossing=lincoln-into', '?crossing=lincoln-into&arriveBy=09:00&departAfter=07:00',
+            '?crossing=lincoln-into&arriveBy=25:00', '?crossing=lincoln-into&arriveBy=09:00&day=Funday']) {
+            assert.equal((await recommendation(query)).status, 400, query);
+        }
+    });
+});
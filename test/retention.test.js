@@ -0,0 +1,121 @@
+'use strict';
+
+require('./helpers');
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DISPLAY_TIMEZONE = 'America/New_York';
+process.env.RETENTION_RAW_DAYS = '90';
+process.env.RETENTION_HOURLY_DAYS = '730';
+const db = require('../db');
+const retention = require('../retention');
+
+const CROSSING = 'lincoln-into';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date(Date.UTC(2025, 6, 1, 12, 0));
+// A Wednesday 100 days earlier, 8:00-8:14am in New York (EDT)
+const OLD = Date.UTC(2025, 2, 26, 12, 0);
+const WEDNESDAY = 3;
+const WAIT_TIMES = [18, 22, 25, 40];
+
+// Everything grouped by weekday and hour for the old readings
+function stats(profileId) {
+    return {
+        slot: db.getDepartureProfile(CROSSING, WEDNESDAY, { slotMinutes: 15 }).find(s => s.slotMinute === 8 * 60),
+        hour: db.getHourStats(CROSSING, WEDNESDAY, 8, { before: NOW }),
+        commute: db.getCommuteUsualTimes(profileId, WEDNESDAY, 8).get(CROSSING),
+        series: db.getCommuteSeries(profileId, { from: new Date(OLD - DAY_MS), to: NOW, bucket: '1d' })[CROSSING]
+    };
+}
+
+describe('retention roll-ups', () => {
+    let profileId;
+    let before90Days;
+
+    before(() => {
+        profileId = db.createCommuteProfile({
+            name: 'Office',
+            origin: '40.7357,-74.0300',
+            destination: '40.7549,-73.9840',
+            crossingIds: [CROSSING]
+        }).id;
+        WAIT_TIMES.forEach((waitTime, i) => {
+            const timestamp = new Date(OLD + i * 3 * 60 * 1000);
+            db.addReading({ crossingId: CROSSING, waitTime, source: 'mock', timestamp });
+            db.addCommuteReading({ profileId, crossingId: CROSSING, travelTime: waitTime + 10, source: 'mock', timestamp });
+        });
+        before90Days = stats(profileId);
+    });
+
+    it('rolls raw readings and commute travel times up after RETENTION_RAW_DAYS', () => {
+        const ran = retention.runMaintenance({ now: NOW });
+        assert.equal(ran.rollup.readings, WAIT_TIMES.length);
+        assert.equal(ran.rollup.commuteReadings, WAIT_TIMES.length);
+        assert.deepEqual(db.getRecentReadings(CROSSING, new Date(0)), []);
+    });
+
+    it('keeps the weekday and hour stats once the raw readings are gone', () => {
+        const after90Days = stats(profileId);
+        assert.equal(before90Days.slot.sampleCount, WAIT_TIMES.length);
+        assert.deepEqual(after90Days, before90Days);
+    });
+
+    it('drops readings from the heatmap totals after RETENTION_HOURLY_DAYS', () => {
+        const heatmap = () => db.getHistoricalData(CROSSING).heatmap.find(c => c.day === 'Wed' && c.hour === 8);
+        assert.equal(heatmap().sampleCount, WAIT_TIMES.length);
+
+        const ran = retention.runMaintenance({ now: new Date(NOW.getTime() + 731 * DAY_MS) });
+        assert.equal(ran.rollup.prunedCommuteHourlyRows, 1);
+        assert.equal(heatmap().sampleCount, 0);
+        assert.equal(db.getHourStats(CROSSING, WEDNESDAY, 8).sampleCount, 0);
+        assert.equal(db.getCommuteUsualTimes(profileId, WEDNESDAY, 8).size, 0);
+    });
+});
+
+describe('log retention', () => {
+    // After the roll-up runs above, so maintenance is due again
+    const START = NOW.getTime() + 800 * DAY_MS;
+    const at = days => ({ now: new Date(START + days * DAY_MS) });
+    let incidentId;
+
+    before(() => {
+        // Logs are stamped with the clock
+        mock.timers.enable({ apis: ['Date'], now: START });
+        db.addAuditEntry({ method: 'GET', path: '/api/admin/alerts', scope: 'admin', statusCode: 200 });
+        db.addDelivery({ ruleId: 1, event: 'test', crossingId: CROSSING, payload: {} });
+        incidentId = db.openIncident({
+            crossingId: CROSSING, severity: 'minor', at: new Date(), waitTime: 40, expectedTime: 20, p90Time: 30, zScore: 2
+        });
+        db.endIncident(incidentId, new Date());
+        mock.timers.reset();
+    });
+
+    it('prunes webhook deliveries after RETENTION_DELIVERY_DAYS', () => {
+        assert.equal(retention.runMaintenance(at(30)).rollup.prunedDeliveries, 0);
+        assert.equal(retention.runMaintenance(at(100)).rollup.prunedDeliveries, 1);
+        assert.deepEqual(db.getDeliveries(), []);
+        assert.equal(db.getAuditLog().length, 1);
+    });
+
+    it('prunes the audit log after RETENTION_AUDIT_DAYS and keeps incidents by default', () => {
+        const ran = retention.runMaintenance(at(400));
+        assert.equal(ran.rollup.prunedAuditEntries, 1);
+        assert.equal(ran.rollup.prunedIncidents, 0);
+        assert.deepEqual(db.getAuditLog(), []);
+        assert.ok(db.getIncident(incidentId));
+    });
+});
+
+describe('retention settings', () => {
+    it('rejects windows that do not outlast the level before them', () => {
+        assert.doesNotThrow(() => retention.assertValidConfig());
+        assert.throws(
+            () => retention.assertValidConfig({ rawDays: 90, hourlyDays: 30, dailyDays: 0 }),
+            /RETENTION_HOURLY_DAYS must be longer/
+        );
+        assert.throws(
+            () => retention.assertValidConfig({ rawDays: 0, hourlyDays: 730, dailyDays: 0 }),
+            /need RETENTION_RAW_DAYS/
+        );
+    });
+});
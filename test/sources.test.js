@@ -0,0 +1,68 @@
+'use strict';
+
+const { ADMIN_KEY, listen } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, refreshTrafficData } = require('../app');
+const db = require('../db');
+
+const CROSSING = 'holland-into';
+
+// Newest stored reading, with every column
+function latestReading() {
+    return db.getReadingsPage({ crossingId: CROSSING }).readings.pop();
+}
+
+describe('reading sources', () => {
+    let server;
+    let result;
+
+    async function heatmapCount(query = '') {
+        const response = await fetch(`${server.baseUrl}/api/crossings/${CROSSING}/history${query}`);
+        assert.equal(response.status, 200);
+        const body = await response.json();
+        return body.heatmap.reduce((sum, cell) => sum + cell.sampleCount, 0);
+    }
+
+    before(async () => {
+        server = await listen(app);
+        result = (await refreshTrafficData()).find(r => r.crossingId === CROSSING);
+    });
+
+    after(() => server.close());
+
+    it('stores the baseline time, distance and source of fetched readings', () => {
+        const latest = latestReading();
+        assert.equal(latest.waitTime, result.waitTime);
+        assert.equal(latest.baselineTime, result.baselineTime);
+        assert.equal(latest.distanceMiles, parseFloat(result.distance));
+        assert.equal(latest.source, 'mock');
+    });
+
+    it('stores readings posted by hand as manual', async () => {
+        const response = await fetch(`${server.baseUrl}/api/readings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-api-key': ADMIN_KEY },
+            body: JSON.stringify({ crossingId: CROSSING, waitTime: 33 })
+        });
+        assert.equal(response.status, 200);
+
+        const latest = latestReading();
+        assert.equal(latest.waitTime, 33);
+        assert.equal(latest.source, 'manual');
+        assert.equal(latest.baselineTime, null);
+    });
+
+    it('leaves excluded sources out of the heatmap', async () => {
+        // The manual reading was stored this second; history counts it once it's past
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        assert.equal(await heatmapCount(), 2);
+        assert.equal(await heatmapCount('?exclude=mock'), 1);
+        assert.equal(await heatmapCount('?exclude=mock,manual'), 0);
+    });
+
+    it('rejects unknown sources', async () => {
+        const response = await fetch(`${server.baseUrl}/api/crossings/${CROSSING}/history?exclude=mock,satellite`);
+        assert.equal(response.status, 400);
+    });
+});
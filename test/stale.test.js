@@ -0,0 +1,73 @@
+'use strict';
+
+const { listen } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mock = require('../providers/mock');
+const { app, refreshTrafficData } = require('../app');
+const db = require('../db');
+
+const MINUTE_MS = 60 * 1000;
+const FAILING = ['holland-into', 'lincoln-into'];
+
+describe('last known good fallback', () => {
+    const fetchTravelTime = mock.fetchTravelTime;
+    let server;
+    let body;
+
+    before(async () => {
+        db.addReading({
+            crossingId: 'holland-into',
+            waitTime: 42,
+            baselineTime: 12,
+            source: 'mock',
+            timestamp: new Date(Date.now() - 25 * MINUTE_MS)
+        });
+        // Too old to fall back to
+        db.addReading({
+            crossingId: 'lincoln-into',
+            waitTime: 30,
+            source: 'mock',
+            timestamp: new Date(Date.now() - 2 * 24 * 60 * MINUTE_MS)
+        });
+
+        mock.fetchTravelTime = async (route, options) => {
+            if (FAILING.includes(route.id)) throw new Error('API error: UNKNOWN_ERROR');
+            return fetchTravelTime(route, options);
+        };
+        await refreshTrafficData();
+
+        server = await listen(app);
+        body = await (await fetch(`${server.baseUrl}/api/crossings`)).json();
+    });
+
+    after(() => {
+        mock.fetchTravelTime = fetchTravelTime;
+        return server.close();
+    });
+
+    it('serves the last stored reading, marked stale with its age', () => {
+        const holland = body.find(c => c.id === 'holland-into');
+        assert.equal(holland.waitTime, 42);
+        assert.equal(holland.baselineTime, 12);
+        assert.equal(holland.stale, true);
+        assert.equal(holland.ageMinutes, 25);
+        assert.equal(holland.status, 'Heavy');
+        assert.equal(holland.error, 'API error: UNKNOWN_ERROR');
+    });
+
+    it('shows Unknown when the last reading is more than a day old', () => {
+        const lincoln = body.find(c => c.id === 'lincoln-into');
+        assert.equal(lincoln.waitTime, null);
+        assert.equal(lincoln.status, 'Unknown');
+        assert.equal(lincoln.stale, false);
+    });
+
+    it('serves fresh readings for the crossings that answered', () => {
+        for (const crossing of body.filter(c => !FAILING.includes(c.id))) {
+            assert.equal(crossing.stale, false);
+            assert.equal(typeof crossing.waitTime, 'number');
+            assert.equal(crossing.ageMinutes, undefined);
+        }
+    });
+});
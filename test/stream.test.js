@@ -0,0 +1,107 @@
+'use strict';
+
+const { listen } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { TextDecoder } = require('util');
+
+const { app, refreshTrafficData } = require('../app');
+const crossings = require('../crossings');
+const db = require('../db');
+const alerts = require('../alerts');
+
+// Subscribe to /api/stream. next(event) resolves with the data of the next
+// event of that type; the retry hint is reported as a "retry" event.
+async function subscribe(baseUrl) {
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/api/stream`, { signal: controller.signal });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    async function nextMessage() {
+        while (!buffer.includes('\n\n')) {
+            const { value, done } = await reader.read();
+            if (done) throw new Error('Stream ended');
+            buffer += decoder.decode(value, { stream: true });
+        }
+        const end = buffer.indexOf('\n\n');
+        const message = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        const fields = Object.fromEntries(message.split('\n').map(line => {
+            const colon = line.indexOf(': ');
+            return [line.slice(0, colon), line.slice(colon + 2)];
+        }));
+        return fields.retry !== undefined
+            ? { event: 'retry', data: Number(fields.retry) }
+            : { event: fields.event, data: JSON.parse(fields.data) };
+    }
+
+    return {
+        response,
+        async next(event) {
+            for (;;) {
+                const message = await nextMessage();
+                if (message.event === event) return message.data;
+            }
+        },
+        close: () => controller.abort()
+    };
+}
+
+describe('live update stream', () => {
+    let server;
+    let webhook;
+
+    before(async () => {
+        server = await listen(app);
+        webhook = await listen(http.createServer((req, res) => res.end()));
+    });
+
+    after(async () => {
+        await webhook.close();
+        await server.close();
+    });
+
+    it('sends crossings after every refresh', async () => {
+        const stream = await subscribe(server.baseUrl);
+        assert.equal(stream.response.status, 200);
+        assert.equal(stream.response.headers.get('content-type'), 'text/event-stream');
+        assert.equal(stream.response.headers.get('cache-control'), 'no-cache');
+        // Nothing cached yet, so the retry hint comes first
+        assert.equal(await stream.next('retry'), 5000);
+
+        const update = stream.next('crossings');
+        await refreshTrafficData();
+        const payload = await update;
+        assert.deepEqual(payload.map(c => c.id), crossings.list().map(c => c.id));
+        assert.ok(payload.every(c => typeof c.waitTime === 'number' && typeof c.status === 'string'));
+        stream.close();
+    });
+
+    it('sends the cached crossings as soon as a client connects', async () => {
+        const stream = await subscribe(server.baseUrl);
+        const current = await (await fetch(`${server.baseUrl}/api/crossings`)).json();
+        assert.deepEqual(await stream.next('crossings'), current);
+        stream.close();
+    });
+
+    it('sends alerts without the private rule details', async () => {
+        const { rule } = alerts.validateRule({
+            name: 'Always', crossingId: 'lincoln-into', condition: 'wait_above', threshold: 1,
+            webhookUrl: `${webhook.baseUrl}/hook`, cooldownMinutes: 0
+        });
+        db.createAlertRule(rule);
+
+        const stream = await subscribe(server.baseUrl);
+        const alert = stream.next('alert');
+        await refreshTrafficData();
+        const data = await alert;
+        assert.equal(data.crossing.id, 'lincoln-into');
+        assert.match(data.message, /over your 1 min limit/);
+        assert.equal(data.rule, undefined);
+        stream.close();
+    });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+require('./helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DISPLAY_TIMEZONE = 'America/New_York';
+const timezone = require('../timezone');
+const db = require('../db');
+
+const ZONE = 'America/New_York';
+
+describe('display time zone', () => {
+    it('knows the offset on either side of DST', () => {
+        assert.equal(timezone.getOffsetMinutes(new Date('2025-01-15T12:00:00Z'), ZONE), -300);
+        assert.equal(timezone.getOffsetMinutes(new Date('2025-07-15T12:00:00Z'), ZONE), -240);
+        assert.equal(timezone.getOffsetMinutes(new Date('2025-07-15T12:00:00Z'), 'UTC'), 0);
+    });
+
+    it('converts stored UTC times to wall-clock times across DST changes', () => {
+        // Clocks go forward at 2am on March 9th, 2025...
+        assert.equal(timezone.toLocalString('2025-03-09 06:59:59'), '2025-03-09 01:59:59');
+        assert.equal(timezone.toLocalString('2025-03-09 07:00:00'), '2025-03-09 03:00:00');
+        // ...and back at 2am on November 2nd, so 1:30am happens twice
+        assert.equal(timezone.toLocalString('2025-11-02 05:30:00'), '2025-11-02 01:30:00');
+        assert.equal(timezone.toLocalString('2025-11-02 06:30:00'), '2025-11-02 01:30:00');
+        assert.equal(timezone.toLocalString(null), null);
+    });
+
+    it('converts wall-clock times back to UTC, taking the first of repeated times', () => {
+        assert.equal(timezone.localToUtcString('2025-01-08 09:00:00', ZONE), '2025-01-08 14:00:00');
+        assert.equal(timezone.localToUtcString('2025-07-08 09:00:00', ZONE), '2025-07-08 13:00:00');
+        assert.equal(timezone.localToUtcString('2025-11-02 01:30:00', ZONE), '2025-11-02 05:30:00');
+        assert.equal(timezone.localToUtcString('2025-07-01 08:00:00', 'Europe/Berlin'), '2025-07-01 06:00:00');
+    });
+
+    it('finds the local calendar day of an instant', () => {
+        assert.equal(timezone.toLocalDay(new Date('2025-03-09T04:59:59Z')), '2025-03-08');
+        assert.equal(timezone.toLocalDay(new Date('2025-03-09T05:00:00Z')), '2025-03-09');
+        assert.equal(timezone.toLocalDay(new Date('2025-11-02T04:30:00Z')), '2025-11-02');
+        assert.equal(timezone.toLocalDay(new Date('2025-11-03T04:30:00Z')), '2025-11-02');
+    });
+
+    it('stores UTC and round-trips it', () => {
+        const date = new Date('2025-03-09T07:15:42.500Z');
+        assert.equal(timezone.toUtcString(date), '2025-03-09 07:15:42');
+        assert.equal(timezone.parseUtc('2025-03-09 07:15:42').toISOString(), '2025-03-09T07:15:42.000Z');
+    });
+
+    it('rejects unknown zones', () => {
+        assert.throws(() => timezone.assertValidTimeZone('America/Nowhere'), /Unknown time zone "America\/Nowhere"/);
+        assert.doesNotThrow(() => timezone.assertValidTimeZone('Europe/Berlin'));
+    });
+
+    it('puts 8am readings in the 8am heatmap cell on both sides of DST', () => {
+        // Wednesdays before and after clocks went forward: 8am EST, then 8am EDT
+        db.addReading({ crossingId: 'gwb-out', waitTime: 20, source: 'mock', timestamp: new Date('2025-03-05T13:00:00Z') });
+        db.addReading({ crossingId: 'gwb-out', waitTime: 30, source: 'mock', timestamp: new Date('2025-03-12T12:00:00Z') });
+
+        const cells = db.getHistoricalData('gwb-out').heatmap.filter(cell => cell.sampleCount > 0);
+        assert.deepEqual(cells.map(({ day, hour, sampleCount, avgTime }) => ({ day, hour, sampleCount, avgTime })), [
+            { day: 'Wed', hour: 8, sampleCount: 2, avgTime: 25 }
+        ]);
+    });
+});
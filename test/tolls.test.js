@@ -0,0 +1,161 @@
+'use strict';
+
+const { listen, tempDir } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+process.env.DISPLAY_TIMEZONE = 'America/New_York';
+const { app } = require('../app');
+const db = require('../db');
+const tolls = require('../tolls');
+
+const SHIPPED = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'tolls.json'), 'utf8'));
+const [SUN, MON, , , THU, FRI, SAT] = [0, 1, 2, 3, 4, 5, 6];
+const clock = (hours, minutes = 0) => hours * 60 + minutes;
+const CAR_EZPASS = { vehicle: 'car', payment: 'ezpass' };
+
+describe('tolls', () => {
+    describe('validateTolls', () => {
+        it('accepts the shipped schedule', () => {
+            assert.deepEqual(tolls.validateTolls(SHIPPED), []);
+        });
+
+        it('reports missing rates, bad periods and double-priced crossings', () => {
+            const [panynj, verrazzano] = SHIPPED.schedules;
+            const problems = tolls.validateTolls({
+                ...SHIPPED,
+                currency: 'dollars',
+                tollFree: [...SHIPPED.tollFree, 'gwb-into'],
+                schedules: [
+                    {
+                        ...panynj,
+                        periods: [{ name: 'peak', days: ['Monday'], from: '6am', to: '10:00' }],
+                        rates: { ...panynj.rates, car: { ezpass: { peak: 16.06 }, mail: -1 } }
+                    },
+                    verrazzano
+                ]
+            });
+            assert.deepEqual(problems, [
+                'currency must be a three-letter code such as USD',
+                'panynj.crossingIds: gwb-into is already priced elsewhere',
+                'panynj.periods[0].days must be a list of: Sun, Mon, Tue, Wed, Thu, Fri, Sat',
+                'panynj.periods[0].from must be a time like 06:00',
+                'panynj.rates.car.ezpass.offPeak must be an amount of 0 or more',
+                'panynj.rates.car.mail must be an amount or an object of amounts by period'
+            ]);
+
+            const reserved = { ...panynj, periods: [{ name: 'offPeak', days: ['Mon'], from: '06:00', to: '10:00' }] };
+            assert.ok(tolls.validateTolls({ ...SHIPPED, schedules: [reserved, verrazzano] })
+                .includes('panynj.periods[0].name must be letters only and not "offPeak"'));
+        });
+
+        it('throws on load with every problem listed', () => {
+            const file = path.join(tempDir, 'bad-tolls.json');
+            fs.writeFileSync(file, JSON.stringify({ ...SHIPPED, vehicleClasses: [] }));
+            assert.throws(() => tolls.load(file), /Invalid toll config .*\n {2}vehicleClasses must list at least one/);
+        });
+    });
+
+    describe('periods', () => {
+        before(() => {
+            const file = path.join(tempDir, 'tolls.json');
+            fs.writeFileSync(file, JSON.stringify({
+                ...SHIPPED,
+                schedules: [{
+                    ...SHIPPED.schedules[0],
+                    periods: [
+                        ...SHIPPED.schedules[0].periods,
+                        { name: 'night', days: ['Fri'], from: '22:00', to: '02:00' }
+                    ],
+                    rates: {
+                        car: { ezpass: { peak: 16.06, night: 9.5, offPeak: 14.06 }, mail: 19.78 },
+                        motorcycle: { ezpass: { peak: 15.06, night: 8.5, offPeak: 13.06 }, mail: 18.78 },
+                        'truck-2': { ezpass: { peak: 40, night: 30, offPeak: 38 }, mail: 47 }
+                    }
+                }, SHIPPED.schedules[1]]
+            }));
+            tolls.load(file);
+        });
+
+        after(() => tolls.load());
+
+        const period = (day, minute) => tolls.quote('lincoln-into', day, minute, CAR_EZPASS).period;
+
+        it('switches between peak and off-peak at the period edges', () => {
+            assert.equal(period(MON, clock(5, 59)), 'offPeak');
+            assert.equal(period(MON, clock(6)), 'peak');
+            assert.equal(period(MON, clock(9, 59)), 'peak');
+            assert.equal(period(MON, clock(10)), 'offPeak');
+            assert.equal(period(SAT, clock(9)), 'offPeak');
+            assert.equal(period(SUN, clock(12)), 'peak');
+            assert.deepEqual(tolls.quote('lincoln-into', MON, clock(8), CAR_EZPASS),
+                { amount: 16.06, currency: 'USD', period: 'peak' });
+        });
+
+        it('runs overnight periods into the next morning', () => {
+            assert.equal(period(FRI, clock(21, 59)), 'offPeak');
+            assert.equal(period(FRI, clock(22)), 'night');
+            assert.equal(period(SAT, clock(1, 59)), 'night');
+            assert.equal(period(SAT, clock(2)), 'offPeak');
+            // Only the morning after a listed day
+            assert.equal(period(FRI, clock(1)), 'offPeak');
+            assert.equal(period(THU, clock(23)), 'offPeak');
+            assert.equal(tolls.quote('lincoln-into', SAT, clock(1), CAR_EZPASS).amount, 9.5);
+        });
+
+        it('charges flat rates, toll-free crossings and unknown crossings', () => {
+            assert.deepEqual(tolls.quote('lincoln-into', MON, clock(8), { vehicle: 'car', payment: 'mail' }),
+                { amount: 19.78, currency: 'USD', period: 'peak' });
+            assert.deepEqual(tolls.quote('lincoln-out', MON, clock(8), CAR_EZPASS),
+                { amount: 0, currency: 'USD', period: null });
+            assert.equal(tolls.quote('nowhere', MON, clock(8), CAR_EZPASS), null);
+        });
+    });
+
+    describe('parsePreference', () => {
+        it('applies defaults and rejects unknown choices', () => {
+            assert.deepEqual(tolls.parsePreference({}), { preference: CAR_EZPASS });
+            assert.deepEqual(tolls.parsePreference({ payment: 'mail' }).preference, { vehicle: 'car', payment: 'mail' });
+            assert.match(tolls.parsePreference({ vehicle: 'bus' }).error, /vehicle must be one of/);
+            assert.match(tolls.parsePreference({ payment: 'cash' }).error, /payment must be one of/);
+        });
+    });
+
+    describe('endpoints', () => {
+        let server;
+
+        before(async () => {
+            // Tuesday 08:00 in New York
+            db.addReading({ crossingId: 'lincoln-into', waitTime: 30, source: 'manual', timestamp: new Date('2025-01-07T13:00:00Z') });
+            server = await listen(app);
+        });
+        after(() => server.close());
+
+        it('adds tolls to the crossing cards', async () => {
+            const cards = await (await fetch(`${server.baseUrl}/api/crossings`)).json();
+            const inbound = cards.find(c => c.id === 'lincoln-into');
+            assert.ok([14.06, 16.06].includes(inbound.toll.amount));
+            assert.equal(inbound.toll.rates.car.mail, 19.78);
+            assert.equal(cards.find(c => c.id === 'lincoln-out').toll.amount, 0);
+        });
+
+        it('prices recommendations for the chosen vehicle and payment', async () => {
+            const response = await fetch(`${server.baseUrl}/api/recommend?crossing=lincoln-into&departAfter=07:00&day=Tue&vehicle=truck-2`);
+            const body = await response.json();
+            assert.deepEqual(body.tollPreference, { vehicle: 'truck-2', payment: 'ezpass' });
+            assert.equal(body.windows[0].departAt, '08:00');
+            assert.deepEqual(body.windows[0].toll, { amount: 40, currency: 'USD', period: 'peak' });
+
+            const invalid = await fetch(`${server.baseUrl}/api/recommend?crossing=lincoln-into&departAfter=07:00&vehicle=bus`);
+            assert.equal(invalid.status, 400);
+        });
+
+        it('lists the vehicle classes and payment methods', async () => {
+            const options = await (await fetch(`${server.baseUrl}/api/tolls`)).json();
+            assert.deepEqual(options.vehicleClasses.map(v => v.id), ['car', 'motorcycle', 'truck-2']);
+            assert.deepEqual(options.defaults, CAR_EZPASS);
+        });
+    });
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TRAFFIC_CONCURRENCY = '2';
+process.env.TRAFFIC_REFRESH_DEADLINE_MS = '300';
+process.env.GOOGLE_MAPS_API_KEY = 'test-key';
+const mock = require('../providers/mock');
+const google = require('../providers/google');
+const crossings = require('../crossings');
+const traffic = require('../traffic');
+
+describe('concurrent refresh', () => {
+    const fetchTravelTime = mock.fetchTravelTime;
+    let inFlight = 0;
+    let mostInFlight = 0;
+
+    before(() => {
+        crossings.load();
+        // Finish in reverse order, so results can't line up by accident
+        let delay = 20;
+        mock.fetchTravelTime = async (route, options) => {
+            inFlight++;
+            mostInFlight = Math.max(mostInFlight, inFlight);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            delay = Math.max(delay - 5, 0);
+            inFlight--;
+            if (route.id === 'lincoln-into') throw new Error('API error: ZERO_RESULTS');
+            return fetchTravelTime(route, options);
+        };
+    });
+
+    after(() => {
+        mock.fetchTravelTime = fetchTravelTime;
+    });
+
+    it('fetches every crossing, at most TRAFFIC_CONCURRENCY at once, in crossing order', async () => {
+        const results = await traffic.fetchAllTravelTimes();
+        assert.deepEqual(results.map(r => r.crossingId), crossings.list().map(c => c.id));
+        assert.equal(mostInFlight, 2);
+
+        const failed = results.find(r => r.crossingId === 'lincoln-into');
+        assert.equal(failed.waitTime, null);
+        assert.equal(failed.error, 'API error: ZERO_RESULTS');
+        assert.ok(results.filter(r => r !== failed).every(r => typeof r.waitTime === 'number' && r.source === 'mock'));
+    });
+});
+
+describe('refresh deadline', () => {
+    const fetchTravelTime = mock.fetchTravelTime;
+    const signals = [];
+
+    before(() => {
+        crossings.load();
+        // Hang until aborted, like a request to a provider that never answers
+        mock.fetchTravelTime = (route, { signal }) => {
+            signals.push(signal);
+            return new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(signal.reason));
+            });
+        };
+    });
+
+    after(() => {
+        mock.fetchTravelTime = fetchTravelTime;
+    });
+
+    it('aborts the fetches still running and starts no more', async () => {
+        const results = await traffic.fetchAllTravelTimes();
+        assert.equal(results.length, crossings.list().length);
+        for (const result of results) {
+            assert.equal(result.error, 'Refresh deadline exceeded');
+        }
+
+        // Only the first TRAFFIC_CONCURRENCY fetches started, and all were aborted
+        assert.equal(signals.length, 2);
+        assert.ok(signals.every(signal => signal.aborted));
+    });
+
+    it('reports finished fetches and passes the signal to commute routes too', async () => {
+        mock.fetchTravelTime = async (route, options) => {
+            signals.push(options.signal);
+            return fetchTravelTime(route, options);
+        };
+        const route = crossings.get('holland-into').route;
+        const [result] = await traffic.fetchRoutes([{ id: 'office', route }]);
+        assert.equal(result.id, 'office');
+        assert.equal(typeof result.waitTime, 'number');
+        assert.equal(signals[signals.length - 1].aborted, false);
+    });
+});
+
+describe('Google provider cancellation', () => {
+    const realFetch = globalThis.fetch;
+    let requests = 0;
+
+    before(() => {
+        globalThis.fetch = (url, { signal }) => {
+            requests++;
+            return new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(signal.reason));
+            });
+        };
+    });
+
+    after(() => {
+        globalThis.fetch = realFetch;
+    });
+
+    it('stops the request when the signal aborts and does not retry', async () => {
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 20);
+        const route = { id: 'holland-into', ...crossings.get('holland-into').route };
+
+        await assert.rejects(google.fetchTravelTime(route, { signal: controller.signal }), { name: 'AbortError' });
+        assert.equal(requests, 1);
+    });
+});
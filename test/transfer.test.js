@@ -0,0 +1,125 @@
+'use strict';
+
+const { ADMIN_KEY, listen } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { app } = require('../app');
+const db = require('../db');
+
+const CROSSING = 'holland-into';
+const HOUR_MS = 60 * 60 * 1000;
+// Two readings in one hour, well before the raw retention cutoff
+const OLD = Date.UTC(2024, 0, 10, 15, 0);
+
+describe('import and export', () => {
+    let server;
+    let backup;
+
+    function importBody(body, { type = 'text/csv', query = '' } = {}) {
+        return fetch(`${server.baseUrl}/api/admin/readings/import${query}`, {
+            method: 'POST',
+            headers: { 'Content-Type': type, 'x-api-key': ADMIN_KEY },
+            body
+        });
+    }
+
+    function heatmapCount() {
+        return db.getHistoricalData(CROSSING).heatmap.reduce((sum, cell) => sum + cell.sampleCount, 0);
+    }
+
+    before(async () => {
+        server = await listen(app);
+        [20, 26].forEach((waitTime, i) => db.addReading({
+            crossingId: CROSSING,
+            waitTime,
+            source: 'google',
+            timestamp: new Date(OLD + i * 20 * 60 * 1000)
+        }));
+    });
+
+    after(() => server.close());
+
+    it('exports the readings as CSV', async () => {
+        const response = await fetch(`${server.baseUrl}/api/admin/readings/export?crossing=${CROSSING}`, {
+            headers: { 'x-api-key': ADMIN_KEY }
+        });
+        assert.equal(response.status, 200);
+        backup = await response.text();
+        const lines = backup.trim().split('\n');
+        assert.equal(lines[0], 'crossingId,recordedAt,localTime,waitTime,baselineTime,distanceMiles,source');
+        assert.equal(lines.length, 3);
+    });
+
+    it('skips readings that are already stored', async () => {
+        const response = await importBody(backup);
+        assert.equal(response.status, 200);
+        const result = await response.json();
+        assert.equal(result.inserted, 0);
+        assert.equal(result.duplicates, 2);
+    });
+
+    it('stores nothing when a row is invalid, unless asked for a partial import', async () => {
+        const rows = [
+            { crossingId: CROSSING, recordedAt: new Date(OLD + 2 * HOUR_MS).toISOString(), waitTime: 30 },
+            { crossingId: CROSSING, recordedAt: new Date(OLD + 3 * HOUR_MS).toISOString(), waitTime: 'slow' }
+        ].map(row => JSON.stringify(row)).join('\n');
+
+        const rejected = await importBody(rows, { type: 'application/x-ndjson' });
+        assert.equal(rejected.status, 422);
+        assert.equal((await rejected.json()).inserted, 0);
+
+        const partial = await importBody(rows, { type: 'application/x-ndjson', query: '?partial=true' });
+        assert.equal(partial.status, 200);
+        const result = await partial.json();
+        assert.equal(result.inserted, 1);
+        assert.equal(result.invalid, 1);
+        assert.equal(result.errors[0].line, 2);
+        assert.equal(heatmapCount(), 3);
+    });
+
+    it('exports hourly and daily aggregates once readings are rolled up', async () => {
+        db.rollUpReadings(new Date(OLD + 24 * HOUR_MS));
+        assert.equal(heatmapCount(), 3);
+
+        const exported = async level => {
+            const response = await fetch(
+                `${server.baseUrl}/api/admin/readings/export?format=ndjson&level=${level}&crossing=${CROSSING}`,
+                { headers: { 'x-api-key': ADMIN_KEY } }
+            );
+            assert.equal(response.status, 200);
+            return (await response.text()).trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+        };
+        assert.deepEqual(await exported('raw'), []);
+        const hourly = await exported('hourly');
+        assert.equal(hourly.length, 2);
+        assert.deepEqual(hourly[0], {
+            crossingId: CROSSING,
+            periodStart: new Date(OLD).toISOString(),
+            localTime: '2024-01-10 10:00:00',
+            source: 'google',
+            sampleCount: 2,
+            averageTime: 23,
+            minTime: 20,
+            maxTime: 26
+        });
+
+        db.rollUpHourly(new Date(OLD + 24 * HOUR_MS));
+        const daily = await exported('daily');
+        assert.deepEqual(daily.map(row => [row.source, row.sampleCount]), [['google', 2], ['manual', 1]]);
+    });
+
+    it('reports readings in rolled-up hours and days separately from duplicates', async () => {
+        const response = await importBody(backup);
+        const result = await response.json();
+        assert.equal(result.inserted, 0);
+        assert.equal(result.duplicates, 0);
+        assert.equal(result.rolledUp, 2);
+    });
+
+    it('rejects an unknown export level', async () => {
+        const response = await fetch(`${server.baseUrl}/api/admin/readings/export?level=weekly`, {
+            headers: { 'x-api-key': ADMIN_KEY }
+        });
+        assert.equal(response.status, 400);
+    });
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+// Readings are stored as UTC instants ("YYYY-MM-DD HH:MM:SS", no zone suffix,
+// matching SQLite's CURRENT_TIMESTAMP). Heatmaps and history group them by the
+// wall-clock time in DISPLAY_TIMEZONE, so the server's own zone doesn't matter.
+const DISPLAY_TIMEZONE = process.env.DISPLAY_TIMEZONE || 'America/New_York';
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Throw if a time zone name isn't recognised (e.g. a typo in the env file)
+ */
+function assertValidTimeZone(timeZone) {
+    try {
+        getFormatter(timeZone);
+    } catch (_err) {
+        throw new Error(`Unknown time zone "${timeZone}"`);
+    }
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant, in minutes
+ * (e.g. -240 for New York in summer)
+ */
+function getOffsetMinutes(date, timeZone = DISPLAY_TIMEZONE) {
+    const parts = {};
+    for (const part of getFormatter(timeZone).formatToParts(date)) {
+        parts[part.type] = part.value;
+    }
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// "YYYY-MM-DD HH:MM:SS" for the UTC fields of a Date
+function formatSql(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Format a Date as a stored UTC timestamp
+ */
+function toUtcString(date) {
+    return formatSql(date);
+}
+
+/**
+ * Parse a stored UTC timestamp back into a Date
+ */
+function parseUtc(utcString) {
+    return new Date(utcString.replace(' ', 'T') + 'Z');
+}
+
+// Offsets only change at DST transitions, so cache them per UTC hour
+const offsetCache = new Map();
+
+/**
+ * Convert a stored UTC timestamp to wall-clock time in the display zone,
+ * in the same "YYYY-MM-DD HH:MM:SS" format so SQLite's strftime can use it
+ */
+function toLocalString(utcString, timeZone = DISPLAY_TIMEZONE) {
+    if (utcString === null || utcString === undefined) return null;
+    const date = parseUtc(utcString);
+    if (Number.isNaN(date.getTime())) return null;
+
+    const key = `${timeZone}|${utcString.slice(0, 13)}`;
+    if (!offsetCache.has(key)) {
+        if (offsetCache.size > 10000) offsetCache.clear();
+        offsetCache.set(key, getOffsetMinutes(date, timeZone));
+    }
+    return formatSql(new Date(date.getTime() + offsetCache.get(key) * 60000));
+}
+
+// Offsets at the start and end of each UTC day; equal unless DST changes that day
+const dayOffsetCache = new Map();
+
+/**
+ * Calendar day ("YYYY-MM-DD") of an instant in the display zone
+ * Cheaper than toLocalString when folding many buckets into days
+ */
+function toLocalDay(date, timeZone = DISPLAY_TIMEZONE) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const dayStart = Math.floor(date.getTime() / DAY_MS) * DAY_MS;
+    const key = `${timeZone}|${dayStart}`;
+    if (!dayOffsetCache.has(key)) {
+        if (dayOffsetCache.size > 10000) dayOffsetCache.clear();
+        dayOffsetCache.set(key, [
+            getOffsetMinutes(new Date(dayStart), timeZone),
+            getOffsetMinutes(new Date(dayStart + DAY_MS - 1000), timeZone)
+        ]);
+    }
+    const [startOffset, endOffset] = dayOffsetCache.get(key);
+    const offset = startOffset === endOffset ? startOffset : getOffsetMinutes(date, timeZone);
+    return new Date(date.getTime() + offset * 60000).toISOString().slice(0, 10);
+}
+
+/**
+ * Convert a wall-clock "YYYY-MM-DD HH:MM:SS" in a time zone to a UTC timestamp
+ * Times repeated when clocks fall back resolve to the first occurrence
+ */
+function localToUtcString(localString, timeZone) {
+    const asUtc = parseUtc(localString).getTime();
+    if (Number.isNaN(asUtc)) return null;
+
+    // Guess using the offset at that moment, then correct once for DST edges
+    let utc = asUtc - getOffsetMinutes(new Date(asUtc), timeZone) * 60000;
+    utc = asUtc - getOffsetMinutes(new Date(utc), timeZone) * 60000;
+    const earlier = asUtc - getOffsetMinutes(new Date(utc - 3600000), timeZone) * 60000;
+    if (earlier < utc && toLocalString(formatSql(new Date(earlier)), timeZone) === localString) {
+        utc = earlier;
+    }
+    return formatSql(new Date(utc));
+}
+
+module.exports = {
+    DISPLAY_TIMEZONE,
+    assertValidTimeZone,
+    getOffsetMinutes,
+    toUtcString,
+    parseUtc,
+    toLocalString,
+    toLocalDay,
+    localToUtcString
+};
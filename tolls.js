@@ -0,0 +1,341 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const timezone = require('./timezone');
+const recommend = require('./recommend');
+
+// Toll schedule, loaded from a JSON data file at startup and reloaded when
+// the file changes. Override the location with TOLLS_CONFIG in the env file.
+// Each schedule lists the crossings it charges, peak periods by day and clock
+// time (display time zone) and a rate per vehicle class and payment method.
+// A rate is either one amount or { offPeak, <period name>: amount }.
+const CONFIG_PATH = process.env.TOLLS_CONFIG
+    ? path.resolve(process.env.TOLLS_CONFIG)
+    : path.join(__dirname, 'tolls.json');
+
+const PAYMENTS = [
+    { id: 'ezpass', name: 'E-ZPass' },
+    { id: 'mail', name: 'Toll by mail' }
+];
+const DEFAULT_PERIOD = 'offPeak';
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// How often the data file is checked for changes
+const WATCH_INTERVAL_MS = 60 * 1000;
+
+let config = null;
+let configFile = CONFIG_PATH;
+
+function isAmount(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Problems with one schedule's rate for a vehicle class and payment method
+function validateRate(label, rate, periodNames) {
+    if (isAmount(rate)) return [];
+    if (!rate || typeof rate !== 'object') {
+        return [`${label} must be an amount or an object of amounts by period`];
+    }
+    return [DEFAULT_PERIOD, ...periodNames]
+        .filter(name => !isAmount(rate[name]))
+        .map(name => `${label}.${name} must be an amount of 0 or more`);
+}
+
+function validatePeriod(label, period) {
+    const errors = [];
+    if (!period || typeof period !== 'object') {
+        return [`${label} must be an object`];
+    }
+    if (typeof period.name !== 'string' || !/^[a-zA-Z]+$/.test(period.name) || period.name === DEFAULT_PERIOD) {
+        errors.push(`${label}.name must be letters only and not "${DEFAULT_PERIOD}"`);
+    }
+    if (!Array.isArray(period.days) || period.days.length === 0 ||
+        period.days.some(day => !recommend.DAY_NAMES.includes(day))) {
+        errors.push(`${label}.days must be a list of: ${recommend.DAY_NAMES.join(', ')}`);
+    }
+    for (const field of ['from', 'to']) {
+        if (typeof period[field] !== 'string' || recommend.parseClock(period[field]) === null) {
+            errors.push(`${label}.${field} must be a time like 06:00`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Validate a toll schedule file
+ * Returns a list of human-readable problems (empty when valid)
+ */
+function validateTolls(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['Toll config must be a JSON object'];
+    }
+
+    const errors = [];
+    if (typeof data.currency !== 'string' || !/^[A-Z]{3}$/.test(data.currency)) {
+        errors.push('currency must be a three-letter code such as USD');
+    }
+    if (data.effective !== undefined && (typeof data.effective !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(data.effective))) {
+        errors.push('effective must be a date like 2025-01-05');
+    }
+
+    const classIds = [];
+    if (!Array.isArray(data.vehicleClasses) || data.vehicleClasses.length === 0) {
+        errors.push('vehicleClasses must list at least one vehicle class');
+    } else {
+        data.vehicleClasses.forEach((vehicle, index) => {
+            if (!vehicle || typeof vehicle.id !== 'string' || !ID_PATTERN.test(vehicle.id) || classIds.includes(vehicle.id)) {
+                errors.push(`vehicleClasses[${index}].id must be a unique lowercase ID`);
+            } else {
+                classIds.push(vehicle.id);
+            }
+            if (!vehicle || typeof vehicle.name !== 'string' || vehicle.name.trim() === '') {
+                errors.push(`vehicleClasses[${index}].name is required`);
+            }
+        });
+    }
+
+    // A crossing may only be priced once
+    const seenCrossings = new Set();
+    function addCrossings(label, ids) {
+        if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+            errors.push(`${label} must be a list of crossing IDs`);
+            return;
+        }
+        for (const id of ids) {
+            if (seenCrossings.has(id)) {
+                errors.push(`${label}: ${id} is already priced elsewhere`);
+            }
+            seenCrossings.add(id);
+        }
+    }
+
+    if (data.tollFree !== undefined) {
+        addCrossings('tollFree', data.tollFree);
+    }
+
+    if (!Array.isArray(data.schedules)) {
+        errors.push('schedules must be a list');
+        return errors;
+    }
+
+    data.schedules.forEach((schedule, index) => {
+        const label = schedule && typeof schedule.id === 'string' ? schedule.id : `schedules[${index}]`;
+        if (!schedule || typeof schedule !== 'object') {
+            errors.push(`${label}: schedule must be an object`);
+            return;
+        }
+
+        addCrossings(`${label}.crossingIds`, schedule.crossingIds);
+
+        const periods = schedule.periods === undefined ? [] : schedule.periods;
+        if (!Array.isArray(periods)) {
+            errors.push(`${label}.periods must be a list`);
+            return;
+        }
+        periods.forEach((period, i) => errors.push(...validatePeriod(`${label}.periods[${i}]`, period)));
+        const periodNames = [...new Set(periods.map(p => p && p.name).filter(name => typeof name === 'string'))];
+
+        if (!schedule.rates || typeof schedule.rates !== 'object') {
+            errors.push(`${label}.rates is required`);
+            return;
+        }
+        for (const vehicle of classIds) {
+            for (const payment of PAYMENTS) {
+                const rate = schedule.rates[vehicle] ? schedule.rates[vehicle][payment.id] : undefined;
+                errors.push(...validateRate(`${label}.rates.${vehicle}.${payment.id}`, rate, periodNames));
+            }
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Load and validate the toll schedule
+ * Throws with every validation problem listed if the file is invalid
+ */
+function load(configPath = CONFIG_PATH) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Unable to read toll config ${configPath}: ${error.message}`);
+    }
+
+    const errors = validateTolls(data);
+    if (errors.length > 0) {
+        throw new Error(`Invalid toll config ${configPath}:\n  ${errors.join('\n  ')}`);
+    }
+
+    configFile = configPath;
+    config = {
+        currency: data.currency,
+        effective: data.effective || null,
+        vehicleClasses: data.vehicleClasses.map(v => ({ id: v.id, name: v.name })),
+        tollFree: new Set(data.tollFree || []),
+        schedules: data.schedules.map(schedule => ({
+            id: schedule.id,
+            name: schedule.name,
+            crossingIds: schedule.crossingIds,
+            periods: (schedule.periods || []).map(p => ({
+                name: p.name,
+                days: p.days.map(day => recommend.DAY_NAMES.indexOf(day)),
+                from: recommend.parseClock(p.from),
+                to: recommend.parseClock(p.to)
+            })),
+            rates: schedule.rates
+        }))
+    };
+    return config;
+}
+
+/**
+ * Reload the schedule whenever the data file changes. An invalid edit is
+ * logged and the previous schedule stays in use.
+ */
+function watch() {
+    const file = configFile;
+    fs.watchFile(file, { interval: WATCH_INTERVAL_MS }, (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) return;
+        try {
+            load(file);
+            console.log(`Reloaded toll schedule from ${file}`);
+        } catch (error) {
+            console.error(`${error.message}\nKeeping the previous toll schedule.`);
+        }
+    }).unref();
+}
+
+/**
+ * Vehicle classes, payment methods and defaults for the browser
+ */
+function getOptions() {
+    return {
+        currency: config.currency,
+        effective: config.effective,
+        vehicleClasses: config.vehicleClasses,
+        payments: PAYMENTS,
+        defaults: { vehicle: config.vehicleClasses[0].id, payment: PAYMENTS[0].id }
+    };
+}
+
+/**
+ * Validate a vehicle/payment preference from a query string, applying defaults
+ * Returns { preference } or { error }
+ */
+function parsePreference({ vehicle, payment } = {}) {
+    const { defaults } = getOptions();
+    if (vehicle !== undefined && !config.vehicleClasses.some(v => v.id === vehicle)) {
+        return { error: `vehicle must be one of: ${config.vehicleClasses.map(v => v.id).join(', ')}` };
+    }
+    if (payment !== undefined && !PAYMENTS.some(p => p.id === payment)) {
+        return { error: `payment must be one of: ${PAYMENTS.map(p => p.id).join(', ')}` };
+    }
+    return { preference: { vehicle: vehicle || defaults.vehicle, payment: payment || defaults.payment } };
+}
+
+// Day of the week and minute after midnight in the display time zone
+function localMoment(date) {
+    const local = timezone.parseUtc(timezone.toLocalString(timezone.toUtcString(date)));
+    return { dayOfWeek: local.getUTCDay(), minute: local.getUTCHours() * 60 + local.getUTCMinutes() };
+}
+
+// Name of the period a schedule is in (null if it has one rate all day). A
+// period with from after to runs overnight and belongs to the day it starts on.
+function periodAt(schedule, dayOfWeek, minute) {
+    if (schedule.periods.length === 0) return null;
+    const previousDay = (dayOfWeek + 6) % 7;
+    const period = schedule.periods.find(p => {
+        if (p.from <= p.to) {
+            return p.days.includes(dayOfWeek) && minute >= p.from && minute < p.to;
+        }
+        return (p.days.includes(dayOfWeek) && minute >= p.from) ||
+            (p.days.includes(previousDay) && minute < p.to);
+    });
+    return period ? period.name : DEFAULT_PERIOD;
+}
+
+/**
+ * Every vehicle class and payment method's toll for a crossing at a local
+ * day and minute: { period, rates: { vehicle: { payment: amount } } }
+ * period is null for toll-free crossings and flat rates. Null if the
+ * crossing isn't priced.
+ */
+function ratesAt(crossingId, dayOfWeek, minute) {
+    const free = config.tollFree.has(crossingId);
+    const schedule = free ? null : config.schedules.find(s => s.crossingIds.includes(crossingId));
+    if (!free && !schedule) return null;
+
+    const period = schedule ? periodAt(schedule, dayOfWeek, minute) : null;
+    const rates = {};
+    for (const vehicle of config.vehicleClasses) {
+        rates[vehicle.id] = {};
+        for (const payment of PAYMENTS) {
+            const rate = schedule ? schedule.rates[vehicle.id][payment.id] : 0;
+            rates[vehicle.id][payment.id] = isAmount(rate) ? rate : rate[period || DEFAULT_PERIOD];
+        }
+    }
+    return { period, rates };
+}
+
+/**
+ * Toll for one crossing, vehicle and payment method at a local day and minute
+ * Returns { amount, currency, period } or null if the crossing isn't priced
+ */
+function quote(crossingId, dayOfWeek, minute, preference) {
+    const current = ratesAt(crossingId, dayOfWeek, minute);
+    if (!current) return null;
+    return {
+        amount: current.rates[preference.vehicle][preference.payment],
+        currency: config.currency,
+        period: current.period
+    };
+}
+
+/**
+ * Toll for a crossing card right now: the default vehicle and payment
+ * method's amount, plus the rates for every other choice so the browser can
+ * show the visitor's own preference without another request
+ */
+function forCard(crossingId, now = new Date()) {
+    const { dayOfWeek, minute } = localMoment(now);
+    const current = ratesAt(crossingId, dayOfWeek, minute);
+    if (!current) return null;
+    const { defaults } = getOptions();
+    return {
+        amount: current.rates[defaults.vehicle][defaults.payment],
+        currency: config.currency,
+        period: current.period,
+        rates: current.rates
+    };
+}
+
+/**
+ * Add the toll at each departure time to a recommend.recommend() result
+ */
+function priceRecommendation(result, preference) {
+    const dayOfWeek = recommend.parseDay(result.day);
+    const price = (crossingId, window) => window && {
+        ...window,
+        toll: quote(crossingId, dayOfWeek, recommend.parseClock(window.departAt), preference)
+    };
+
+    return {
+        ...result,
+        tollPreference: preference,
+        windows: result.windows.map(w => price(result.crossing.id, w)),
+        alternatives: result.alternatives.map(a => ({ ...a, best: price(a.id, a.best) }))
+    };
+}
+
+module.exports = {
+    load,
+    watch,
+    getOptions,
+    parsePreference,
+    quote,
+    forCard,
+    priceRecommendation,
+    validateTolls
+};
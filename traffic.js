@@ -1,149 +1,196 @@
 'use strict';
 
-const API_KEY = process.env.GOOGLE_MAPS_API_KEY;
-
-// Define routes for each crossing
-// Each route has origin/destination coordinates and a waypoint to force the specific crossing
-const ROUTES = {
-    'gwb-into': {
-        origin: '40.8525,-73.9590',      // Fort Lee, NJ (bridge approach)
-        destination: '40.8505,-73.9465', // Trans-Manhattan Expy, Manhattan
-        waypoint: '40.8517,-73.9527',    // GWB midpoint - forces route over bridge
-        name: 'George Washington Bridge'
-    },
-    'gwb-out': {
-        origin: '40.8505,-73.9465',      // Trans-Manhattan Expy, Manhattan
-        destination: '40.8525,-73.9590', // Fort Lee, NJ (bridge approach)
-        waypoint: '40.8517,-73.9527',    // GWB midpoint
-        name: 'George Washington Bridge'
-    },
-    'lincoln-into': {
-        origin: '40.7608,-74.0145',      // Weehawken, NJ (portal approach)
-        destination: '40.7575,-73.9945', // Dyer Ave exit, Midtown Manhattan
-        waypoint: '40.7590,-74.0020',    // Lincoln Tunnel midpoint
-        name: 'Lincoln Tunnel'
-    },
-    'lincoln-out': {
-        origin: '40.7575,-73.9945',      // Dyer Ave exit, Midtown Manhattan
-        destination: '40.7608,-74.0145', // Weehawken, NJ (portal approach)
-        waypoint: '40.7590,-74.0020',    // Lincoln Tunnel midpoint
-        name: 'Lincoln Tunnel'
-    },
-    'holland-into': {
-        origin: '40.7270,-74.0370',      // Jersey City, NJ (portal approach)
-        destination: '40.7258,-74.0085', // Canal St, Lower Manhattan
-        waypoint: '40.7267,-74.0110',    // Holland Tunnel midpoint
-        name: 'Holland Tunnel'
-    },
-    'holland-out': {
-        origin: '40.7258,-74.0085',      // Canal St, Lower Manhattan
-        destination: '40.7270,-74.0370', // Jersey City, NJ (portal approach)
-        waypoint: '40.7267,-74.0110',    // Holland Tunnel midpoint
-        name: 'Holland Tunnel'
-    }
+const crossings = require('./crossings');
+const { readInteger } = require('./env');
+
+// Traffic providers all implement fetchTravelTime(route, { signal }), where
+// route is { id, origin, destination, waypoint }, resolving to
+// { waitTime, baselineTime, distance } in minutes / "x.x mi". Providers that
+// make requests stop them when the optional AbortSignal fires.
+const PROVIDERS = {
+    google: require('./providers/google'),
+    mock: require('./providers/mock'),
+    replay: require('./providers/replay')
 };
 
+// Pick the provider with TRAFFIC_PROVIDER; default to Google when a key is set
+const PROVIDER_NAME = process.env.TRAFFIC_PROVIDER ||
+    (PROVIDERS.google.isAvailable() ? 'google' : 'mock');
+
+// Refresh tuning: how many crossings to fetch at once and how long a whole
+// refresh may take before unfinished crossings are reported as errors
+const REFRESH_CONCURRENCY = readInteger('TRAFFIC_CONCURRENCY', 4, { min: 1 });
+const REFRESH_DEADLINE_MS = readInteger('TRAFFIC_REFRESH_DEADLINE_MS', 30000, { min: 1 });
+
 /**
- * Fetch travel time from Google Maps Directions API
- * Returns duration in minutes with traffic
+ * Resolve the configured provider
+ * Throws if the name is unknown or the provider can't run (e.g. no API key)
  */
-async function fetchTravelTime(crossingId) {
-    const route = ROUTES[crossingId];
-    if (!route) {
-        throw new Error(`Unknown crossing: ${crossingId}`);
+function getProvider() {
+    const provider = PROVIDERS[PROVIDER_NAME];
+    if (!provider) {
+        throw new Error(`Unknown traffic provider "${PROVIDER_NAME}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
     }
-
-    const url = new URL('https://maps.googleapis.com/maps/api/directions/json');
-    url.searchParams.set('origin', route.origin);
-    url.searchParams.set('destination', route.destination);
-    url.searchParams.set('waypoints', route.waypoint);
-    url.searchParams.set('departure_time', 'now');
-    url.searchParams.set('traffic_model', 'best_guess');
-    url.searchParams.set('key', API_KEY);
-
-    const response = await fetch(url.toString());
-    const data = await response.json();
-
-    if (data.status !== 'OK') {
-        console.error(`Google Maps API error for ${crossingId}:`, data.status, data.error_message);
-        throw new Error(`API error: ${data.status}`);
+    if (!provider.isAvailable()) {
+        throw new Error(`Traffic provider "${PROVIDER_NAME}" is not available - check its configuration`);
     }
+    return provider;
+}
 
-    if (!data.routes || data.routes.length === 0) {
-        throw new Error('No routes found');
+/**
+ * Fetch travel time for one crossing from the configured provider
+ * signal (optional) aborts the request
+ */
+async function fetchTravelTime(crossingId, { signal } = {}) {
+    const crossing = crossings.get(crossingId);
+    if (!crossing) {
+        throw new Error(`Unknown crossing: ${crossingId}`);
     }
 
-    const route_data = data.routes[0];
-
-    if (!route_data.legs || route_data.legs.length === 0) {
-        throw new Error('No route legs found');
-    }
+    const provider = getProvider();
+    const result = await provider.fetchTravelTime({ id: crossing.id, ...crossing.route }, { signal });
 
-    // Sum duration across all legs (waypoints create multiple legs)
-    let totalDurationSeconds = 0;
-    let totalBaselineSeconds = 0;
-    let totalDistanceMeters = 0;
-
-    for (const leg of route_data.legs) {
-        // Use duration_in_traffic if available, otherwise fall back to duration
-        totalDurationSeconds += leg.duration_in_traffic
-            ? leg.duration_in_traffic.value
-            : leg.duration.value;
-        totalBaselineSeconds += leg.duration.value;
-        totalDistanceMeters += leg.distance.value;
-    }
+    return {
+        crossingId,
+        waitTime: result.waitTime,
+        baselineTime: result.baselineTime,
+        durationText: `${result.waitTime} mins`,
+        distance: result.distance,
+        source: provider.name,
+        timestamp: new Date()
+    };
+}
 
-    const durationMinutes = Math.round(totalDurationSeconds / 60);
-    const baselineMinutes = Math.round(totalBaselineSeconds / 60);
-    const distanceMiles = (totalDistanceMeters / 1609.34).toFixed(1);
+/**
+ * Fetch a route that isn't saved yet, to check it works before saving
+ * Resolves to { waitTime, baselineTime, distance, source }; rejects if the provider can't route it
+ */
+async function testRoute(crossingId, route, { signal } = {}) {
+    const provider = getProvider();
+    const result = await provider.fetchTravelTime({ id: crossingId, ...route }, { signal });
+    return {
+        waitTime: result.waitTime,
+        baselineTime: result.baselineTime,
+        distance: result.distance,
+        source: provider.name
+    };
+}
 
+// Error entry for a crossing whose fetch failed or never finished
+function errorResult(crossingId, message) {
     return {
         crossingId,
-        waitTime: durationMinutes,
-        baselineTime: baselineMinutes,
-        durationText: `${durationMinutes} mins`,
-        distance: `${distanceMiles} mi`,
+        waitTime: null,
+        baselineTime: null,
+        distance: null,
+        error: message,
         timestamp: new Date()
     };
 }
 
+async function fetchOrError(crossingId, signal) {
+    try {
+        return await fetchTravelTime(crossingId, { signal });
+    } catch (error) {
+        // Fetches cut off by the deadline are reported by fetchAllTravelTimes
+        if (!signal.aborted) {
+            console.error(`Failed to fetch ${crossingId}:`, error.message);
+        }
+        return errorResult(crossingId, error.message);
+    }
+}
+
+// Run fetchOne(item, signal) over items, up to REFRESH_CONCURRENCY at once,
+// and resolve to one result per item. At the refresh deadline the signal is
+// aborted, and items not finished get onTimeout(item) instead.
+async function fetchWithinDeadline(items, fetchOne, onTimeout) {
+    const results = new Array(items.length);
+    const controller = new AbortController();
+    let nextIndex = 0;
+    let timer;
+
+    const deadline = new Promise(resolve => {
+        timer = setTimeout(() => {
+            controller.abort();
+            resolve();
+        }, REFRESH_DEADLINE_MS);
+    });
+
+    async function worker() {
+        while (nextIndex < items.length && !controller.signal.aborted) {
+            const index = nextIndex++;
+            const result = await fetchOne(items[index], controller.signal);
+            if (!controller.signal.aborted) results[index] = result;
+        }
+    }
+
+    const workerCount = Math.min(REFRESH_CONCURRENCY, items.length);
+    const workers = Array.from({ length: workerCount }, () => worker());
+
+    await Promise.race([Promise.all(workers), deadline]);
+    clearTimeout(timer);
+
+    return items.map((item, index) => results[index] || onTimeout(item));
+}
+
 /**
  * Fetch travel times for all crossings
+ * Runs up to REFRESH_CONCURRENCY fetches at once; crossings that haven't
+ * finished by the refresh deadline get an error entry
  */
 async function fetchAllTravelTimes() {
-    const crossingIds = Object.keys(ROUTES);
-    const results = [];
+    const crossingIds = crossings.list().map(c => c.id);
+    return fetchWithinDeadline(crossingIds, fetchOrError, crossingId => {
+        console.error(`Failed to fetch ${crossingId}: refresh deadline exceeded`);
+        return errorResult(crossingId, 'Refresh deadline exceeded');
+    });
+}
 
-    for (const crossingId of crossingIds) {
+/**
+ * Fetch routes that aren't crossings (commutes), with the same concurrency
+ * limit and deadline as fetchAllTravelTimes
+ * routes: [{ id, route }]. Resolves to one entry per route, either
+ * { id, waitTime, baselineTime, distance, source } or { id, error }
+ */
+async function fetchRoutes(routes) {
+    return fetchWithinDeadline(routes, async ({ id, route }, signal) => {
         try {
-            const result = await fetchTravelTime(crossingId);
-            results.push(result);
+            return { id, ...await testRoute(id, route, { signal }) };
         } catch (error) {
-            console.error(`Failed to fetch ${crossingId}:`, error.message);
-            results.push({
-                crossingId,
-                waitTime: null,
-                baselineTime: null,
-                distance: null,
-                error: error.message,
-                timestamp: new Date()
-            });
+            return { id, error: error.message };
         }
-    }
+    }, ({ id }) => ({ id, error: 'Refresh deadline exceeded' }));
+}
 
-    return results;
+/**
+ * Name of the configured provider ('google', 'mock' or 'replay')
+ */
+function getProviderName() {
+    return PROVIDER_NAME;
+}
+
+/**
+ * Circuit breaker state for providers that have one (null otherwise)
+ */
+function getCircuitBreaker() {
+    const provider = PROVIDERS[PROVIDER_NAME];
+    return provider && provider.getCircuitBreaker ? provider.getCircuitBreaker() : null;
 }
 
 /**
- * Check if API key is configured
+ * Check if live Google Maps data is being used
  */
 function isConfigured() {
-    return !!API_KEY;
+    return PROVIDER_NAME === 'google' && PROVIDERS.google.isAvailable();
 }
 
 module.exports = {
     fetchTravelTime,
     fetchAllTravelTimes,
-    isConfigured,
-    ROUTES
+    fetchRoutes,
+    testRoute,
+    getProvider,
+    getProviderName,
+    getCircuitBreaker,
+    isConfigured
 };
@@ -0,0 +1,281 @@
+'use strict';
+
+const db = require('./db');
+const crossings = require('./crossings');
+
+// Bulk import and export of raw readings, as CSV (with a header row) or
+// NDJSON (one JSON object per line). Both formats use the same fields:
+//   crossingId, recordedAt (ISO date-time), waitTime, baselineTime,
+//   distanceMiles, source
+// Exports add localTime, the wall-clock time in the display time zone, for
+// spreadsheets; imports ignore it and any other unknown column.
+// The hourly and daily aggregates that retention rolls old readings into can
+// be exported too, one row per crossing, period and source. They can't be
+// imported, since the readings behind them can't be recovered.
+const FORMATS = {
+    csv: 'text/csv',
+    ndjson: 'application/x-ndjson'
+};
+// Content types accepted for imports, besides the ?format= override
+const IMPORT_TYPES = {
+    'text/csv': 'csv',
+    'application/x-ndjson': 'ndjson',
+    'application/jsonl': 'ndjson'
+};
+const ROLLUP_FIELDS = ['crossingId', 'periodStart', 'localTime', 'source', 'sampleCount', 'averageTime', 'minTime', 'maxTime'];
+const EXPORT_FIELDS = {
+    raw: ['crossingId', 'recordedAt', 'localTime', 'waitTime', 'baselineTime', 'distanceMiles', 'source'],
+    hourly: ROLLUP_FIELDS,
+    daily: ROLLUP_FIELDS
+};
+const LEVELS = Object.keys(EXPORT_FIELDS);
+const REQUIRED_FIELDS = ['crossingId', 'recordedAt', 'waitTime'];
+
+const MAX_IMPORT_ROWS = 100000;
+const MAX_REPORTED_ERRORS = 100;
+const EXPORT_PAGE_SIZE = 1000;
+
+// Split one CSV line into fields, honouring double-quoted fields ("" is a quote)
+// Returns null if a quoted field isn't closed
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) return null;
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * Parse an import body into rows of { line, values } plus per-line errors
+ * Returns { rows, errors }, or { error } if the body can't be read at all
+ */
+function parseImport(text, format) {
+    const lines = text.split(/\r?\n/);
+    const rows = [];
+    const errors = [];
+
+    if (format === 'csv') {
+        const header = splitCsvLine(lines[0] || '');
+        const columns = header ? header.map(name => name.trim()) : [];
+        const missing = REQUIRED_FIELDS.filter(field => !columns.includes(field));
+        if (missing.length > 0) {
+            return { error: `CSV header must include: ${REQUIRED_FIELDS.join(', ')} (missing ${missing.join(', ')})` };
+        }
+
+        for (let i = 1; i < lines.length; i++) {
+            if (lines[i].trim() === '') continue;
+            const fields = splitCsvLine(lines[i]);
+            if (!fields || fields.length !== columns.length) {
+                errors.push({ line: i + 1, error: `Expected ${columns.length} fields` });
+                continue;
+            }
+            // Empty cells count as missing
+            const values = {};
+            columns.forEach((column, index) => {
+                if (fields[index] !== '') values[column] = fields[index];
+            });
+            rows.push({ line: i + 1, values });
+        }
+    } else {
+        for (let i = 0; i < lines.length; i++) {
+            if (lines[i].trim() === '') continue;
+            let values;
+            try {
+                values = JSON.parse(lines[i]);
+            } catch (_err) {
+                values = null;
+            }
+            if (!values || typeof values !== 'object' || Array.isArray(values)) {
+                errors.push({ line: i + 1, error: 'Line must be a JSON object' });
+                continue;
+            }
+            rows.push({ line: i + 1, values });
+        }
+    }
+
+    if (rows.length + errors.length > MAX_IMPORT_ROWS) {
+        return { error: `An import can have at most ${MAX_IMPORT_ROWS} rows` };
+    }
+    return { rows, errors };
+}
+
+// Numeric field: null when absent, NaN when not a number
+function optionalNumber(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'number') return value;
+    return typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+}
+
+/**
+ * Validate one imported row, with the same rules as POST /api/readings
+ * plus the fields a backup carries. Returns { reading } or { error }.
+ * Readings for disabled crossings are accepted so backups restore completely.
+ */
+function validateRow(values, now = new Date()) {
+    const { crossingId, recordedAt, waitTime } = values;
+
+    if (typeof crossingId !== 'string' || !crossings.get(crossingId, { includeDisabled: true })) {
+        return { error: 'crossingId must be a valid crossing ID' };
+    }
+
+    const timestamp = typeof recordedAt === 'string' ? new Date(recordedAt) : null;
+    if (!timestamp || Number.isNaN(timestamp.getTime())) {
+        return { error: 'recordedAt must be an ISO date-time' };
+    }
+    if (timestamp > now) {
+        return { error: 'recordedAt must not be in the future' };
+    }
+
+    const waitTimeNum = optionalNumber(waitTime);
+    if (!Number.isInteger(waitTimeNum) || waitTimeNum < 0 || waitTimeNum > 300) {
+        return { error: 'waitTime must be an integer between 0 and 300 minutes' };
+    }
+
+    const baselineTime = optionalNumber(values.baselineTime);
+    if (baselineTime !== null && (!Number.isInteger(baselineTime) || baselineTime < 0 || baselineTime > 300)) {
+        return { error: 'baselineTime must be an integer between 0 and 300 minutes' };
+    }
+
+    const distanceMiles = optionalNumber(values.distanceMiles);
+    if (distanceMiles !== null && (!Number.isFinite(distanceMiles) || distanceMiles < 0 || distanceMiles > 1000)) {
+        return { error: 'distanceMiles must be a number between 0 and 1000' };
+    }
+
+    const source = values.source === undefined || values.source === null ? 'manual' : values.source;
+    if (!db.SOURCES.includes(source)) {
+        return { error: `source must be one of: ${db.SOURCES.join(', ')}` };
+    }
+
+    return {
+        reading: { crossingId, waitTime: waitTimeNum, baselineTime, distanceMiles, source, timestamp }
+    };
+}
+
+/**
+ * Validate and import a CSV or NDJSON body in a single transaction
+ * By default nothing is stored if any row is invalid; with partial, the valid
+ * rows are stored and the invalid ones reported. Readings already in the
+ * database are skipped and counted as duplicates; readings in hours or days
+ * that have been rolled up are skipped and counted as rolledUp.
+ * Returns { inserted, duplicates, rolledUp, invalid, errors, rejected } or { error }
+ */
+function importReadings(text, format, { partial = false } = {}) {
+    const parsed = parseImport(text, format);
+    if (parsed.error) return { error: parsed.error };
+
+    const errors = parsed.errors.slice();
+    const readings = [];
+    const now = new Date();
+    for (const row of parsed.rows) {
+        const { reading, error } = validateRow(row.values, now);
+        if (error) {
+            errors.push({ line: row.line, error });
+        } else {
+            readings.push(reading);
+        }
+    }
+    errors.sort((a, b) => a.line - b.line);
+
+    if (readings.length === 0 && errors.length === 0) {
+        return { error: 'No readings to import' };
+    }
+
+    const rejected = errors.length > 0 && !partial;
+    const { inserted, duplicates, rolledUp } = rejected
+        ? { inserted: 0, duplicates: 0, rolledUp: 0 }
+        : db.addReadings(readings);
+    return {
+        inserted,
+        duplicates,
+        rolledUp,
+        invalid: errors.length,
+        errors: errors.slice(0, MAX_REPORTED_ERRORS),
+        rejected
+    };
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatRow(row, format, fields) {
+    if (format === 'csv') {
+        return fields.map(field => csvField(row[field])).join(',') + '\n';
+    }
+    return JSON.stringify(row) + '\n';
+}
+
+// One page of raw readings or of a roll-up level, as { rows, cursor }
+function exportPage(level, filters) {
+    if (level !== 'raw') return db.getRollupPage(level, filters);
+    const page = db.getReadingsPage(filters);
+    return { rows: page.readings, cursor: page.cursor };
+}
+
+/**
+ * Export readings as text chunks, a page at a time, so large exports never
+ * sit in memory and the database isn't held between pages
+ * level is raw (default), hourly or daily
+ * Filters: crossingId, from, to (all optional)
+ */
+function* exportReadings(format, { level = 'raw', crossingId = null, from = null, to = null } = {}) {
+    const fields = EXPORT_FIELDS[level];
+    if (format === 'csv') {
+        yield fields.join(',') + '\n';
+    }
+
+    let after = null;
+    do {
+        const page = exportPage(level, { crossingId, from, to, after, limit: EXPORT_PAGE_SIZE });
+        if (page.rows.length > 0) {
+            yield page.rows.map(row => formatRow(row, format, fields)).join('');
+        }
+        after = page.cursor;
+    } while (after);
+}
+
+/**
+ * Pick the import/export format from a ?format= value or a Content-Type
+ * (null if neither names a supported format)
+ */
+function resolveFormat(format, contentType) {
+    if (format !== undefined) {
+        return Object.hasOwn(FORMATS, format) ? format : null;
+    }
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    return Object.hasOwn(IMPORT_TYPES, type) ? IMPORT_TYPES[type] : null;
+}
+
+module.exports = {
+    FORMATS,
+    LEVELS,
+    splitCsvLine,
+    importReadings,
+    exportReadings,
+    resolveFormat
+};
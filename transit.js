@@ -0,0 +1,421 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const gtfs = require('./gtfs');
+const timezone = require('./timezone');
+
+// Transit alternatives to driving (PATH, NJ Transit buses through the
+// Lincoln Tunnel), from GTFS schedule zips on disk - nothing is fetched, so
+// this works offline. transit.json lists the feeds and, for each
+// alternative, its boarding and alighting stops, optional routes, the
+// crossings it's shown next to, and minutes to walk to and from the stops.
+// Override the location with TRANSIT_CONFIG in the env file. Feed paths are
+// relative to the config file.
+const CONFIG_PATH = process.env.TRANSIT_CONFIG
+    ? path.resolve(process.env.TRANSIT_CONFIG)
+    : path.join(__dirname, 'transit.json');
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const MAX_WALK_MINUTES = 120;
+const LOOKAHEAD_HOURS = 6;  // Departures further out than this aren't listed
+const CARD_DEPARTURES = 3;  // Departures sent with each crossing card
+const DAY_SECONDS = 24 * 60 * 60;
+
+// How often the feed files are checked for changes
+const WATCH_INTERVAL_MS = 5 * 60 * 1000;
+
+let config = { feeds: [], alternatives: [] };
+
+// alternative id -> { trips: [{ serviceId, departure, arrival, route, headsign }], calendar }
+let schedules = new Map();
+// feed id -> { loaded, error, loadedAt, validFrom, validTo, trips }
+let feedStatus = new Map();
+
+// Problems with an alternative's "from" or "to" stops
+function validateStops(label, stops) {
+    if (!stops || typeof stops !== 'object') {
+        return [`${label} must be an object with stopIds or stopNames`];
+    }
+    const lists = ['stopIds', 'stopNames'].filter(field => stops[field] !== undefined);
+    if (lists.length === 0) {
+        return [`${label} needs stopIds or stopNames`];
+    }
+    return lists
+        .filter(field => !Array.isArray(stops[field]) || stops[field].length === 0 ||
+            stops[field].some(value => typeof value !== 'string' || value.trim() === ''))
+        .map(field => `${label}.${field} must be a list of strings`);
+}
+
+/**
+ * Validate a transit config
+ * Returns a list of human-readable problems (empty when valid)
+ */
+function validateTransit(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.feeds) || !Array.isArray(data.alternatives)) {
+        return ['Transit config must be an object with feeds and alternatives lists'];
+    }
+
+    const errors = [];
+    const feedIds = new Set();
+    data.feeds.forEach((feed, index) => {
+        const label = feed && typeof feed.id === 'string' ? feed.id : `feeds[${index}]`;
+        if (!feed || typeof feed.id !== 'string' || !ID_PATTERN.test(feed.id) || feedIds.has(feed.id)) {
+            errors.push(`${label}: id must be a unique lowercase ID`);
+        } else {
+            feedIds.add(feed.id);
+        }
+        if (!feed || typeof feed.name !== 'string' || feed.name.trim() === '') {
+            errors.push(`${label}: name is required`);
+        }
+        if (!feed || typeof feed.file !== 'string' || !feed.file.endsWith('.zip')) {
+            errors.push(`${label}: file must be the path of a GTFS .zip`);
+        }
+    });
+
+    const alternativeIds = new Set();
+    data.alternatives.forEach((alternative, index) => {
+        const label = alternative && typeof alternative.id === 'string' ? alternative.id : `alternatives[${index}]`;
+        if (!alternative || typeof alternative !== 'object') {
+            errors.push(`${label}: entry must be an object`);
+            return;
+        }
+
+        if (typeof alternative.id !== 'string' || !ID_PATTERN.test(alternative.id) || alternativeIds.has(alternative.id)) {
+            errors.push(`${label}: id must be a unique lowercase ID`);
+        } else {
+            alternativeIds.add(alternative.id);
+        }
+        for (const field of ['name', 'icon']) {
+            if (typeof alternative[field] !== 'string' || alternative[field].trim() === '') {
+                errors.push(`${label}: ${field} is required and must be a string`);
+            }
+        }
+        if (!feedIds.has(alternative.feed)) {
+            errors.push(`${label}: feed must be one of the feeds' IDs`);
+        }
+        if (!Array.isArray(alternative.crossingIds) || alternative.crossingIds.length === 0 ||
+            alternative.crossingIds.some(id => typeof id !== 'string')) {
+            errors.push(`${label}: crossingIds must list the crossings to show it next to`);
+        }
+        if (alternative.routes !== undefined && (!Array.isArray(alternative.routes) ||
+            alternative.routes.some(route => typeof route !== 'string'))) {
+            errors.push(`${label}: routes must be a list of route IDs or short names`);
+        }
+        errors.push(...validateStops(`${label}: from`, alternative.from));
+        errors.push(...validateStops(`${label}: to`, alternative.to));
+        for (const field of ['accessMinutes', 'egressMinutes']) {
+            const value = alternative[field];
+            if (value !== undefined && (!Number.isInteger(value) || value < 0 || value > MAX_WALK_MINUTES)) {
+                errors.push(`${label}: ${field} must be a whole number from 0 to ${MAX_WALK_MINUTES}`);
+            }
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Load and validate the transit config. Schedules are read separately by
+ * loadFeeds(), which takes a while for big feeds.
+ * Throws with every validation problem listed if the config is invalid
+ */
+function load(configPath = CONFIG_PATH) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Unable to read transit config ${configPath}: ${error.message}`);
+    }
+
+    const errors = validateTransit(data);
+    if (errors.length > 0) {
+        throw new Error(`Invalid transit config ${configPath}:\n  ${errors.join('\n  ')}`);
+    }
+
+    const configDir = path.dirname(configPath);
+    config = {
+        feeds: data.feeds.map(feed => ({ id: feed.id, name: feed.name, file: path.resolve(configDir, feed.file) })),
+        alternatives: data.alternatives.map(a => ({
+            id: a.id,
+            name: a.name,
+            icon: a.icon,
+            feed: a.feed,
+            crossingIds: a.crossingIds,
+            routes: a.routes || null,
+            from: a.from,
+            to: a.to,
+            accessMinutes: a.accessMinutes || 0,
+            egressMinutes: a.egressMinutes || 0
+        }))
+    };
+    return config;
+}
+
+// Whether a stop name matches a configured name; a trailing * matches a prefix
+function nameMatches(stopName, pattern) {
+    const name = (stopName || '').toLowerCase();
+    const wanted = pattern.trim().toLowerCase();
+    return wanted.endsWith('*') ? name.startsWith(wanted.slice(0, -1)) : name === wanted;
+}
+
+// Stop IDs for an alternative's "from" or "to", including the platforms of
+// any matching station
+function resolveStops(stops, wanted) {
+    const ids = new Set();
+    for (const stop of stops) {
+        if ((wanted.stopIds && wanted.stopIds.includes(stop.stop_id)) ||
+            (wanted.stopNames && wanted.stopNames.some(name => nameMatches(stop.stop_name, name)))) {
+            ids.add(stop.stop_id);
+        }
+    }
+    for (const stop of stops) {
+        if (stop.parent_station && ids.has(stop.parent_station)) {
+            ids.add(stop.stop_id);
+        }
+    }
+    return ids;
+}
+
+/**
+ * Read one feed's schedule for the alternatives that use it
+ * Resolves to a Map of alternative id -> schedule
+ */
+async function readFeed(feed, alternatives) {
+    const entries = gtfs.listEntries(feed.file);
+
+    const stops = [];
+    await gtfs.readTable(feed.file, 'stops.txt', row => stops.push(row), entries);
+    const routes = new Map();
+    await gtfs.readTable(feed.file, 'routes.txt', row => routes.set(row.route_id, row), entries);
+
+    const wanted = alternatives.map(alternative => {
+        const from = resolveStops(stops, alternative.from);
+        const to = resolveStops(stops, alternative.to);
+        for (const [end, ids] of [['from', from], ['to', to]]) {
+            if (ids.size === 0) {
+                console.warn(`Transit: no stops in ${feed.name} match ${alternative.id} "${end}"`);
+            }
+        }
+        const routeIds = alternative.routes
+            ? new Set([...routes.values()]
+                .filter(r => alternative.routes.includes(r.route_id) || alternative.routes.includes(r.route_short_name))
+                .map(r => r.route_id))
+            : null;
+        return { alternative, from, to, routeIds };
+    });
+    const relevantStops = new Set(wanted.flatMap(w => [...w.from, ...w.to]));
+
+    // Only the stop times at the stops we care about are kept
+    const tripStops = new Map();
+    await gtfs.readTable(feed.file, 'stop_times.txt', row => {
+        if (!relevantStops.has(row.stop_id)) return;
+        const departure = gtfs.parseTime(row.departure_time) ?? gtfs.parseTime(row.arrival_time);
+        const arrival = gtfs.parseTime(row.arrival_time) ?? departure;
+        if (departure === null) return;
+        if (!tripStops.has(row.trip_id)) tripStops.set(row.trip_id, []);
+        tripStops.get(row.trip_id).push({ stopId: row.stop_id, sequence: Number(row.stop_sequence), departure, arrival });
+    }, entries);
+
+    const trips = new Map();
+    await gtfs.readTable(feed.file, 'trips.txt', row => {
+        if (tripStops.has(row.trip_id)) trips.set(row.trip_id, row);
+    }, entries);
+
+    const calendarRows = [];
+    const dateRows = [];
+    await gtfs.readTable(feed.file, 'calendar.txt', row => calendarRows.push(row), entries);
+    await gtfs.readTable(feed.file, 'calendar_dates.txt', row => dateRows.push(row), entries);
+    const calendar = gtfs.buildCalendar(calendarRows, dateRows);
+
+    const result = new Map();
+    for (const { alternative, from, to, routeIds } of wanted) {
+        const matches = [];
+        for (const [tripId, visits] of tripStops) {
+            const trip = trips.get(tripId);
+            if (!trip || (routeIds && !routeIds.has(trip.route_id))) continue;
+
+            visits.sort((a, b) => a.sequence - b.sequence);
+            const board = visits.findIndex(v => from.has(v.stopId));
+            const alight = board === -1 ? -1 : visits.findIndex((v, i) => i > board && to.has(v.stopId));
+            if (alight === -1) continue;
+
+            const route = routes.get(trip.route_id);
+            matches.push({
+                serviceId: trip.service_id,
+                departure: visits[board].departure,
+                arrival: visits[alight].arrival,
+                route: route ? route.route_short_name || route.route_long_name || trip.route_id : trip.route_id,
+                headsign: trip.trip_headsign || null
+            });
+        }
+        matches.sort((a, b) => a.departure - b.departure);
+        result.set(alternative.id, { trips: matches, calendar });
+    }
+    return result;
+}
+
+/**
+ * Read every feed's schedule. A missing or unreadable feed is logged and its
+ * alternatives are left out; the others still load.
+ * Resolves to the number of alternatives with a schedule
+ */
+async function loadFeeds() {
+    const loaded = new Map();
+    const status = new Map();
+
+    for (const feed of config.feeds) {
+        const alternatives = config.alternatives.filter(a => a.feed === feed.id);
+        if (alternatives.length === 0) continue;
+
+        if (!fs.existsSync(feed.file)) {
+            console.warn(`Transit: ${feed.name} feed not found at ${feed.file}; download its GTFS zip there to show it`);
+            status.set(feed.id, { loaded: false, error: 'Feed file not found' });
+            continue;
+        }
+
+        try {
+            const started = Date.now();
+            const schedulesForFeed = await readFeed(feed, alternatives);
+            let trips = 0;
+            for (const [id, schedule] of schedulesForFeed) {
+                loaded.set(id, schedule);
+                trips += schedule.trips.length;
+            }
+            const { calendar } = schedulesForFeed.values().next().value;
+            status.set(feed.id, {
+                loaded: true,
+                loadedAt: new Date().toISOString(),
+                validFrom: calendar.from,
+                validTo: calendar.to,
+                trips
+            });
+            console.log(`Transit: loaded ${feed.name} (${trips} trips) in ${Date.now() - started}ms`);
+        } catch (error) {
+            console.error(`Transit: failed to load ${feed.name}:`, error.message);
+            status.set(feed.id, { loaded: false, error: error.message });
+        }
+    }
+
+    schedules = loaded;
+    feedStatus = status;
+    return loaded.size;
+}
+
+/**
+ * Reload every feed when one of the zips changes, e.g. after downloading a
+ * new schedule. Calls onReload once the new schedules are in use.
+ */
+function watch(onReload = () => {}) {
+    for (const feed of config.feeds) {
+        fs.watchFile(feed.file, { interval: WATCH_INTERVAL_MS }, (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs) return;
+            loadFeeds()
+                .then(onReload)
+                .catch(error => console.error('Transit: failed to reload feeds:', error.message));
+        }).unref();
+    }
+}
+
+// Date for a number of seconds after the start of a local service day
+function serviceTime(day, seconds) {
+    const local = new Date(new Date(`${day}T00:00:00Z`).getTime() + seconds * 1000);
+    return timezone.parseUtc(timezone.localToUtcString(timezone.toUtcString(local), timezone.DISPLAY_TIMEZONE));
+}
+
+/**
+ * The next departures for an alternative that can still be caught after
+ * walking to the stop, soonest first. Each has the time to leave, the
+ * scheduled departure and arrival, and the door-to-door arrival.
+ */
+function nextDepartures(alternative, { now = new Date(), limit = CARD_DEPARTURES } = {}) {
+    const schedule = schedules.get(alternative.id);
+    if (!schedule) return null;
+
+    const local = timezone.toLocalString(timezone.toUtcString(now));
+    const today = local.slice(0, 10);
+    const [hours, minutes, seconds] = local.slice(11).split(':').map(Number);
+    const earliest = hours * 3600 + minutes * 60 + seconds + alternative.accessMinutes * 60;
+    const latest = earliest + LOOKAHEAD_HOURS * 3600;
+
+    // Trips after midnight can belong to yesterday's service day
+    const found = [];
+    for (const offset of [-1, 0, 1]) {
+        const day = gtfs.addDays(today, offset);
+        for (const trip of schedule.trips) {
+            const departure = trip.departure + offset * DAY_SECONDS;
+            if (departure < earliest || departure > latest) continue;
+            if (!schedule.calendar.runsOn(trip.serviceId, day)) continue;
+            found.push({ day, departure, trip });
+        }
+    }
+
+    return found
+        .sort((a, b) => a.departure - b.departure)
+        .slice(0, limit)
+        .map(({ day, trip }) => {
+            const departsAt = serviceTime(day, trip.departure);
+            const arrivesAt = serviceTime(day, trip.arrival);
+            return {
+                route: trip.route,
+                headsign: trip.headsign,
+                leaveBy: new Date(departsAt.getTime() - alternative.accessMinutes * 60000).toISOString(),
+                departsAt: departsAt.toISOString(),
+                arrivesAt: arrivesAt.toISOString(),
+                doorArrival: new Date(arrivesAt.getTime() + alternative.egressMinutes * 60000).toISOString()
+            };
+        });
+}
+
+// Browser-safe summary of an alternative with its next departures
+function summarize(alternative, options) {
+    const departures = nextDepartures(alternative, options);
+    const now = options.now || new Date();
+    return {
+        id: alternative.id,
+        name: alternative.name,
+        icon: alternative.icon,
+        accessMinutes: alternative.accessMinutes,
+        egressMinutes: alternative.egressMinutes,
+        departures,
+        doorToDoorMinutes: departures.length > 0
+            ? Math.round((new Date(departures[0].doorArrival) - now) / 60000)
+            : null
+    };
+}
+
+/**
+ * Transit alternatives to show next to a crossing's driving time, with
+ * scheduled door-to-door minutes for leaving now. Alternatives whose feed
+ * hasn't loaded are left out.
+ */
+function forCrossing(crossingId, now = new Date()) {
+    return config.alternatives
+        .filter(a => a.crossingIds.includes(crossingId) && schedules.has(a.id))
+        .map(a => summarize(a, { now }));
+}
+
+/**
+ * Every feed's load status and every loaded alternative's next departures
+ */
+function getStatus({ now = new Date(), limit = CARD_DEPARTURES } = {}) {
+    return {
+        feeds: config.feeds.map(feed => ({
+            id: feed.id,
+            name: feed.name,
+            ...(feedStatus.get(feed.id) || { loaded: false, error: 'Not loaded yet' })
+        })),
+        alternatives: config.alternatives
+            .filter(a => schedules.has(a.id))
+            .map(a => ({ ...summarize(a, { now, limit }), crossingIds: a.crossingIds }))
+    };
+}
+
+module.exports = {
+    load,
+    loadFeeds,
+    watch,
+    forCrossing,
+    getStatus,
+    validateTransit
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+// Minimal local webhook receiver for trying out alert rules.
+//   node webhook-receiver.js [port] [--fail N]
+// Prints every POST it receives. With --fail N the first N requests get a
+// 503, to exercise the alert retries.
+const http = require('http');
+
+const args = process.argv.slice(2);
+const failIndex = args.indexOf('--fail');
+let failuresLeft = failIndex === -1 ? 0 : parseInt(args[failIndex + 1], 10) || 0;
+const portArg = args.find((arg, index) => /^\d+$/.test(arg) && index !== failIndex + 1);
+const port = portArg ? parseInt(portArg, 10) : 4000;
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        const event = req.headers['x-commute-event'] || '-';
+        console.log(`${new Date().toISOString()} ${req.method} ${req.url} event=${event}`);
+        try {
+            console.log(JSON.stringify(JSON.parse(body), null, 2));
+        } catch (_err) {
+            console.log(body);
+        }
+
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            res.writeHead(503).end();
+            console.log(`Responded 503 (${failuresLeft} failures left)`);
+            return;
+        }
+        res.writeHead(204).end();
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}`);
+});